@@ -0,0 +1,263 @@
+/**
+ * Static Digest Archive
+ * Keeps every daily digest as its own page, independent of the feed's
+ * DIGEST_RETENTION_DAYS window, plus an index of all days and one page per
+ * source feed linking to every article summary ever archived.
+ *
+ *   <ARCHIVE_DIR>/index.html             All days, newest first
+ *   <ARCHIVE_DIR>/days/YYYY-MM-DD.html   One page per daily digest
+ *   <ARCHIVE_DIR>/feeds/<feed>.html      Every archived article of a feed
+ *   <ARCHIVE_DIR>/archive.json           Manifest the pages are rebuilt from
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from './config.js';
+import { formatDateForTitle, getDateIdRange } from './date-filter.js';
+import { escapeHtml } from './html.js';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Anchor ID of an article inside a day page
+ * Matches the id formatArticleHtml puts on each article heading.
+ * @param {string} itemHash - Digest item hash
+ * @returns {string} Anchor ID
+ */
+export const getArticleAnchor = (itemHash) => `article-${itemHash.slice(0, 12)}`;
+
+/**
+ * Public URL of a day page
+ * @param {string} dayId - Day ID (YYYY-MM-DD)
+ * @returns {string|null} URL, or null without ARCHIVE_ENABLED and ARCHIVE_URL
+ */
+export const getArchiveDayUrl = (dayId) =>
+  (config.archiveEnabled && config.archiveUrl ? `${config.archiveUrl}/days/${dayId}.html` : null);
+
+/**
+ * File name of a feed page, readable and unique per feed title
+ * @param {string} feedTitle - Source feed title
+ * @returns {string} File name
+ */
+export const getFeedPageName = (feedTitle) => {
+  const slug = feedTitle
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  const hash = crypto.createHash('sha1').update(feedTitle).digest('hex').slice(0, 8);
+  return `${slug ? `${slug}-` : ''}${hash}.html`;
+};
+
+/**
+ * Wrap page content in a standalone HTML document
+ * @param {string} title - Page title
+ * @param {string} body - Page body HTML
+ * @param {string} [indexHref] - Link back to the index (omitted on the index itself)
+ * @returns {string} HTML document
+ */
+const renderPage = (title, body, indexHref = null) => {
+  const lines = [];
+  lines.push('<!DOCTYPE html>');
+  lines.push('<html>');
+  lines.push('<head>');
+  lines.push('<meta charset="utf-8" />');
+  lines.push('<meta name="viewport" content="width=device-width, initial-scale=1" />');
+  lines.push(`<title>${escapeHtml(title)}</title>`);
+  lines.push('</head>');
+  lines.push('<body style="margin: 0; background: #fafafa;">');
+  if (indexHref) {
+    lines.push(`<nav style="max-width: 800px; margin: 0 auto; padding: 12px 20px;"><a href="${indexHref}" style="color: #0066cc;">← ${escapeHtml(config.channelTitle)} archive</a></nav>`);
+  }
+  lines.push(body);
+  lines.push('</body>');
+  lines.push('</html>');
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Load the archive manifest
+ * @returns {Promise<{days: Object, articles: Object}>} Manifest
+ */
+const loadManifest = async () => {
+  try {
+    const raw = await fs.readFile(path.join(config.archiveDir, 'archive.json'), 'utf-8');
+    const parsed = JSON.parse(raw);
+    return {
+      days: parsed?.days ?? {},
+      articles: parsed?.articles ?? {},
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`  ⚠️  Failed to read archive manifest: ${error.message}`);
+    }
+    return { days: {}, articles: {} };
+  }
+};
+
+/**
+ * Record a day and its articles in the manifest
+ * A rebuilt day replaces the articles previously archived for it.
+ * @param {Object} manifest - Archive manifest
+ * @param {Object} day - Archived day ({ dayId, title, digests })
+ */
+const addDayToManifest = (manifest, { dayId, title, digests }) => {
+  for (const [key, article] of Object.entries(manifest.articles)) {
+    if (article.dayId === dayId) {
+      delete manifest.articles[key];
+    }
+  }
+
+  manifest.days[dayId] = {
+    title,
+    articleCount: digests.length,
+    feedCount: new Set(digests.map(digest => digest.sourceTitle)).size,
+    archivedAt: new Date().toISOString(),
+  };
+
+  for (const digest of digests) {
+    if (!digest.itemHash) {
+      continue;
+    }
+    manifest.articles[digest.itemHash] = {
+      dayId,
+      title: digest.title,
+      link: digest.link ?? null,
+      sourceTitle: digest.sourceTitle || 'Unknown Feed',
+      oneLine: digest.digests?.oneLine || '',
+      publishedAt: digest.publishedAt ? new Date(digest.publishedAt).toISOString() : null,
+    };
+  }
+};
+
+/**
+ * Render the index page
+ * @param {Object} manifest - Archive manifest
+ * @param {Map<string, Array>} articlesByFeed - Archived articles per feed
+ * @returns {string} HTML document
+ */
+const renderIndexPage = (manifest, articlesByFeed) => {
+  const dayIds = Object.keys(manifest.days).sort().reverse();
+  const totalArticles = Object.keys(manifest.articles).length;
+
+  const lines = [];
+  lines.push(`<div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px;">`);
+  lines.push(`<h1 style="border-bottom: 2px solid #333; padding-bottom: 10px; color: #222;">📚 ${escapeHtml(config.channelTitle)} archive</h1>`);
+  lines.push(`<p style="color: #666;"><strong>${dayIds.length}</strong> daily digests, <strong>${totalArticles}</strong> articles from <strong>${articlesByFeed.size}</strong> feeds</p>`);
+
+  lines.push(`<h2 style="color: #444;">📅 Daily digests</h2>`);
+  lines.push(`<ul style="padding-left: 20px; line-height: 1.8;">`);
+  for (const dayId of dayIds) {
+    const { articleCount, feedCount } = manifest.days[dayId];
+    const dateString = formatDateForTitle(getDateIdRange(dayId).start);
+    lines.push(`<li><a href="days/${dayId}.html" style="color: #0066cc;">${escapeHtml(dateString)}</a> <span style="color: #888;">(${articleCount} article${articleCount === 1 ? '' : 's'} from ${feedCount} feed${feedCount === 1 ? '' : 's'})</span></li>`);
+  }
+  lines.push(`</ul>`);
+
+  lines.push(`<h2 style="color: #444;">📰 Feeds</h2>`);
+  lines.push(`<ul style="padding-left: 20px; line-height: 1.8;">`);
+  for (const [feedTitle, articles] of [...articlesByFeed].sort(([a], [b]) => a.localeCompare(b))) {
+    lines.push(`<li><a href="feeds/${getFeedPageName(feedTitle)}" style="color: #0066cc;">${escapeHtml(feedTitle)}</a> <span style="color: #888;">(${articles.length})</span></li>`);
+  }
+  lines.push(`</ul>`);
+  lines.push(`</div>`);
+
+  return renderPage(`${config.channelTitle} archive`, lines.join('\n'));
+};
+
+/**
+ * Render a feed page listing every archived article of the feed
+ * @param {string} feedTitle - Source feed title
+ * @param {Array<[string, Object]>} articles - [itemHash, article] pairs
+ * @returns {string} HTML document
+ */
+const renderFeedPage = (feedTitle, articles) => {
+  const sorted = [...articles].sort(([, a], [, b]) =>
+    (b.publishedAt || b.dayId).localeCompare(a.publishedAt || a.dayId)
+  );
+
+  const lines = [];
+  lines.push(`<div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px;">`);
+  lines.push(`<h1 style="border-bottom: 2px solid #333; padding-bottom: 10px; color: #222;">📰 ${escapeHtml(feedTitle)}</h1>`);
+  lines.push(`<p style="color: #666;"><strong>${sorted.length}</strong> archived article${sorted.length === 1 ? '' : 's'}</p>`);
+  for (const [itemHash, article] of sorted) {
+    const summaryHref = `../days/${article.dayId}.html#${getArticleAnchor(itemHash)}`;
+    lines.push(`<h3 style="margin: 16px 0 4px 0; color: #333;">▸ <a href="${summaryHref}" style="color: #0066cc; text-decoration: none;">${escapeHtml(article.title)}</a></h3>`);
+    const original = article.link ? ` · <a href="${escapeHtml(article.link)}" style="color: #888;">original</a>` : '';
+    lines.push(`<p style="margin: 0; color: #888; font-size: 0.85em;">${escapeHtml(article.dayId)}${original}</p>`);
+    if (article.oneLine) {
+      lines.push(`<p style="margin: 4px 0; color: #555;">💡 ${escapeHtml(article.oneLine)}</p>`);
+    }
+  }
+  lines.push(`</div>`);
+
+  return renderPage(`${feedTitle} - ${config.channelTitle} archive`, lines.join('\n'), '../index.html');
+};
+
+/**
+ * Write or update archive pages for daily digests
+ * Day pages are written once per day (rebuilt days are overwritten); the
+ * index and feed pages are regenerated from the manifest every time.
+ * @param {Array<{dayId: string, title: string, html: string, digests: Array}>} days - Digests to archive
+ */
+export const updateArchive = async (days) => {
+  if (!config.archiveEnabled || !days.length) {
+    return;
+  }
+
+  if (config.dryRun) {
+    console.log(`🧪 Dry run: would archive ${days.map(day => day.dayId).join(', ')} to ${config.archiveDir}`);
+    return;
+  }
+
+  const manifest = await loadManifest();
+  await fs.mkdir(path.join(config.archiveDir, 'days'), { recursive: true });
+  await fs.mkdir(path.join(config.archiveDir, 'feeds'), { recursive: true });
+
+  for (const day of days) {
+    addDayToManifest(manifest, day);
+    await fs.writeFile(
+      path.join(config.archiveDir, 'days', `${day.dayId}.html`),
+      renderPage(day.title, day.html, '../index.html'),
+      'utf-8'
+    );
+  }
+
+  const articlesByFeed = new Map();
+  for (const entry of Object.entries(manifest.articles)) {
+    const feedTitle = entry[1].sourceTitle;
+    if (!articlesByFeed.has(feedTitle)) {
+      articlesByFeed.set(feedTitle, []);
+    }
+    articlesByFeed.get(feedTitle).push(entry);
+  }
+
+  const feedPages = new Set();
+  for (const [feedTitle, articles] of articlesByFeed) {
+    const pageName = getFeedPageName(feedTitle);
+    feedPages.add(pageName);
+    await fs.writeFile(
+      path.join(config.archiveDir, 'feeds', pageName),
+      renderFeedPage(feedTitle, articles),
+      'utf-8'
+    );
+  }
+
+  // A rebuilt day can leave a feed without archived articles
+  for (const fileName of await fs.readdir(path.join(config.archiveDir, 'feeds'))) {
+    if (fileName.endsWith('.html') && !feedPages.has(fileName)) {
+      await fs.rm(path.join(config.archiveDir, 'feeds', fileName), { force: true });
+    }
+  }
+
+  await fs.writeFile(path.join(config.archiveDir, 'index.html'), renderIndexPage(manifest, articlesByFeed), 'utf-8');
+  await fs.writeFile(
+    path.join(config.archiveDir, 'archive.json'),
+    JSON.stringify({ version: MANIFEST_VERSION, days: manifest.days, articles: manifest.articles }, null, 2),
+    'utf-8'
+  );
+
+  console.log(`✓ Archived ${days.length} day(s) to ${config.archiveDir} (${Object.keys(manifest.days).length} days, ${articlesByFeed.size} feeds in total)`);
+};
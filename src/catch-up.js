@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+import { loadEnvFile } from './load-env.js';
+
+// Load environment FIRST before any other imports that use config
+loadEnvFile();
+
+import { config } from './config.js';
+import { catchUp } from './summarize-feeds.js';
+
+/**
+ * Parse command line arguments
+ */
+const parseArgs = () => {
+  const args = process.argv.slice(2);
+  const options = {
+    from: null,
+    to: null,
+    overwrite: false,
+    dryRun: false,
+    help: false,
+  };
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--from':
+        options.from = args[++i];
+        break;
+      case '--to':
+        options.to = args[++i];
+        break;
+      case '--overwrite':
+        options.overwrite = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        console.warn(`Unknown option: ${arg}`);
+    }
+  }
+  
+  // A single day can be given with --from only
+  if (options.from && !options.to) {
+    options.to = options.from;
+  }
+  
+  return options;
+};
+
+/**
+ * Print help text
+ */
+const printHelp = () => {
+  console.log(`
+AFO Feed Digest - Catch-up
+
+Backfills missed daily digests, one daily-digest-<date> entry per day,
+and merges them into the existing output feed.
+
+Usage: node src/catch-up.js --from <YYYY-MM-DD> [--to <YYYY-MM-DD>] [options]
+   or: npm run catch-up -- --from <YYYY-MM-DD> [--to <YYYY-MM-DD>] [options]
+
+Options:
+  --from <date>          First day to backfill (in DIGEST_TIMEZONE)
+  --to <date>            Last day to backfill (defaults to --from)
+  --overwrite            Rebuild days that already have a digest entry
+  --dry-run              Print the backfilled entries and the output diff without writing
+  --help, -h             Show this help message
+
+Only articles still listed by the feeds (or in the feed cache) can be
+backfilled. Days older than DIGEST_RETENTION_DAYS are skipped.
+
+Examples:
+  # Backfill two missed days
+  npm run catch-up -- --from 2026-01-07 --to 2026-01-08
+`);
+};
+
+const options = parseArgs();
+
+if (options.help || !options.from) {
+  printHelp();
+  if (!options.help) {
+    process.exitCode = 1;
+  }
+} else {
+  if (options.dryRun) {
+    config.dryRun = true;
+  }
+  catchUp(options).catch((error) => {
+    console.error('Fatal error:', error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,170 @@
+/**
+ * Article Chunking
+ * Splits long articles into chunks that fit the model's context, at the
+ * paragraph boundaries found by the content fetcher, so long-form posts are
+ * summarized in full (map-reduce) instead of being truncated.
+ *
+ * Token counts are estimated (about 4 characters per token for Latin text,
+ * one token per CJK character); the budgets leave room for that.
+ */
+
+import { config } from './config.js';
+import { getModelChain } from './providers.js';
+
+// Context window in tokens; a model matches its longest listed prefix
+const DEFAULT_CONTEXT_TOKENS = {
+  'gpt-4o': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-4-turbo': 128000,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385,
+};
+
+// Completion tokens requested per call (see callOpenAI in digest.js)
+const OUTPUT_TOKENS = 2000;
+// Share of the context kept free for estimation error and message overhead
+const CONTEXT_SAFETY_MARGIN = 0.1;
+const MIN_CHUNK_TOKENS = 500;
+
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export const estimateTokens = (text) => {
+  if (!text) {
+    return 0;
+  }
+  const cjk = text.match(CJK_PATTERN)?.length ?? 0;
+  return Math.ceil(cjk + (text.length - cjk) / 4);
+};
+
+/**
+ * Get the context window of a model
+ * @param {string} model - Model name
+ * @returns {number} Context size in tokens (DEFAULT_CONTEXT_TOKENS for unknown models)
+ */
+export const getModelContextTokens = (model) => {
+  const sizes = { ...DEFAULT_CONTEXT_TOKENS, ...config.modelContextTokens };
+  if (sizes[model]) {
+    return Number(sizes[model]);
+  }
+  const prefix = Object.keys(sizes)
+    .filter(name => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? Number(sizes[prefix]) : config.defaultContextTokens;
+};
+
+/**
+ * Get the article tokens that fit in one request next to a prompt
+ * Uses the smallest context in the model chain, since any of them may serve
+ * the call, and never exceeds CHUNK_MAX_TOKENS.
+ * @param {string} [prompt] - Prompt text sent with the article
+ * @returns {number} Token budget for article text
+ */
+export const getChunkTokenBudget = (prompt = '') => {
+  const contextTokens = Math.min(...getModelChain().map(({ model }) => getModelContextTokens(model)));
+  const available = Math.floor(contextTokens * (1 - CONTEXT_SAFETY_MARGIN)) - OUTPUT_TOKENS - estimateTokens(prompt);
+  const budget = config.chunkMaxTokens > 0 ? Math.min(available, config.chunkMaxTokens) : available;
+  return Math.max(MIN_CHUNK_TOKENS, budget);
+};
+
+/**
+ * Split a text that is too long for one chunk at blank lines and sentence
+ * boundaries, cutting sentences that are still too long at a space
+ * @param {string} text - Paragraph text
+ * @param {number} maxTokens - Chunk budget
+ * @returns {Array<string>} Pieces within the budget
+ */
+const splitOversized = (text, maxTokens) => {
+  const pieces = [];
+  let current = '';
+  for (const sentence of text.split(/\n\s*\n|(?<=[.!?])\s+|(?<=[。！？])/).filter(Boolean)) {
+    if (estimateTokens(sentence) > maxTokens) {
+      if (current) {
+        pieces.push(current);
+        current = '';
+      }
+      // One character per token for CJK text, four otherwise
+      const charBudget = sentence.match(CJK_PATTERN) ? maxTokens : maxTokens * 4;
+      let rest = sentence;
+      while (rest) {
+        const cut = rest.length <= charBudget ? rest.length : rest.lastIndexOf(' ', charBudget) + 1 || charBudget;
+        pieces.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+      }
+    } else if (current && estimateTokens(`${current} ${sentence}`) > maxTokens) {
+      pieces.push(current);
+      current = sentence;
+    } else {
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+  }
+  if (current) {
+    pieces.push(current);
+  }
+  return pieces;
+};
+
+/**
+ * Pack paragraphs into chunks within a token budget
+ * Paragraphs stay whole unless one alone exceeds the budget.
+ * @param {Array<string>} paragraphs - Article paragraphs in order
+ * @param {number} maxTokens - Chunk budget
+ * @returns {Array<string>} Chunks, paragraphs separated by blank lines
+ */
+export const chunkParagraphs = (paragraphs, maxTokens) => {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length) {
+      chunks.push(current.join('\n\n'));
+      current = [];
+      currentTokens = 0;
+    }
+  };
+
+  for (const paragraph of paragraphs.map(text => text.trim()).filter(Boolean)) {
+    for (const piece of estimateTokens(paragraph) > maxTokens ? splitOversized(paragraph, maxTokens) : [paragraph]) {
+      const tokens = estimateTokens(piece);
+      if (currentTokens + tokens > maxTokens) {
+        flush();
+      }
+      current.push(piece);
+      currentTokens += tokens;
+    }
+  }
+  flush();
+
+  return chunks;
+};
+
+/**
+ * Plan how an article is sent to the model
+ * @param {string} content - Article text
+ * @param {Array<string>} paragraphs - Article paragraphs from the content fetcher
+ * @param {string} [prompt] - Prompt text sent with each chunk
+ * @returns {{chunks: Array<string>, tokens: number, budget: number, dropped: number}} One chunk when the article fits; `dropped` chunks beyond MAX_ARTICLE_CHUNKS are left out
+ */
+export const planArticleChunks = (content, paragraphs, prompt = '') => {
+  const budget = getChunkTokenBudget(prompt);
+  const tokens = estimateTokens(content);
+  if (tokens <= budget) {
+    return { chunks: [content], tokens, budget, dropped: 0 };
+  }
+
+  // Paragraphs may miss text the fetcher could not split; fall back to the whole content
+  const parts = paragraphs?.length && estimateTokens(paragraphs.join(' ')) >= tokens * 0.8 ? paragraphs : [content];
+  const chunks = chunkParagraphs(parts, budget);
+  const maxChunks = Math.max(1, config.maxArticleChunks);
+  return {
+    chunks: chunks.slice(0, maxChunks),
+    tokens,
+    budget,
+    dropped: Math.max(0, chunks.length - maxChunks),
+  };
+};
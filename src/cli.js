@@ -9,6 +9,8 @@ loadEnvFile();
 import { config } from './config.js';
 import { main } from './summarize-feeds.js';
 import { generateMarkdownReport } from './reporting.js';
+import { parseFeedSelector } from './feed-selector.js';
+import { getModelChain } from './providers.js';
 
 /**
  * Parse command line arguments
@@ -17,9 +19,11 @@ const parseArgs = () => {
   const args = process.argv.slice(2);
   const options = {
     dryRun: false,
+    noLlm: false,
     verbose: false,
     debug: false,
-    feed: null,
+    feeds: [],
+    categories: [],
     maxItems: null,
     skipCache: false,
     showReport: false,
@@ -34,6 +38,10 @@ const parseArgs = () => {
       case '--dry-run':
         options.dryRun = true;
         break;
+      case '--no-llm':
+        options.noLlm = true;
+        options.dryRun = true;
+        break;
       case '--verbose':
       case '-v':
         options.verbose = true;
@@ -43,7 +51,10 @@ const parseArgs = () => {
         options.verbose = true;
         break;
       case '--feed':
-        options.feed = args[++i];
+        options.feeds.push(args[++i]);
+        break;
+      case '--category':
+        options.categories.push(args[++i]);
         break;
       case '--max-items':
         options.maxItems = parseInt(args[++i], 10);
@@ -83,10 +94,16 @@ Usage: node src/cli.js [options]
    or: npm run test:local -- [options]
 
 Options:
-  --dry-run              Process feeds but don't write output files
+  --dry-run              Write nothing (output feed, caches, seen store, reports); print the
+                         selected feeds and items, cache hits, digest HTML and a diff
+                         against the current output feed
+  --no-llm               Dry run with placeholder summaries instead of LLM calls (implies --dry-run)
   --verbose, -v          Show detailed logging and progress (includes HTTP status, content length, error details)
   --debug                Enable debug mode (implies --verbose)
-  --feed <url|index>     Process only a specific feed (by URL or index)
+  --feed <selector>      Process only matching feeds (repeatable). A selector is an
+                         index (0-based), a feed URL, a /regex/ tested against title
+                         and URL, or a case-insensitive title substring
+  --category <path>      Process only feeds in an OPML category and its subfolders (repeatable)
   --max-items <n>        Limit number of items per feed (overrides config)
   --skip-cache           Ignore cache and re-fetch all feeds
   --show-report          Print report to console after execution
@@ -105,12 +122,21 @@ Examples:
   # Process only first feed with verbose output
   npm run test:local -- --feed 0 --verbose
 
+  # Process two feeds by title substring and regex
+  npm run test:local -- --feed smashing --feed '/css-?tricks/i'
+
   # Dry run with detailed logging
   npm run test:local -- --dry-run --debug
 
+  # Preview an OPML edit without an API key or token spend
+  npm run test:local -- --no-llm --feed '/css/i'
+
   # Process specific feed URL with limited items
   npm run test:local -- --feed https://example.com/feed.xml --max-items 2
 
+  # Process only feeds in the "Frontend" folder (including "Frontend / CSS")
+  npm run test:local -- --category Frontend
+
   # Skip cache and show report
   npm run test:local -- --skip-cache --show-report
 `);
@@ -125,6 +151,11 @@ const applyOptions = (options) => {
     console.log(`[CLI] Override: MAX_ITEMS_PER_FEED = ${options.maxItems}`);
   }
   
+  if (options.categories.length) {
+    config.categoryFilter = options.categories;
+    console.log(`[CLI] Override: CATEGORY_FILTER = ${options.categories.join(', ')}`);
+  }
+  
   if (options.skipCache) {
     config.feedCacheEnabled = false;
     config.digestCacheEnabled = false;
@@ -149,7 +180,7 @@ const applyOptions = (options) => {
       maxItemsPerFeed: config.maxItemsPerFeed,
       maxConcurrentFeeds: config.maxConcurrentFeeds,
       maxConcurrentItems: config.maxConcurrentItems,
-      openaiModels: config.openaiModels,
+      openaiModels: getModelChain().map(({ label }) => label),
       openaiModel: config.openaiModel,
       enableFullArticleFetch: config.enableFullArticleFetch,
       digestCacheEnabled: config.digestCacheEnabled,
@@ -157,23 +188,22 @@ const applyOptions = (options) => {
     });
   }
   
-  if (options.feed !== null) {
-    // If feed is a number, treat it as an index
-    // Otherwise treat it as a URL
-    if (/^\d+$/.test(options.feed)) {
-      const feedIndex = parseInt(options.feed, 10);
-      config.maxFeeds = feedIndex + 1;
-      console.log(`[CLI] Processing feed at index ${feedIndex}`);
-    } else {
-      // For URL filtering, we'd need to modify the feed loading logic
-      console.log(`[CLI] Feed URL filtering not yet implemented: ${options.feed}`);
-      console.log('[CLI] Note: Use --feed <index> to select by position');
-    }
+  if (options.feeds.length) {
+    // Validate selectors up front so a bad regex fails before any work starts
+    options.feeds.forEach(parseFeedSelector);
+    config.feedSelectors = options.feeds;
+    console.log(`[CLI] Feed selection: ${options.feeds.join(', ')}`);
   }
   
   if (options.dryRun) {
+    config.dryRun = true;
     console.log('[CLI] DRY RUN MODE - No files will be written');
   }
+  
+  if (options.noLlm) {
+    config.dryRunPlaceholders = true;
+    console.log('[CLI] Placeholder summaries - No LLM calls will be made');
+  }
 };
 
 /**
@@ -217,13 +247,12 @@ const runCli = async () => {
   console.log('AFO Feed Digest - Local Testing Mode\n');
   
   // Apply CLI options
-  applyOptions(options);
-  
-  if (options.dryRun) {
-    // In dry-run mode, we need to prevent file writes
-    // For now, just disable reporting and warn about output
-    config.enableReporting = false;
-    console.log('[CLI] Note: Dry-run mode still generates output file (use --output /dev/null to suppress)\n');
+  try {
+    applyOptions(options);
+  } catch (error) {
+    console.error(`[CLI] ${error.message}`);
+    process.exitCode = 1;
+    return;
   }
   
   try {
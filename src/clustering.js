@@ -0,0 +1,365 @@
+/**
+ * Story Clustering
+ * Groups the day's digests that cover the same story so the digest shows it
+ * once, under the best source, with "also covered by" links to the others.
+ *
+ * Two digests are clustered when any of these holds:
+ *   - their links normalize to the same URL
+ *   - their fetched article text is a near copy (MinHash fingerprint)
+ *   - their title and summaries are similar (TF-IDF cosine, computed locally),
+ *     or their embeddings are when CLUSTER_EMBEDDINGS_MODEL is set
+ */
+
+import { config } from './config.js';
+import { normalizeLink } from './seen-store.js';
+import { retryOnError } from './retry.js';
+import { acquireRateLimit, modelKey } from './rate-limiter.js';
+import { recordTokenUsage, reserveBudget } from './usage.js';
+import { estimateTokens } from './chunking.js';
+
+const FINGERPRINT_SIZE = 64;
+const SHINGLE_SIZE = 3;
+// Shortest text (in tokens) worth fingerprinting
+const MIN_FINGERPRINT_TOKENS = 50;
+// Share of matching MinHash values above which two articles are near copies
+const NEAR_COPY_THRESHOLD = 0.5;
+const MAX_EMBEDDING_INPUT_CHARS = 4000;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'for', 'from', 'has', 'have', 'how', 'in', 'into',
+  'is', 'it', 'its', 'new', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this', 'to', 'was', 'we', 'what',
+  'when', 'which', 'with', 'you', 'your',
+]);
+
+/**
+ * Split text into lowercase word tokens
+ * Runs of CJK characters, which have no spaces, become character bigrams.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  for (const word of String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []) {
+    if (/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(word)) {
+      const chars = [...word];
+      if (chars.length === 1) {
+        tokens.push(word);
+      }
+      for (let i = 0; i < chars.length - 1; i++) {
+        tokens.push(chars[i] + chars[i + 1]);
+      }
+    } else {
+      tokens.push(word);
+    }
+  }
+  return tokens;
+};
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} str - String to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+const fnv1a = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Mix a 32-bit value (MurmurHash3 finalizer)
+ * @param {number} value - Value to mix
+ * @returns {number} Unsigned 32-bit result
+ */
+const mix32 = (value) => {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+// One seed per MinHash function
+const FINGERPRINT_SEEDS = Array.from({ length: FINGERPRINT_SIZE }, (_, index) => mix32(index + 1));
+
+/**
+ * Compute a MinHash fingerprint of an article's text
+ * Stored with each digest so near copies (syndicated posts, press releases)
+ * are found without keeping the article text around.
+ * @param {string} text - Article text
+ * @returns {Array<number>|null} Fingerprint, or null if the text is too short
+ */
+export const computeContentFingerprint = (text) => {
+  const tokens = tokenize(text);
+  if (tokens.length < MIN_FINGERPRINT_TOKENS) {
+    return null;
+  }
+
+  const signature = new Array(FINGERPRINT_SIZE).fill(0xffffffff);
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    const shingleHash = fnv1a(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+    for (let k = 0; k < FINGERPRINT_SIZE; k++) {
+      const value = mix32(shingleHash ^ FINGERPRINT_SEEDS[k]);
+      if (value < signature[k]) {
+        signature[k] = value;
+      }
+    }
+  }
+  return signature;
+};
+
+/**
+ * Estimate how much of two articles' text is shared
+ * @param {Array<number>} a - First fingerprint
+ * @param {Array<number>} b - Second fingerprint
+ * @returns {number} Estimated Jaccard similarity (0-1)
+ */
+export const compareFingerprints = (a, b) => {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) {
+      matches++;
+    }
+  }
+  return matches / a.length;
+};
+
+/**
+ * Text used to compare two digests: title plus one-line and overall summary
+ * @param {Object} digest - Article digest
+ * @returns {string} Comparison text
+ */
+const getComparisonText = (digest) =>
+  [digest.title, digest.digests?.oneLine, digest.digests?.overall].filter(Boolean).join('\n');
+
+/**
+ * Build TF-IDF vectors for a set of texts
+ * @param {Array<string>} texts - Texts to vectorize
+ * @returns {Array<Map<string, number>>} Unit-length vectors
+ */
+const buildTfIdfVectors = (texts) => {
+  const termCounts = texts.map((text) => {
+    const counts = new Map();
+    for (const token of tokenize(text)) {
+      if (!STOPWORDS.has(token)) {
+        counts.set(token, (counts.get(token) || 0) + 1);
+      }
+    }
+    return counts;
+  });
+
+  const documentFrequency = new Map();
+  for (const counts of termCounts) {
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return termCounts.map((counts) => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, count] of counts) {
+      const idf = Math.log((texts.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+      const weight = (1 + Math.log(count)) * idf;
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm);
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / norm);
+    }
+    return vector;
+  });
+};
+
+/**
+ * Cosine similarity of two unit-length sparse vectors
+ * @param {Map<string, number>} a - First vector
+ * @param {Map<string, number>} b - Second vector
+ * @returns {number} Similarity (0-1)
+ */
+const sparseCosine = (a, b) => {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    dot += weight * (large.get(term) || 0);
+  }
+  return dot;
+};
+
+/**
+ * Cosine similarity of two dense vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity (-1 to 1)
+ */
+const denseCosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Fetch embeddings for the digests, if an embeddings model is configured
+ * @param {Object|null} client - OpenAI client
+ * @param {Array} digests - Article digests
+ * @returns {Promise<Array<Array<number>>|null>} One embedding per digest, or null to use local similarity
+ */
+const fetchEmbeddings = async (client, digests) => {
+  if (!config.clusterEmbeddingsModel || !client || config.dryRunPlaceholders) {
+    return null;
+  }
+
+  const input = digests.map(digest => getComparisonText(digest).slice(0, MAX_EMBEDDING_INPUT_CHARS));
+  let releaseBudget = () => {};
+  try {
+    releaseBudget = reserveBudget(config.clusterEmbeddingsModel, {
+      promptTokens: input.reduce((sum, text) => sum + estimateTokens(text), 0),
+      completionTokens: 0,
+    });
+    const rateLimitKey = modelKey(config.clusterEmbeddingsModel);
+    const response = await retryOnError(
+      async () => {
+        await acquireRateLimit(rateLimitKey);
+        return await client.embeddings.create({ model: config.clusterEmbeddingsModel, input });
+      },
+      {
+        rateLimitKey,
+        onRetry: (error, attempt, delay) => {
+          console.warn(`Embeddings API retry (${attempt}) after ${delay}ms: ${error.message}`);
+        },
+      }
+    );
+    recordTokenUsage(config.clusterEmbeddingsModel, response.usage);
+    const embeddings = [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+    return embeddings.length === digests.length ? embeddings : null;
+  } catch (error) {
+    console.warn(`  ⚠️  Embeddings failed (${error.message}), using local text similarity`);
+    return null;
+  } finally {
+    releaseBudget();
+  }
+};
+
+/**
+ * Find connected groups of similar digests
+ * @param {number} count - Number of digests
+ * @param {(i: number, j: number) => boolean} isSimilar - Pairwise similarity test
+ * @returns {Array<Array<number>>} Groups of digest indexes, in input order
+ */
+const findClusters = (count, isSimilar) => {
+  const parent = Array.from({ length: count }, (_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      if (find(i) !== find(j) && isSimilar(i, j)) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (let index = 0; index < count; index++) {
+    const root = find(index);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(index);
+  }
+  return [...groups.values()];
+};
+
+/**
+ * Pick the digest that represents a cluster
+ * Highest feed priority wins, then the earliest published article.
+ * @param {Array} members - Digests in the cluster
+ * @returns {Object} Representative digest
+ */
+const pickRepresentative = (members) => [...members].sort((a, b) => {
+  const priority = (b.feedPriority ?? 0) - (a.feedPriority ?? 0);
+  if (priority) {
+    return priority;
+  }
+  const timeA = a.publishedAt ? new Date(a.publishedAt).getTime() : Infinity;
+  const timeB = b.publishedAt ? new Date(b.publishedAt).getTime() : Infinity;
+  return timeA - timeB;
+})[0];
+
+/**
+ * Cluster digests that cover the same story
+ * Each cluster is returned as its representative digest with the other
+ * articles listed in `alsoCoveredBy`; unclustered digests pass through.
+ * @param {Object|null} client - OpenAI client (only used for embeddings)
+ * @param {Array} digests - The day's article digests
+ * @returns {Promise<Array>} Digests to render
+ */
+export const clusterDigests = async (client, digests) => {
+  if (!config.clusteringEnabled || digests.length < 2) {
+    return digests;
+  }
+
+  const links = digests.map(digest => normalizeLink(digest.link));
+  const fingerprints = digests.map(digest => digest.articleContent?.fingerprint ?? null);
+  const embeddings = await fetchEmbeddings(client, digests);
+  const textVectors = embeddings ? null : buildTfIdfVectors(digests.map(getComparisonText));
+
+  const isSimilar = (i, j) => {
+    if (links[i] && links[i] === links[j]) {
+      return true;
+    }
+    if (compareFingerprints(fingerprints[i], fingerprints[j]) >= NEAR_COPY_THRESHOLD) {
+      return true;
+    }
+    return embeddings
+      ? denseCosine(embeddings[i], embeddings[j]) >= config.clusterEmbeddingThreshold
+      : sparseCosine(textVectors[i], textVectors[j]) >= config.clusterSimilarityThreshold;
+  };
+
+  const clusters = findClusters(digests.length, isSimilar);
+  const result = clusters.map((indexes) => {
+    const members = indexes.map(index => digests[index]);
+    if (members.length === 1) {
+      return members[0];
+    }
+    const representative = pickRepresentative(members);
+    return {
+      ...representative,
+      alsoCoveredBy: members
+        .filter(member => member !== representative)
+        .map(member => ({
+          itemHash: member.itemHash,
+          title: member.title,
+          link: member.link ?? null,
+          sourceTitle: member.sourceTitle || 'Unknown Feed',
+        })),
+    };
+  });
+
+  const merged = digests.length - result.length;
+  if (merged > 0) {
+    const method = embeddings ? `embeddings (${config.clusterEmbeddingsModel})` : 'local text similarity';
+    console.log(`🔗 Clustered ${digests.length} articles into ${result.length} stories (${merged} also-covered, ${method})`);
+  }
+  return result;
+};
@@ -37,24 +37,120 @@ const parseModelList = () => {
 
 const openaiModels = parseModelList();
 
+const parseList = (value) => {
+  if (!value) {
+    return [];
+  }
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Filter rules may contain commas (regex quantifiers), so they are `;`-separated
+const parseRuleList = (value) => {
+  if (!value) {
+    return [];
+  }
+  return value
+    .split(';')
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const parseJsonObject = (value, name) => {
+  if (!value) {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.warn(`⚠️  Ignoring ${name}: ${error.message}`);
+    return {};
+  }
+};
+
+const parseOptionalSetting = (value) => {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(number) ? null : number;
+};
+
+// MODEL_PROVIDERS: {"name": {baseUrl, apiKeyEnv | apiKey, models, maxTokens, temperature}}, in fallback order
+const parseModelProviders = (value) => Object.entries(parseJsonObject(value, 'MODEL_PROVIDERS')).flatMap(([name, profile]) => {
+  const models = [].concat(profile?.models ?? profile?.model ?? [])
+    .map(model => String(model).trim())
+    .filter(Boolean);
+  if (!models.length) {
+    console.warn(`⚠️  Ignoring provider "${name}" in MODEL_PROVIDERS: no models`);
+    return [];
+  }
+  return [{
+    name,
+    baseUrl: profile.baseUrl || null,
+    apiKey: (profile.apiKeyEnv ? process.env[profile.apiKeyEnv] : profile.apiKey) || null,
+    models: [...new Set(models)],
+    maxTokens: parseOptionalSetting(profile.maxTokens),
+    temperature: parseOptionalSetting(profile.temperature),
+  }];
+});
+
+const parseTimeZone = (value, defaultValue) => {
+  if (!value) {
+    return defaultValue;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch {
+    console.warn(`Invalid DIGEST_TIMEZONE "${value}", falling back to ${defaultValue}`);
+    return defaultValue;
+  }
+};
+
 export const config = {
   // Paths
   projectRoot,
   feedsOpml: path.resolve(projectRoot, process.env.FEEDS_OPML ?? 'Feeds.opml'),
   outputFeed: path.resolve(projectRoot, process.env.OUTPUT_FEED ?? 'summary.xml'),
+  outputRss: path.resolve(projectRoot, process.env.OUTPUT_RSS2 ?? 'summary.rss.xml'),
+  outputJsonFeed: path.resolve(projectRoot, process.env.OUTPUT_JSON_FEED ?? 'summary.json'),
+  outputHtml: path.resolve(projectRoot, process.env.OUTPUT_HTML ?? 'summary.html'),
   feedCacheDir: path.resolve(projectRoot, process.env.FEED_CACHE_DIR ?? '.cache/feeds'),
   digestCacheDir: path.resolve(projectRoot, process.env.DIGEST_CACHE_DIR ?? '.cache/digests'),
   reportOutputDir: path.resolve(projectRoot, process.env.REPORT_OUTPUT_DIR ?? 'reports'),
+  seenStorePath: path.resolve(projectRoot, process.env.SEEN_STORE_PATH ?? 'state/seen-articles.json'),
+  usageStorePath: path.resolve(projectRoot, process.env.USAGE_STORE_PATH ?? 'state/usage.json'),
+  archiveDir: path.resolve(projectRoot, process.env.ARCHIVE_DIR ?? 'archive'),
+  interestProfilePath: path.resolve(projectRoot, process.env.INTEREST_PROFILE || 'interest-profile.json'),
 
   // OpenAI Configuration
   openaiApiKey: process.env.OPENAI_API_KEY,
   openaiBaseUrl: process.env.OPENAI_BASE_URL,
   openaiModels,
   openaiModel: openaiModels[0],
+  modelProviders: parseModelProviders(process.env.MODEL_PROVIDERS), // Named OpenAI-compatible endpoints, tried in order instead of OPENAI_MODELS
+
+  structuredOutput: ['json_schema', 'json_object', 'off'].includes(process.env.STRUCTURED_OUTPUT)
+    ? process.env.STRUCTURED_OUTPUT
+    : 'json_schema', // response_format for custom-prompt summaries; unsupported formats fall back automatically
+
+  // Token Usage and Cost
+  modelPrices: parseJsonObject(process.env.MODEL_PRICES, 'MODEL_PRICES'), // {"model": {"input": USD, "output": USD}} per 1M tokens, added to the defaults
+  dailyBudgetUsd: parseNumber(process.env.DAILY_BUDGET_USD, null), // Stop new summarizations once today's estimated spend reaches this (unset = no limit)
 
   // Feed Processing Limits
   maxFeeds: parseNumber(process.env.MAX_FEEDS, 10),
   maxItemsPerFeed: parseNumber(process.env.MAX_ITEMS_PER_FEED, 1),
+  categoryFilter: parseList(process.env.CATEGORY_FILTER), // OPML category paths to include (empty = all)
+  feedSelectors: [], // Set by the CLI --feed option (index, URL, /regex/ or title substring)
+  filterInclude: parseRuleList(process.env.FILTER_INCLUDE), // Keep only items matching one of these rules (empty = all)
+  filterExclude: parseRuleList(process.env.FILTER_EXCLUDE), // Drop items matching any of these rules
+
+  // Relevance Scoring (needs an interest profile, see INTEREST_PROFILE)
+  relevanceScorer: process.env.RELEVANCE_SCORER === 'llm' ? 'llm' : 'keywords',
+  relevanceMinScore: parseNumber(process.env.RELEVANCE_MIN_SCORE, null), // Drop items scoring below this before summarizing (unset = keep all)
+  relevanceTopPicks: parseNumber(process.env.RELEVANCE_TOP_PICKS, 5), // Size of the "Top picks" section (0 = hide)
 
   // Caching
   feedCacheTtlMinutes: parseNumber(process.env.FEED_CACHE_TTL_MINUTES, 60),
@@ -72,14 +168,29 @@ export const config = {
   retryBaseDelayMs: parseNumber(process.env.RETRY_BASE_DELAY_MS, 1000),
   retryMaxDelayMs: parseNumber(process.env.RETRY_MAX_DELAY_MS, 30000),
 
+  // Rate Limits (token bucket per host / model, shared by all requests)
+  hostRequestsPerMinute: parseNumber(process.env.HOST_REQUESTS_PER_MINUTE, 60), // Feed and article requests per host (0 = unlimited)
+  modelRequestsPerMinute: parseNumber(process.env.MODEL_REQUESTS_PER_MINUTE, 0), // Chat completions per model (0 = unlimited)
+  rateLimits: parseJsonObject(process.env.RATE_LIMITS, 'RATE_LIMITS'), // {"host or model": requests per minute} overrides
+
+  // Model Circuit Breaker
+  modelBreakerThreshold: parseNumber(process.env.MODEL_BREAKER_THRESHOLD, 3), // Consecutive failures before a model is skipped (0 = off)
+  modelBreakerCooldownMs: parseNumber(process.env.MODEL_BREAKER_COOLDOWN_MS, 300000), // How long a failing model is skipped before a probe
+
   // Content Processing
   summaryCharLimit: parseNumber(process.env.SUMMARY_CHAR_LIMIT, 1200),
-  contentFetchTimeout: parseNumber(process.env.CONTENT_FETCH_TIMEOUT_MS, 10000),
+  contentFetchTimeout: parseNumber(process.env.CONTENT_FETCH_TIMEOUT_MS, 10000), // Also applies to feed requests
+  contentSelectors: parseJsonObject(process.env.CONTENT_SELECTORS, 'CONTENT_SELECTORS'), // {"domain": "selector" or {content, remove}}, replaces scoring for that domain
+  chunkMaxTokens: parseNumber(process.env.CHUNK_MAX_TOKENS, 12000), // Article tokens per request; longer articles are summarized in chunks (0 = context size only)
+  maxArticleChunks: parseNumber(process.env.MAX_ARTICLE_CHUNKS, 8), // Chunks beyond this are left out
+  modelContextTokens: parseJsonObject(process.env.MODEL_CONTEXT_TOKENS, 'MODEL_CONTEXT_TOKENS'), // {"model": tokens}, added to the built-in sizes
+  defaultContextTokens: parseNumber(process.env.DEFAULT_CONTEXT_TOKENS, 8192), // Context size of models without a known size
 
   // Output Feed Metadata
   channelTitle: process.env.SUMMARY_FEED_TITLE ?? 'AFO AI Feed Digest',
   channelLink: process.env.SUMMARY_FEED_LINK ?? 'https://github.com/tenki/afo',
   channelDescription: process.env.SUMMARY_FEED_DESCRIPTION ?? 'Automatic summaries generated from RSS/Atom sources.',
+  outputFormats: parseList(process.env.OUTPUT_FORMATS || 'atom'), // atom, rss, json, html
 
   // Feature Flags
   enableFullArticleFetch: parseBoolean(process.env.ENABLE_FULL_ARTICLE_FETCH, true),
@@ -87,11 +198,47 @@ export const config = {
   enableReporting: parseBoolean(process.env.ENABLE_REPORTING, true),
   enableVerboseFeedLogging: parseBoolean(process.env.ENABLE_VERBOSE_FEED_LOGGING, false),
 
+  // Dry Run (no output, cache, seen-store or report writes)
+  dryRun: parseBoolean(process.env.DRY_RUN, false),
+  dryRunPlaceholders: parseBoolean(process.env.DRY_RUN_PLACEHOLDERS, false), // Use placeholder summaries instead of LLM calls
+
   // Daily Digest Mode
   dateFilterEnabled: parseBoolean(process.env.DATE_FILTER_ENABLED, true),
+  timezone: parseTimeZone(process.env.DIGEST_TIMEZONE?.trim(), 'UTC'), // IANA zone for day windows, titles and IDs
   includeDateInTitle: parseBoolean(process.env.INCLUDE_DATE_IN_TITLE, true),
   fallbackDays: parseNumber(process.env.FALLBACK_DAYS, 0), // 0 = no fallback, just skip
+  minDailyArticles: parseNumber(process.env.MIN_DAILY_ARTICLES, 1), // Widen the window while fewer articles than this are found
   digestRetentionDays: parseNumber(process.env.DIGEST_RETENTION_DAYS, 10), // Keep last N days of digests
+  dailyThemesEnabled: parseBoolean(process.env.DAILY_THEMES_ENABLED, true), // "Today's themes" summary across all articles
+  dailyThemesMinArticles: parseNumber(process.env.DAILY_THEMES_MIN_ARTICLES, 3), // Fewer articles than this skip the themes pass
+  clusteringEnabled: parseBoolean(process.env.CLUSTERING_ENABLED, true), // Show articles about the same story once
+  clusterSimilarityThreshold: parseNumber(process.env.CLUSTER_SIMILARITY_THRESHOLD, 0.5), // Local text similarity (0-1) to cluster
+  clusterEmbeddingsModel: process.env.CLUSTER_EMBEDDINGS_MODEL?.trim() || null, // Compare embeddings instead (e.g. text-embedding-3-small)
+  clusterEmbeddingThreshold: parseNumber(process.env.CLUSTER_EMBEDDING_THRESHOLD, 0.85), // Embedding cosine similarity to cluster
+  archiveEnabled: parseBoolean(process.env.ARCHIVE_ENABLED, false), // Keep every day as a page in ARCHIVE_DIR
+  archiveUrl: process.env.ARCHIVE_URL?.trim().replace(/\/+$/, '') || null, // Public URL ARCHIVE_DIR is served from
+  articleSelection: process.env.ARTICLE_SELECTION === 'new' ? 'new' : 'today', // 'today' = published today, 'new' = first seen since last run
+
+  // Seen-Article Store
+  seenStoreEnabled: parseBoolean(process.env.SEEN_STORE_ENABLED, true),
+  seenStoreRetentionDays: parseNumber(process.env.SEEN_STORE_RETENTION_DAYS, 180),
+
+  // Email Delivery (SMTP)
+  emailEnabled: parseBoolean(process.env.EMAIL_ENABLED, false),
+  smtpHost: process.env.SMTP_HOST,
+  smtpPort: parseNumber(process.env.SMTP_PORT, 587),
+  smtpSecure: parseBoolean(process.env.SMTP_SECURE, false), // true = implicit TLS (port 465), false = STARTTLS when offered
+  smtpUser: process.env.SMTP_USER,
+  smtpPass: process.env.SMTP_PASS,
+  emailFrom: process.env.EMAIL_FROM,
+  emailTo: parseList(process.env.EMAIL_TO),
+
+  // Webhook Notifications
+  slackWebhookUrls: parseList(process.env.SLACK_WEBHOOK_URLS), // Slack incoming webhooks (Block Kit)
+  discordWebhookUrls: parseList(process.env.DISCORD_WEBHOOK_URLS), // Discord webhooks (embeds)
+  webhookUrls: parseList(process.env.WEBHOOK_URLS), // Generic JSON webhooks
+  webhookTopSummaries: parseNumber(process.env.WEBHOOK_TOP_SUMMARIES, 5), // One-line summaries per notification
+  webhookFeedAlerts: parseBoolean(process.env.WEBHOOK_FEED_ALERTS, false), // Also post failed-feed alerts
 
   // Extensions
   extensionsEnabled: parseBoolean(process.env.EXTENSIONS_ENABLED, true),
@@ -103,6 +250,7 @@ config.feedCacheTtlMs = Math.max(0, config.feedCacheTtlMinutes) * 60 * 1000;
 config.digestCacheTtlMs = Math.max(0, config.digestCacheTtlMinutes) * 60 * 1000;
 config.feedCacheEnabled = config.feedCacheTtlMs > 0;
 config.digestCacheEnabled = config.enableDigestCache && config.digestCacheTtlMs > 0;
+config.dryRun = config.dryRun || config.dryRunPlaceholders; // Placeholder output is never written
 
 export const requireEnv = (key) => {
   const value = process.env[key];
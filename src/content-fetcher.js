@@ -1,14 +1,17 @@
 import * as cheerio from 'cheerio';
 import { config } from './config.js';
 import { retryOnError } from './retry.js';
+import { acquireRateLimit, hostKey } from './rate-limiter.js';
+import { blockToMarkdown, blocksToMarkdown, extractMainContent, getSections } from './extractor.js';
 
 /**
- * Fetch HTML content from a URL with timeout
+ * Fetch HTML content from a URL with timeout, within the host's rate limit
  * @param {string} url - The URL to fetch
  * @param {number} timeout - Timeout in milliseconds
  * @returns {Promise<string>} The HTML content
  */
 const fetchWithTimeout = async (url, timeout) => {
+  await acquireRateLimit(hostKey(url));
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeout);
   
@@ -25,6 +28,7 @@ const fetchWithTimeout = async (url, timeout) => {
     if (!response.ok) {
       const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
       error.status = response.status;
+      error.headers = response.headers;
       throw error;
     }
     
@@ -35,94 +39,95 @@ const fetchWithTimeout = async (url, timeout) => {
 };
 
 /**
- * Extract main content from HTML using various heuristics
+ * Join paragraphs shorter than a minimum length to the next one
+ * (the last short paragraph joins the previous one)
+ * @param {Array<string>} parts - Paragraphs in order
+ * @param {number} minLength - Minimum paragraph length
+ * @returns {Array<string>} Merged paragraphs
+ */
+const mergeShortParagraphs = (parts, minLength) => {
+  const merged = [];
+  let pending = '';
+  for (const part of parts) {
+    const text = pending ? `${pending} ${part}` : part;
+    if (text.length < minLength) {
+      pending = text;
+    } else {
+      merged.push(text);
+      pending = '';
+    }
+  }
+  if (pending) {
+    if (merged.length) {
+      merged[merged.length - 1] = `${merged[merged.length - 1]} ${pending}`;
+    } else {
+      merged.push(pending);
+    }
+  }
+  return merged;
+};
+
+/**
+ * Extract main content from HTML
  * @param {string} html - The HTML content
- * @param {string} url - The source URL (for context)
+ * @param {string} url - The source URL (for per-domain content selectors)
  * @returns {Object} Extracted content with title, text, and metadata
  */
-const extractContent = (html, url) => {
+export const extractContent = (html, url) => {
   const $ = cheerio.load(html);
   
-  // Remove unwanted elements
-  $('script, style, nav, header, footer, aside, iframe, noscript, [role="navigation"], [role="banner"], [role="contentinfo"], .ad, .advertisement, .social-share, .comments').remove();
-  
-  let title = '';
-  let content = '';
-  let description = '';
-  
   // Extract title
-  title = $('meta[property="og:title"]').attr('content') ||
+  const title = ($('meta[property="og:title"]').attr('content') ||
           $('meta[name="twitter:title"]').attr('content') ||
           $('title').text() ||
           $('h1').first().text() ||
-          '';
+          '').trim();
   
   // Extract description
-  description = $('meta[property="og:description"]').attr('content') ||
+  const description = ($('meta[property="og:description"]').attr('content') ||
                 $('meta[name="description"]').attr('content') ||
                 $('meta[name="twitter:description"]').attr('content') ||
-                '';
+                '').trim();
   
-  // Try to find main content using common selectors
-  const contentSelectors = [
-    'article',
-    '[role="main"]',
-    'main',
-    '.post-content',
-    '.entry-content',
-    '.article-content',
-    '.content',
-    '#content',
-    '.post-body',
-    '.article-body',
-  ];
-  
-  for (const selector of contentSelectors) {
-    const element = $(selector).first();
-    if (element.length && element.text().trim().length > 200) {
-      content = element.text();
-      break;
-    }
-  }
-  
-  // Fallback: use body content if no main content found
-  if (!content || content.trim().length < 100) {
-    content = $('body').text();
-  }
-  
-  // Don't collapse all whitespace yet - preserve paragraph structure
-  content = content
-    .replace(/\n\s*\n/g, '\n\n')
-    .trim();
-  
-  title = title.trim();
-  description = description.trim();
+  // Find the article body and its structure
+  const { content, blocks, method } = extractMainContent($, url);
   
   // Split into paragraphs using multiple strategies
   let paragraphs = [];
   
-  // Strategy 1: Split by double newlines (traditional paragraph breaks)
-  const byNewlines = content.split(/\n\n+/).map(p => p.trim()).filter(p => p.length > 100);
+  // Strategy 1: One paragraph per block, in Markdown
+  // Headings are joined to the block after them so a chunk never ends on one
+  const byBlocks = [];
+  let headings = [];
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      headings.push(blockToMarkdown(block));
+    } else {
+      byBlocks.push([...headings, blockToMarkdown(block)].join('\n\n'));
+      headings = [];
+    }
+  }
+  if (headings.length) {
+    byBlocks.push(headings.join('\n\n'));
+  }
   
-  if (byNewlines.length >= 3) {
+  if (byBlocks.length >= 3 || blocks.some(block => block.type !== 'paragraph')) {
     // Good paragraph extraction
-    paragraphs = byNewlines;
+    paragraphs = byBlocks;
   } else {
     // Strategy 2: Split by sentence groups (every 3-5 sentences)
     const sentences = content.split(/(?<=[.!?])\s+/);
     const sentencesPerParagraph = 4;
     
     for (let i = 0; i < sentences.length; i += sentencesPerParagraph) {
-      const paragraphText = sentences.slice(i, i + sentencesPerParagraph).join(' ').trim();
-      if (paragraphText.length > 100) {
+      const paragraphText = sentences.slice(i, i + sentencesPerParagraph).join(' ').replace(/\s+/g, ' ').trim();
+      if (paragraphText) {
         paragraphs.push(paragraphText);
       }
     }
+    paragraphs = mergeShortParagraphs(paragraphs, 100);
   }
   
-  // Limit to reasonable paragraph count
-  paragraphs = paragraphs.slice(0, 15);
-  
   // Now collapse whitespace for final content
   const cleanContent = content.replace(/\s+/g, ' ').trim();
   
@@ -130,8 +135,11 @@ const extractContent = (html, url) => {
     title,
     description,
     content: cleanContent,
+    markdown: blocksToMarkdown(blocks),
+    sections: getSections(blocks),
     paragraphs,
     wordCount: cleanContent.split(/\s+/).length,
+    extractionMethod: method,
   };
 };
 
@@ -141,15 +149,17 @@ const extractContent = (html, url) => {
  * @param {Object} options - Options
  * @param {boolean} [options.retry=true] - Whether to retry on failure
  * @param {string} [options.fallbackContent=''] - Fallback content if fetch fails
+ * @param {boolean} [options.fullArticle] - Per-feed override of ENABLE_FULL_ARTICLE_FETCH
  * @returns {Promise<Object>} Extracted content
  */
 export const fetchArticleContent = async (url, options = {}) => {
   const {
     retry = true,
     fallbackContent = '',
+    fullArticle = config.enableFullArticleFetch,
   } = options;
   
-  if (!config.enableFullArticleFetch) {
+  if (!fullArticle) {
     return {
       title: '',
       description: '',
@@ -168,6 +178,7 @@ export const fetchArticleContent = async (url, options = {}) => {
     
     if (retry) {
       return await retryOnError(fetchFn, {
+        rateLimitKey: hostKey(url),
         onRetry: (error, attempt, delay) => {
           console.warn(`Retry ${attempt} for ${url} after ${delay}ms: ${error.message}`);
         },
@@ -1,69 +1,150 @@
 /**
  * Date filtering utilities for daily digest
- * Filters articles by UTC day
+ * Filters articles by calendar day in the configured IANA timezone
+ * (DIGEST_TIMEZONE, default UTC). Day boundaries are computed from the
+ * zone's real offsets, so DST days are 23 or 25 hours long.
  */
 
+import { config } from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const partsFormatters = new Map();
+
 /**
- * Get the start and end of today in UTC
- * @returns {{start: Date, end: Date}} Today's UTC day range
+ * Get a cached formatter that splits a date into numeric parts for a timezone
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat} Formatter
  */
-export const getTodayRange = () => {
-  const now = new Date();
-  
-  const start = new Date(Date.UTC(
-    now.getUTCFullYear(),
-    now.getUTCMonth(),
-    now.getUTCDate(),
-    0, 0, 0, 0
-  ));
-  
-  const end = new Date(Date.UTC(
-    now.getUTCFullYear(),
-    now.getUTCMonth(),
-    now.getUTCDate(),
-    23, 59, 59, 999
-  ));
-  
-  return { start, end };
+const getPartsFormatter = (timeZone) => {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return partsFormatters.get(timeZone);
+};
+
+/**
+ * Get the wall-clock parts of a date in a timezone
+ * @param {Date} date - The date
+ * @param {string} timeZone - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+};
+
+/**
+ * Get a timezone's UTC offset at a given instant
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const wholeSeconds = Math.floor(timestamp / 1000) * 1000;
+  const p = getZonedParts(new Date(wholeSeconds), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeSeconds;
+};
+
+/**
+ * Convert the first instant of a local calendar day to UTC
+ * If midnight does not exist (DST starting at 00:00), the first existing
+ * instant of that day is returned.
+ * @param {number} year - Local year
+ * @param {number} month - Local month (1-12)
+ * @param {number} day - Local day (overflow is normalized)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Start of the local day
+ */
+const startOfZonedDay = (year, month, day, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day);
+  const firstOffset = getTimeZoneOffset(guess, timeZone);
+  let timestamp = guess - firstOffset;
+  const secondOffset = getTimeZoneOffset(timestamp, timeZone);
+  if (secondOffset !== firstOffset) {
+    const adjusted = guess - secondOffset;
+    // Keep the adjustment only if it still maps to local midnight;
+    // otherwise midnight fell into a DST gap and the transition instant is the day start
+    timestamp = getTimeZoneOffset(adjusted, timeZone) === secondOffset
+      ? adjusted
+      : Math.max(timestamp, adjusted);
+  }
+  return new Date(timestamp);
 };
 
 /**
  * Get the date range for a specific date
  * @param {Date} date - The date to get range for
- * @returns {{start: Date, end: Date}} The day's UTC range
+ * @param {string} [timeZone] - IANA timezone (defaults to DIGEST_TIMEZONE)
+ * @returns {{start: Date, end: Date}} The day's range in that timezone
  */
-export const getDateRange = (date) => {
-  const d = new Date(date);
-  
-  const start = new Date(Date.UTC(
-    d.getUTCFullYear(),
-    d.getUTCMonth(),
-    d.getUTCDate(),
-    0, 0, 0, 0
-  ));
-  
-  const end = new Date(Date.UTC(
-    d.getUTCFullYear(),
-    d.getUTCMonth(),
-    d.getUTCDate(),
-    23, 59, 59, 999
-  ));
-  
+export const getDateRange = (date, timeZone = config.timezone) => {
+  const { year, month, day } = getZonedParts(new Date(date), timeZone);
+  const start = startOfZonedDay(year, month, day, timeZone);
+  const end = new Date(startOfZonedDay(year, month, day + 1, timeZone).getTime() - 1);
   return { start, end };
 };
 
 /**
- * Check if a date is within today (UTC)
+ * Get the start and end of today
+ * @param {string} [timeZone] - IANA timezone (defaults to DIGEST_TIMEZONE)
+ * @returns {{start: Date, end: Date}} Today's day range
+ */
+export const getTodayRange = (timeZone = config.timezone) => {
+  return getDateRange(new Date(), timeZone);
+};
+
+/**
+ * Get the date range for a day ID
+ * @param {string} dateId - Day in YYYY-MM-DD form
+ * @param {string} [timeZone] - IANA timezone (defaults to DIGEST_TIMEZONE)
+ * @returns {{start: Date, end: Date}} The day's range in that timezone
+ */
+export const getDateIdRange = (dateId, timeZone = config.timezone) => {
+  const [year, month, day] = dateId.split('-').map(Number);
+  const start = startOfZonedDay(year, month, day, timeZone);
+  const end = new Date(startOfZonedDay(year, month, day + 1, timeZone).getTime() - 1);
+  return { start, end };
+};
+
+/**
+ * Shift a day ID by a number of calendar days
+ * @param {string} dateId - Day in YYYY-MM-DD form
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted day ID
+ */
+export const shiftDateId = (dateId, days) => {
+  const [year, month, day] = dateId.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+};
+
+/**
+ * Check if a date is within today
  * @param {Date|string} date - The date to check
+ * @param {string} [timeZone] - IANA timezone (defaults to DIGEST_TIMEZONE)
  * @returns {boolean} True if date is today
  */
-export const isToday = (date) => {
+export const isToday = (date, timeZone = config.timezone) => {
   if (!date) return false;
   
   const d = new Date(date);
   if (isNaN(d.getTime())) return false;
   
-  const { start, end } = getTodayRange();
+  const { start, end } = getTodayRange(timeZone);
   return d >= start && d <= end;
 };
 
@@ -84,24 +165,17 @@ export const isWithinRange = (date, start, end) => {
 };
 
 /**
- * Filter articles to only those published today (UTC)
+ * Filter articles to only those published today
  * @param {Array} entries - Array of feed entries with publishedAt field
+ * @param {string} [timeZone] - IANA timezone (defaults to DIGEST_TIMEZONE)
  * @returns {Array} Entries published today
  */
-export const filterTodayArticles = (entries) => {
+export const filterTodayArticles = (entries, timeZone = config.timezone) => {
   if (!entries || !Array.isArray(entries)) return [];
   
-  const { start, end } = getTodayRange();
+  const { start, end } = getTodayRange(timeZone);
   
-  return entries.filter(entry => {
-    const publishedAt = entry.publishedAt;
-    if (!publishedAt) return false;
-    
-    const date = new Date(publishedAt);
-    if (isNaN(date.getTime())) return false;
-    
-    return date >= start && date <= end;
-  });
+  return filterArticlesByRange(entries, start, end);
 };
 
 /**
@@ -128,35 +202,41 @@ export const filterArticlesByRange = (entries, start, end) => {
 /**
  * Get formatted date string for digest title
  * @param {Date} date - The date (defaults to today)
+ * @param {string} [timeZone] - IANA timezone (defaults to DIGEST_TIMEZONE)
  * @returns {string} Formatted date string (e.g., "January 9, 2026")
  */
-export const formatDateForTitle = (date = new Date()) => {
+export const formatDateForTitle = (date = new Date(), timeZone = config.timezone) => {
   return date.toLocaleDateString('en-US', {
     year: 'numeric',
     month: 'long',
     day: 'numeric',
-    timeZone: 'UTC'
+    timeZone,
   });
 };
 
 /**
  * Get ISO date string for IDs
  * @param {Date} date - The date (defaults to today)
+ * @param {string} [timeZone] - IANA timezone (defaults to DIGEST_TIMEZONE)
  * @returns {string} ISO date string (e.g., "2026-01-09")
  */
-export const formatDateForId = (date = new Date()) => {
-  return date.toISOString().split('T')[0];
+export const formatDateForId = (date = new Date(), timeZone = config.timezone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
 };
 
 /**
  * Get today's date info for logging
+ * @param {string} [timeZone] - IANA timezone (defaults to DIGEST_TIMEZONE)
  * @returns {Object} Date info
  */
-export const getTodayInfo = () => {
-  const { start, end } = getTodayRange();
+export const getTodayInfo = (timeZone = config.timezone) => {
+  const now = new Date();
+  const { start, end } = getTodayRange(timeZone);
   return {
-    dateString: formatDateForTitle(),
-    dateId: formatDateForId(),
+    dateString: formatDateForTitle(now, timeZone),
+    dateId: formatDateForId(now, timeZone),
+    timeZone,
     start: start.toISOString(),
     end: end.toISOString(),
   };
@@ -4,9 +4,14 @@ import path from 'path';
 import { config } from './config.js';
 import { fetchArticleContent, truncateText } from './content-fetcher.js';
 import { createChatCompletionWithFallback } from './model-fallback.js';
+import { computeContentFingerprint } from './clustering.js';
+import { addUsage, createBudgetError, createUsageTotals, isBudgetExceeded } from './usage.js';
+import { SUMMARY_SCHEMA, validateSummary, getSummaryResponseFormats } from './summary-schema.js';
+import { planArticleChunks } from './chunking.js';
 
 // Load custom prompt if it exists
 let customPrompt = null;
+const feedPrompts = new Map();
 try {
   const promptPath = path.join(config.projectRoot, 'summary-prompt.md');
   customPrompt = await fs.readFile(promptPath, 'utf-8');
@@ -17,13 +22,33 @@ try {
   }
 }
 
+/**
+ * Load a per-feed prompt file (cached for the run)
+ * @param {string} promptFile - Path relative to the project root
+ * @returns {Promise<string|null>} Prompt text, or null if it cannot be read
+ */
+const loadFeedPrompt = async (promptFile) => {
+  if (!feedPrompts.has(promptFile)) {
+    const promptPath = path.resolve(config.projectRoot, promptFile);
+    feedPrompts.set(promptFile, fs.readFile(promptPath, 'utf-8').catch((error) => {
+      console.warn(`Failed to load feed prompt ${promptFile}: ${error.message} (using default prompt)`);
+      return null;
+    }));
+  }
+  return feedPrompts.get(promptFile);
+};
+
 /**
  * Generate a hash for an item to use as cache key
+ * Per-feed prompt and language overrides are part of the key so a changed
+ * override does not serve a digest written under the old settings.
  * @param {Object} item - The feed item
+ * @param {Object} [feedOptions] - Per-feed options from the OPML outline
  * @returns {string} SHA-256 hash
  */
-export const generateItemHash = (item) => {
-  const key = `${item.title || ''}|${item.link || ''}|${item.publishedAt?.toISOString() || ''}`;
+export const generateItemHash = (item, feedOptions = {}) => {
+  const overrides = [feedOptions.promptFile, feedOptions.language].filter(Boolean);
+  const key = `${item.title || ''}|${item.link || ''}|${item.publishedAt?.toISOString() || ''}${overrides.length ? `|${overrides.join('|')}` : ''}`;
   return crypto.createHash('sha256').update(key).digest('hex');
 };
 
@@ -71,7 +96,7 @@ const readDigestCache = async (itemHash) => {
  * @param {Object} digest - The digest data
  */
 const writeDigestCache = async (itemHash, digest) => {
-  if (!config.digestCacheEnabled) {
+  if (!config.digestCacheEnabled || config.dryRun) {
     return;
   }
   
@@ -90,19 +115,38 @@ const writeDigestCache = async (itemHash, digest) => {
   }
 };
 
+/**
+ * Stop the digest when the daily budget runs out mid-article
+ * Other failures fall back to a simpler summary; a budget stop leaves the
+ * article unsummarized (and uncached) so a later run picks it up.
+ * @param {Error} error - Error of an API call
+ */
+const rethrowBudgetError = (error) => {
+  if (error?.code === 'BUDGET_EXCEEDED') {
+    throw error;
+  }
+};
+
 /**
  * Call OpenAI API to generate text
  * @param {Object} client - OpenAI client
  * @param {string} systemPrompt - System prompt
  * @param {string} userPrompt - User prompt
- * @returns {Promise<string>} Generated text
+ * @param {Object} [modelTracker] - Tracks models and token usage for the digest
+ * @param {string} [language] - Language override for the output
+ * @param {Object} [options] - Request options
+ * @param {Array<Object|null>} [options.responseFormats] - response_format values to try, best first
+ * @returns {Promise<{content: string, model: string, responseFormat: string}>} Generated text
  */
-const callOpenAI = async (client, systemPrompt, userPrompt, modelTracker = null) => {
-  const { response, model } = await createChatCompletionWithFallback(
+const callOpenAI = async (client, systemPrompt, userPrompt, modelTracker = null, language = null, options = {}) => {
+  const languageInstruction = language
+    ? `\n\nWrite all output in ${language}. This overrides any other language instruction.`
+    : '';
+  const { response, model, usage, responseFormat } = await createChatCompletionWithFallback(
     client,
     {
       messages: [
-        { role: 'system', content: systemPrompt },
+        { role: 'system', content: `${systemPrompt}${languageInstruction}` },
         { role: 'user', content: userPrompt },
       ],
       temperature: 0.7,
@@ -113,17 +157,20 @@ const callOpenAI = async (client, systemPrompt, userPrompt, modelTracker = null)
         console.warn(`  ⚠️  Model ${failedModel} failed: ${error.message}`);
         console.warn(`  → Falling back to model ${nextModel}`);
       },
+      responseFormats: options.responseFormats,
     }
   );
 
   if (modelTracker) {
     modelTracker.successfulModel = model;
     modelTracker.usedModels.add(model);
+    addUsage(modelTracker.usage, usage);
   }
 
   return {
     content: response.choices?.[0]?.message?.content?.trim() || '',
     model,
+    responseFormat,
   };
 };
 
@@ -132,7 +179,7 @@ const callOpenAI = async (client, systemPrompt, userPrompt, modelTracker = null)
  * @param {string} response - Raw response
  * @returns {Object|null} Parsed object or null
  */
-const extractJson = (response) => {
+export const extractJson = (response) => {
   if (!response) return null;
   
   // Try direct parse first
@@ -166,62 +213,115 @@ const extractJson = (response) => {
 };
 
 /**
- * Generate all summaries using custom prompt (if available)
- * @param {Object} client - OpenAI client
- * @param {string} content - Full article content
- * @returns {Promise<Object|null>} Structured summary or null if custom prompt not used
+ * Parse a custom-prompt response and validate it against the summary schema
+ * @param {string} response - Raw model output
+ * @returns {{summary: Object|null, errors: Array<string>}} Parsed summary and validation errors
  */
-const generateWithCustomPrompt = async (client, content, modelTracker) => {
-  if (!customPrompt) {
-    return null;
+const parseSummaryResponse = (response) => {
+  const summary = extractJson(response);
+  if (!summary) {
+    return { summary: null, errors: ['response is not valid JSON'] };
   }
+  return { summary, errors: validateSummary(summary) };
+};
+
+/**
+ * Ask the model to fix a summary that failed validation
+ * Only the invalid output is sent back, not the article.
+ * @param {Object} client - OpenAI client
+ * @param {string} response - Invalid model output
+ * @param {Array<string>} errors - Validation errors
+ * @param {Object} modelTracker - Tracks models used for the digest
+ * @param {string} [language] - Language override
+ * @param {Array<Object|null>} responseFormats - response_format values to try
+ * @returns {Promise<{summary: Object|null, errors: Array<string>}>} Repaired summary and remaining errors
+ */
+const repairSummary = async (client, response, errors, modelTracker, language, responseFormats) => {
+  const userPrompt = `This JSON does not match the required schema.
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Schema:
+${JSON.stringify(SUMMARY_SCHEMA)}
+
+JSON to fix:
+${response}
+
+Keep the existing summaries and only fix the structure. Output ONLY the corrected JSON object.`;
   
-  console.log(`  → Using custom prompt to generate all summaries...`);
-  
-  const truncatedContent = truncateText(content, 12000);
+  const { content } = await callOpenAI(
+    client,
+    'You fix JSON documents so they match a JSON schema. Output ONLY valid JSON - no markdown, no code blocks, no explanations.',
+    userPrompt,
+    modelTracker,
+    language,
+    { responseFormats }
+  );
+  return parseSummaryResponse(content);
+};
+
+/**
+ * Run the custom prompt on one text
+ * Asks for structured output (STRUCTURED_OUTPUT) where the provider supports
+ * it, validates the result against the summary schema and sends one repair
+ * request when validation fails. Request errors are retried up to
+ * MAX_RETRIES times; a summary still invalid after its repair is not.
+ * @param {Object} client - OpenAI client
+ * @param {string} text - Article text, or one chunk of it
+ * @param {Object} modelTracker - Tracks models used for the digest
+ * @param {string} prompt - Prompt text (per-feed or summary-prompt.md)
+ * @param {string} [language] - Language override
+ * @param {string} [label] - Part being summarized, for logs
+ * @returns {Promise<Object|null>} Structured summary, or null if no valid one was produced
+ */
+const summarizeWithCustomPrompt = async (client, text, modelTracker, prompt, language, label = '') => {
   const maxRetries = config.maxRetries || 3;
+  const responseFormats = getSummaryResponseFormats(config.structuredOutput);
+  const labelSuffix = label ? ` for ${label}` : '';
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const userPrompt = `${customPrompt}
+      const userPrompt = `${prompt}
 
 ## Article to Summarize:
 
-${truncatedContent}
+${text}
 
 IMPORTANT: Output ONLY the JSON object, no markdown formatting, no code blocks, no additional text.`;
       
-      const { content: response } = await callOpenAI(
+      const { content: response, responseFormat } = await callOpenAI(
         client,
         'You are an article summarization agent. Follow the instructions exactly. Output ONLY valid JSON - no markdown, no code blocks, no explanations.',
         userPrompt,
-        modelTracker
+        modelTracker,
+        language,
+        { responseFormats }
       );
       
-      // Try to parse JSON response
-      const result = extractJson(response);
-      
-      if (result) {
-        console.log(`  ✓ Custom prompt generated: ${result.metadata?.paragraph_count || result.paragraph_summary?.length || 0} paragraphs`);
-        await new Promise(resolve => setTimeout(resolve, config.rateLimitDelayMs));
-        return result;
+      let { summary, errors } = parseSummaryResponse(response);
+      if (errors.length) {
+        console.warn(`  ⚠️  Summary${labelSuffix} failed validation (${errors.slice(0, 3).join('; ')}), requesting a repair...`);
+        ({ summary, errors } = await repairSummary(client, response, errors, modelTracker, language, responseFormats));
       }
       
-      // JSON parsing failed
-      if (attempt < maxRetries) {
-        console.warn(`  ⚠️  JSON parse failed (attempt ${attempt}/${maxRetries}), retrying...`);
-        await new Promise(resolve => setTimeout(resolve, config.rateLimitDelayMs * 2));
-      } else {
-        console.warn(`  ⚠️  Failed to parse custom prompt JSON after ${maxRetries} attempts`);
-        console.warn(`  Response preview:`, response.slice(0, 150).replace(/\n/g, ' '));
+      if (!errors.length) {
+        console.log(`  ✓ Custom prompt generated${labelSuffix} (${responseFormat}): ${summary.metadata?.paragraph_count || summary.paragraph_summary?.length || 0} paragraphs`);
+        await new Promise(resolve => setTimeout(resolve, config.rateLimitDelayMs));
+        return summary;
       }
       
+      // Still invalid after the repair: the caller falls back to the multi-step digest
+      console.warn(`  ⚠️  Summary${labelSuffix} still invalid after repair: ${errors.slice(0, 3).join('; ')}`);
+      console.warn(`  Response preview:`, response.slice(0, 150).replace(/\n/g, ' '));
+      return null;
     } catch (error) {
+      rethrowBudgetError(error);
       if (attempt < maxRetries) {
-        console.warn(`  ⚠️  Custom prompt error (attempt ${attempt}/${maxRetries}): ${error.message}`);
+        console.warn(`  ⚠️  Custom prompt error${labelSuffix} (attempt ${attempt}/${maxRetries}): ${error.message}`);
         await new Promise(resolve => setTimeout(resolve, config.rateLimitDelayMs * 2));
       } else {
-        console.error(`  ✗ Failed with custom prompt after ${maxRetries} attempts:`, error.message);
+        console.error(`  ✗ Failed with custom prompt${labelSuffix} after ${maxRetries} attempts:`, error.message);
       }
     }
   }
@@ -229,13 +329,197 @@ IMPORTANT: Output ONLY the JSON object, no markdown formatting, no code blocks,
   return null;
 };
 
+/**
+ * Find the author's sections in a chunk of an article
+ * Text before the chunk's first heading belongs to the section the previous
+ * chunk ended in.
+ * @param {string} chunk - Markdown chunk
+ * @param {Array<string>} titles - Section headings of the article
+ * @param {string|null} previous - Section the previous chunk ended in (null = the introduction)
+ * @returns {Array<string|null>} Section headings in order, null for the introduction
+ */
+const getChunkSections = (chunk, titles, previous) => {
+  const sections = [];
+  let inCode = false;
+  for (const line of chunk.split('\n')) {
+    if (line.startsWith('```')) {
+      inCode = !inCode;
+    }
+    const heading = inCode ? null : line.match(/^#{1,6} (.+)$/)?.[1];
+    if (heading && titles.includes(heading)) {
+      sections.push(heading);
+    } else if (!heading && !sections.length && line.trim()) {
+      sections.push(previous);
+    }
+  }
+  return sections;
+};
+
+/**
+ * Map each chunk to the author's sections it holds
+ * @param {Array<string>} chunks - Markdown chunks in order
+ * @param {Array<Object>} [sections] - Article sections from the content fetcher
+ * @returns {Array<Array<string|null>|null>} Section headings per chunk, or null where
+ *   the chunk holds fewer than two sections (the model then picks its own)
+ */
+const planChunkSections = (chunks, sections) => {
+  const titles = (sections ?? []).map(section => section.title).filter(Boolean);
+  if (titles.length < 2) {
+    return chunks.map(() => null);
+  }
+  let previous = null;
+  return chunks.map((chunk) => {
+    const found = getChunkSections(chunk, titles, previous);
+    previous = found.at(-1) ?? previous;
+    return found.length >= 2 ? found : null;
+  });
+};
+
+/**
+ * List the author's sections for a prompt
+ * @param {Array<string|null>} sections - Section headings, null for the introduction
+ * @returns {string} Numbered list
+ */
+const formatSectionList = (sections) => sections
+  .map((title, index) => `${index + 1}. ${title ?? '(Introduction: the text before the first heading)'}`)
+  .join('\n');
+
+/**
+ * Log how a long article is split for summarization
+ * @param {Object} plan - Chunk plan from planArticleChunks()
+ */
+const logChunkPlan = (plan) => {
+  console.log(`  → Article is ~${plan.tokens} tokens, summarizing in ${plan.chunks.length} chunks of up to ${plan.budget} tokens`);
+  if (plan.dropped > 0) {
+    console.warn(`  ⚠️  Leaving out the last ${plan.dropped} chunks (MAX_ARTICLE_CHUNKS=${config.maxArticleChunks})`);
+  }
+};
+
+/**
+ * Generate all summaries using custom prompt (if available)
+ * Articles longer than the chunk budget are summarized map-reduce style:
+ * the prompt runs on each chunk, then once more on the chunk summaries to
+ * write the overall and one-line summaries. The paragraph summaries of all
+ * chunks are kept, so they cover the whole article. When the article has
+ * headings, the model is asked for one paragraph summary per section, and
+ * the headings become their titles.
+ * @param {Object} client - OpenAI client
+ * @param {string} content - Full article content (Markdown when the page was fetched)
+ * @param {Array<string>} paragraphs - Article paragraphs, used as chunk boundaries
+ * @param {Array<Object>} sections - Article sections from the content fetcher
+ * @param {Object} modelTracker - Tracks models used for the digest
+ * @param {string|null} prompt - Prompt text (per-feed or summary-prompt.md)
+ * @param {string} [language] - Language override
+ * @returns {Promise<Object|null>} Structured summary or null if custom prompt not used;
+ *   `sectionTitles` holds the heading of each paragraph summary (null where unknown)
+ */
+const generateWithCustomPrompt = async (client, content, paragraphs, sections, modelTracker, prompt, language) => {
+  if (!prompt) {
+    return null;
+  }
+  
+  console.log(`  → Using custom prompt to generate all summaries...`);
+  
+  const plan = planArticleChunks(content, paragraphs, prompt);
+  const chunkSections = planChunkSections(plan.chunks, sections);
+  const summarizeChunk = async (text, outline, label) => {
+    const sectionNote = outline
+      ? `(The article is in Markdown. Its sections, in order, are:\n${formatSectionList(outline)}\nWrite exactly one paragraph_summary entry per section, in this order.)\n\n`
+      : '';
+    const summary = await summarizeWithCustomPrompt(client, `${sectionNote}${text}`, modelTracker, prompt, language, label);
+    if (!summary) {
+      return null;
+    }
+    const titles = outline?.length === summary.paragraph_summary.length ? outline : [];
+    return { ...summary, sectionTitles: summary.paragraph_summary.map((_, index) => titles[index] ?? null) };
+  };
+  
+  if (plan.chunks.length === 1) {
+    return await summarizeChunk(plan.chunks[0], chunkSections[0]);
+  }
+  
+  logChunkPlan(plan);
+  const total = plan.chunks.length;
+  const partials = [];
+  for (const [index, chunk] of plan.chunks.entries()) {
+    const label = `part ${index + 1}/${total}`;
+    const text = `(Part ${index + 1} of ${total} of a longer article. Summarize only this part.)\n\n${chunk}`;
+    const partial = await summarizeChunk(text, chunkSections[index], label);
+    if (partial) {
+      partials.push(partial);
+    }
+  }
+  if (!partials.length) {
+    return null;
+  }
+  
+  const partSummaries = partials.map((partial, index) => [
+    `### Part ${index + 1}`,
+    partial.overall_summary,
+    ...partial.paragraph_summary.map(summary => `- ${summary}`),
+  ].join('\n')).join('\n\n');
+  const merged = await summarizeWithCustomPrompt(
+    client,
+    `The article was too long for one request. These are summaries of its ${partials.length} parts, in order. Summarize the whole article from them.\n\n${partSummaries}`,
+    modelTracker,
+    prompt,
+    language,
+    'the merged parts'
+  );
+  if (!merged) {
+    return null;
+  }
+  
+  const paragraphSummary = partials.flatMap(partial => partial.paragraph_summary);
+  const missing = total - partials.length + plan.dropped;
+  const notes = [`Summarized in ${partials.length} parts`, ...(missing > 0 ? [`${missing} parts missing`] : [])];
+  return {
+    ...merged,
+    paragraph_summary: paragraphSummary,
+    sectionTitles: partials.flatMap(partial => partial.sectionTitles),
+    metadata: {
+      ...merged.metadata,
+      paragraph_count: paragraphSummary.length,
+      processing_note: [merged.metadata?.processing_note, notes.join(', ')].filter(Boolean).join('; '),
+    },
+  };
+};
+
+/**
+ * Parse the section list of a paragraph-digest response
+ * @param {string} response - Raw model output
+ * @returns {Array<Object>} Sections with title and summary
+ */
+const parseSectionList = (response) => {
+  try {
+    // Extract JSON from response (in case there's markdown formatting)
+    const jsonMatch = response.match(/\[[\s\S]*\]/);
+    const jsonStr = jsonMatch ? jsonMatch[0] : response;
+    return JSON.parse(jsonStr);
+  } catch (parseError) {
+    console.warn('  ⚠️  AI did not return valid JSON, falling back to simple split');
+    // Fallback: treat response as plain text and split by lines
+    return response
+      .split(/\n+/)
+      .filter(line => line.trim().length > 20)
+      .map((line, index) => ({
+        title: `Point ${index + 1}`,
+        summary: line.trim()
+      }));
+  }
+};
+
 /**
  * Ask AI to split content into logical paragraphs/sections and summarize them
+ * Long articles are split into chunks that are analyzed one by one. When the
+ * article has headings, its own sections are summarized under their headings.
  * @param {Object} client - OpenAI client
- * @param {string} content - Full article content
+ * @param {string} content - Full article content (Markdown when the page was fetched)
+ * @param {Array<string>} articleParagraphs - Article paragraphs, used as chunk boundaries
+ * @param {Array<Object>} sections - Article sections from the content fetcher
  * @returns {Promise<Array<Object>>} Array of paragraph digests
  */
-const generateParagraphDigests = async (client, content, modelTracker) => {
+const generateParagraphDigests = async (client, content, articleParagraphs, sections, modelTracker, language) => {
   if (!content || content.trim().length < 200) {
     console.log('  ⚠️  Content too short for paragraph digest generation');
     return [];
@@ -244,47 +528,50 @@ const generateParagraphDigests = async (client, content, modelTracker) => {
   console.log(`  → Asking AI to split and summarize content...`);
   
   try {
-    // Truncate content if too long
-    const truncatedContent = truncateText(content, 8000);
-    
     const systemPrompt = 'You are a technical content analyzer for senior developers. Your task is to intelligently split content into logical sections and create summaries.';
     
-    const userPrompt = `Analyze this article and break it down into 5-8 key sections or main points. For each section, provide:
-1. A brief title (2-4 words)
+    const plan = planArticleChunks(content, articleParagraphs, systemPrompt);
+    if (plan.chunks.length > 1) {
+      logChunkPlan(plan);
+    }
+    const chunkSections = planChunkSections(plan.chunks, sections);
+    
+    const paragraphs = [];
+    for (const [index, chunk] of plan.chunks.entries()) {
+      const outline = chunkSections[index];
+      const part = plan.chunks.length > 1 ? `This is part ${index + 1} of ${plan.chunks.length} of a longer article.` : '';
+      const scope = outline
+        ? `${part ? `${part} This part` : 'This article'} covers these sections, as headed by the author:\n${formatSectionList(outline)}\nSummarize each of these sections, in order.`
+        : part
+          ? `${part} Break this part down into 2-4 key sections or main points.`
+          : 'Analyze this article and break it down into 5-8 key sections or main points.';
+      const titleInstruction = outline
+        ? 'The section heading as the title (a brief title for the introduction)'
+        : 'A brief title (2-4 words)';
+      const userPrompt = `${scope} For each section, provide:
+1. ${titleInstruction}
 2. A concise 1-2 sentence summary
 
 Format your response as a JSON array with objects containing "title" and "summary" fields.
 
 Article content:
-${truncatedContent}
+${chunk}
 
 Respond ONLY with valid JSON, no additional text.`;
-    
-    const { content: response } = await callOpenAI(client, systemPrompt, userPrompt, modelTracker);
-    
-    // Try to parse JSON response
-    let paragraphs;
-    try {
-      // Extract JSON from response (in case there's markdown formatting)
-      const jsonMatch = response.match(/\[[\s\S]*\]/);
-      const jsonStr = jsonMatch ? jsonMatch[0] : response;
-      paragraphs = JSON.parse(jsonStr);
-    } catch (parseError) {
-      console.warn('  ⚠️  AI did not return valid JSON, falling back to simple split');
-      // Fallback: treat response as plain text and split by lines
-      paragraphs = response
-        .split(/\n+/)
-        .filter(line => line.trim().length > 20)
-        .map((line, index) => ({
-          title: `Point ${index + 1}`,
-          summary: line.trim()
-        }));
+      
+      const { content: response } = await callOpenAI(client, systemPrompt, userPrompt, modelTracker, language);
+      const parsed = parseSectionList(response);
+      // Keep the author's exact headings when every section was answered
+      paragraphs.push(...(outline?.length === parsed.length
+        ? parsed.map((section, i) => ({ ...section, title: outline[i] ?? section?.title }))
+        : parsed));
     }
     
     // Validate and format results
+    const sectionCount = chunkSections.reduce((count, outline) => count + (outline?.length ?? 0), 0);
     const digests = paragraphs
       .filter(p => p && (p.summary || p.content))
-      .slice(0, 10) // Limit to 10
+      .slice(0, Math.max(10, plan.chunks.length * 4, sectionCount)) // Limit to 10 (4 per chunk for long articles, or one per section)
       .map((p, index) => ({
         index,
         title: p.title || `Section ${index + 1}`,
@@ -298,11 +585,12 @@ Respond ONLY with valid JSON, no additional text.`;
     return digests;
     
   } catch (error) {
+    rethrowBudgetError(error);
     console.error('  ✗ Failed to generate AI-split paragraphs:', error.message);
     
     // Fallback to manual split
     console.log('  → Falling back to manual paragraph splitting...');
-    return await generateParagraphDigestsManual(client, content, modelTracker);
+    return await generateParagraphDigestsManual(client, content, modelTracker, language);
   }
 };
 
@@ -312,7 +600,7 @@ Respond ONLY with valid JSON, no additional text.`;
  * @param {string} content - Full article content
  * @returns {Promise<Array<Object>>} Array of paragraph digests
  */
-const generateParagraphDigestsManual = async (client, content, modelTracker) => {
+const generateParagraphDigestsManual = async (client, content, modelTracker, language) => {
   // Simple split by sentences grouped together
   const sentences = content.split(/(?<=[.!?])\s+/);
   const paragraphs = [];
@@ -334,7 +622,7 @@ const generateParagraphDigestsManual = async (client, content, modelTracker) =>
   for (const [index, paragraph] of limitedParagraphs.entries()) {
     try {
       const userPrompt = `Summarize in 1-2 sentences:\n\n${truncateText(paragraph, 800)}`;
-      const { content: summary } = await callOpenAI(client, systemPrompt, userPrompt, modelTracker);
+      const { content: summary } = await callOpenAI(client, systemPrompt, userPrompt, modelTracker, language);
       
       digests.push({
         index,
@@ -348,6 +636,7 @@ const generateParagraphDigestsManual = async (client, content, modelTracker) =>
         await new Promise(resolve => setTimeout(resolve, config.rateLimitDelayMs));
       }
     } catch (error) {
+      rethrowBudgetError(error);
       console.error(`    [${index + 1}] ✗ ${error.message}`);
     }
   }
@@ -362,7 +651,7 @@ const generateParagraphDigestsManual = async (client, content, modelTracker) =>
  * @param {string} fullContent - Full article content
  * @returns {Promise<string>} Section digest
  */
-const generateSectionDigest = async (client, paragraphDigests, fullContent, modelTracker) => {
+const generateSectionDigest = async (client, paragraphDigests, fullContent, modelTracker, language) => {
   if (!paragraphDigests || paragraphDigests.length === 0) {
     return '';
   }
@@ -375,12 +664,13 @@ const generateSectionDigest = async (client, paragraphDigests, fullContent, mode
     const systemPrompt = 'You are a technical content analyzer. Identify and summarize key sections or themes from the content.';
     const userPrompt = `Based on these paragraph summaries, identify 2-3 main sections or themes and provide a brief summary for each:\n\n${combinedParagraphs}`;
     
-    const { content: sectionSummary } = await callOpenAI(client, systemPrompt, userPrompt, modelTracker);
+    const { content: sectionSummary } = await callOpenAI(client, systemPrompt, userPrompt, modelTracker, language);
     
     await new Promise(resolve => setTimeout(resolve, config.rateLimitDelayMs));
     
     return sectionSummary;
   } catch (error) {
+    rethrowBudgetError(error);
     console.error('Failed to generate section digest:', error.message);
     return paragraphDigests.slice(0, 3).map(p => p.summary).join(' ');
   }
@@ -394,7 +684,7 @@ const generateSectionDigest = async (client, paragraphDigests, fullContent, mode
  * @param {Array<Object>} paragraphDigests - Paragraph digests
  * @returns {Promise<string>} Overall digest
  */
-const generateOverallDigest = async (client, title, content, paragraphDigests, modelTracker) => {
+const generateOverallDigest = async (client, title, content, paragraphDigests, modelTracker, language) => {
   try {
     const contextContent = paragraphDigests && paragraphDigests.length > 0
       ? paragraphDigests.map(p => p.summary).join('\n')
@@ -403,12 +693,13 @@ const generateOverallDigest = async (client, title, content, paragraphDigests, m
     const systemPrompt = 'You are a technical content summarizer for senior software developers. Create comprehensive yet concise summaries.';
     const userPrompt = `Write a comprehensive summary (3-5 sentences) of this article:\n\nTitle: ${title}\n\nContent:\n${contextContent}`;
     
-    const { content: overallSummary } = await callOpenAI(client, systemPrompt, userPrompt, modelTracker);
+    const { content: overallSummary } = await callOpenAI(client, systemPrompt, userPrompt, modelTracker, language);
     
     await new Promise(resolve => setTimeout(resolve, config.rateLimitDelayMs));
     
     return overallSummary;
   } catch (error) {
+    rethrowBudgetError(error);
     console.error('Failed to generate overall digest:', error.message);
     return truncateText(content, 300);
   }
@@ -421,62 +712,116 @@ const generateOverallDigest = async (client, title, content, paragraphDigests, m
  * @param {string} overallDigest - Overall digest
  * @returns {Promise<string>} One-line digest
  */
-const generateOneLineDigest = async (client, title, overallDigest, modelTracker) => {
+const generateOneLineDigest = async (client, title, overallDigest, modelTracker, language) => {
   try {
     const systemPrompt = 'You are a technical content summarizer. Create ultra-concise one-line summaries.';
     const userPrompt = `Create a single sentence summary (max 20 words) of this article:\n\nTitle: ${title}\n\nSummary: ${overallDigest}`;
     
-    const { content: oneLineSummary } = await callOpenAI(client, systemPrompt, userPrompt, modelTracker);
+    const { content: oneLineSummary } = await callOpenAI(client, systemPrompt, userPrompt, modelTracker, language);
     
     await new Promise(resolve => setTimeout(resolve, config.rateLimitDelayMs));
     
     return oneLineSummary;
   } catch (error) {
+    rethrowBudgetError(error);
     console.error('Failed to generate one-line digest:', error.message);
     return truncateText(overallDigest, 100);
   }
 };
 
+/**
+ * Build a placeholder digest for dry runs without LLM calls
+ * Uses the feed description so the rendered digest keeps a realistic shape.
+ * @param {string} itemHash - The item hash
+ * @param {Object} item - Feed item
+ * @returns {Object} Digest with the same structure as a generated one
+ */
+const buildPlaceholderDigest = (itemHash, item) => {
+  const description = (item.description || '').replace(/\s+/g, ' ').trim();
+  return {
+    itemHash,
+    title: item.title,
+    link: item.link,
+    sourceTitle: item.sourceTitle,
+    publishedAt: item.publishedAt,
+    placeholder: true,
+    articleContent: {
+      fetchedSuccessfully: false,
+      wordCount: description ? description.split(' ').length : 0,
+      error: null,
+    },
+    modelUsage: {
+      successfulModel: null,
+      usedModels: [],
+    },
+    digests: {
+      paragraphs: [],
+      sections: '',
+      overall: description.slice(0, config.summaryCharLimit) || '[placeholder] No description in feed',
+      oneLine: `[placeholder] ${item.title}`,
+    },
+  };
+};
+
 /**
  * Generate multi-layer digest for an article
  * @param {Object} client - OpenAI client
  * @param {Object} item - Feed item with title, link, description, etc.
+ * @param {Object} [feedOptions] - Per-feed options (fullArticle, promptFile, language)
  * @returns {Promise<Object>} Multi-layer digest
  */
-export const generateMultiLayerDigest = async (client, item) => {
-  const itemHash = generateItemHash(item);
+export const generateMultiLayerDigest = async (client, item, feedOptions = {}) => {
+  const itemHash = generateItemHash(item, feedOptions);
+  const { language } = feedOptions;
   
   // Check cache first
   const cached = await readDigestCache(itemHash);
   if (cached) {
     console.log(`Using cached digest for: ${item.title}`);
-    return cached;
+    return { ...cached, fromCache: true };
+  }
+  
+  if (config.dryRunPlaceholders) {
+    return buildPlaceholderDigest(itemHash, item);
+  }
+  
+  // DAILY_BUDGET_USD only stops new summaries; cached digests are still served
+  if (isBudgetExceeded()) {
+    throw createBudgetError();
   }
   
   console.log(`Generating digest for: ${item.title}`);
   const modelTracker = {
     successfulModel: null,
     usedModels: new Set(),
+    usage: createUsageTotals(),
   };
   
   // Fetch full article content
   const articleContent = await fetchArticleContent(item.link, {
     fallbackContent: item.description || '',
+    fullArticle: feedOptions.fullArticle,
   });
   
   // Log content extraction results
   if (articleContent.fetchError) {
     console.log(`  ⚠️  Article fetch failed: ${articleContent.fetchError} (using fallback)`);
   } else {
-    console.log(`  ✓ Fetched article: ${articleContent.wordCount} words, ${articleContent.paragraphs.length} paragraphs`);
+    const sectionCount = articleContent.sections?.length ? `, ${articleContent.sections.length} sections` : '';
+    console.log(`  ✓ Fetched article: ${articleContent.wordCount} words, ${articleContent.paragraphs.length} paragraphs${sectionCount}`);
   }
   
   const content = articleContent.content || item.description || '';
+  // Prompts get the article as Markdown, so headings, code and lists survive
+  const articleText = articleContent.markdown || content;
   
   console.log(`  → Content ready: ${content.split(' ').length} words`);
   
   // Try custom prompt first (single API call for all summaries)
-  const customResult = await generateWithCustomPrompt(client, content, modelTracker);
+  const prompt = feedOptions.promptFile
+    ? (await loadFeedPrompt(feedOptions.promptFile)) ?? customPrompt
+    : customPrompt;
+  const customResult = await generateWithCustomPrompt(client, articleText, articleContent.paragraphs, articleContent.sections, modelTracker, prompt, language);
   
   let paragraphDigests, sectionDigest, overallDigest, oneLineDigest;
   
@@ -484,7 +829,7 @@ export const generateMultiLayerDigest = async (client, item) => {
     // Use custom prompt results
     paragraphDigests = (customResult.paragraph_summary || []).map((summary, index) => ({
       index,
-      title: `Section ${index + 1}`,
+      title: customResult.sectionTitles?.[index] ?? `Section ${index + 1}`,
       summary,
     }));
     sectionDigest = ''; // Not used with custom prompt
@@ -494,16 +839,16 @@ export const generateMultiLayerDigest = async (client, item) => {
     // Fallback to multi-step approach
     console.log(`  → Falling back to multi-step digest generation...`);
     
-    paragraphDigests = await generateParagraphDigests(client, content, modelTracker);
+    paragraphDigests = await generateParagraphDigests(client, articleText, articleContent.paragraphs, articleContent.sections, modelTracker, language);
     
     console.log(`  → Generating section digest...`);
-    sectionDigest = await generateSectionDigest(client, paragraphDigests, content, modelTracker);
+    sectionDigest = await generateSectionDigest(client, paragraphDigests, content, modelTracker, language);
     
     console.log(`  → Generating overall digest...`);
-    overallDigest = await generateOverallDigest(client, item.title, content, paragraphDigests, modelTracker);
+    overallDigest = await generateOverallDigest(client, item.title, content, paragraphDigests, modelTracker, language);
     
     console.log(`  → Generating one-line digest...`);
-    oneLineDigest = await generateOneLineDigest(client, item.title, overallDigest, modelTracker);
+    oneLineDigest = await generateOneLineDigest(client, item.title, overallDigest, modelTracker, language);
   }
   
   const digest = {
@@ -516,11 +861,13 @@ export const generateMultiLayerDigest = async (client, item) => {
       fetchedSuccessfully: !articleContent.fetchError,
       wordCount: articleContent.wordCount,
       error: articleContent.fetchError,
+      fingerprint: computeContentFingerprint(content),
     },
     modelUsage: {
       successfulModel: modelTracker.successfulModel,
       usedModels: [...modelTracker.usedModels],
     },
+    usage: modelTracker.usage,
     digests: {
       paragraphs: paragraphDigests,
       sections: sectionDigest,
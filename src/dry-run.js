@@ -0,0 +1,191 @@
+import fs from 'fs/promises';
+
+/**
+ * Dry-run reporting
+ * Prints what a run would have produced instead of writing it: the selected
+ * feeds and items, cache hits, the rendered digest HTML and a line diff
+ * against the current output feed.
+ */
+
+// Largest changed region (in lines per side) diffed line by line
+const MAX_DIFF_LINES = 4000;
+const CONTEXT_LINES = 2;
+
+/**
+ * Compute a line diff between two texts
+ * Common leading and trailing lines are trimmed before the LCS table is built,
+ * so prepending a new digest entry to a long feed stays cheap.
+ * @param {string} oldText - Current content
+ * @param {string} newText - New content
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>|null} Diff operations, or null if the change is too large
+ */
+export const diffLines = (oldText, newText) => {
+  const a = oldText ? oldText.split('\n') : [];
+  const b = newText ? newText.split('\n') : [];
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+  if (oldMiddle.length > MAX_DIFF_LINES || newMiddle.length > MAX_DIFF_LINES) {
+    return null;
+  }
+
+  // lcs[i][j] = length of the LCS of oldMiddle[i:] and newMiddle[j:]
+  const rows = oldMiddle.length + 1;
+  const cols = newMiddle.length + 1;
+  const lcs = new Uint32Array(rows * cols);
+  for (let i = oldMiddle.length - 1; i >= 0; i--) {
+    for (let j = newMiddle.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] = oldMiddle[i] === newMiddle[j]
+        ? lcs[(i + 1) * cols + j + 1] + 1
+        : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < oldMiddle.length || j < newMiddle.length) {
+    if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+      ops.push({ type: ' ', line: oldMiddle[i] });
+      i++;
+      j++;
+    } else if (i < oldMiddle.length && (j === newMiddle.length || lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1])) {
+      ops.push({ type: '-', line: oldMiddle[i] });
+      i++;
+    } else {
+      ops.push({ type: '+', line: newMiddle[j] });
+      j++;
+    }
+  }
+  ops.push(...a.slice(a.length - suffix).map(line => ({ type: ' ', line })));
+
+  return ops;
+};
+
+/**
+ * Format diff operations as unified-style hunks
+ * @param {Array<{type: string, line: string}>} ops - Diff operations
+ * @returns {string} Hunks with a few lines of context, or '' if nothing changed
+ */
+export const formatDiff = (ops) => {
+  const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter(index => index >= 0);
+  if (!changed.length) {
+    return '';
+  }
+
+  // Merge changes whose context windows overlap into one hunk
+  const hunks = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - CONTEXT_LINES);
+    const end = Math.min(ops.length - 1, index + CONTEXT_LINES);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+
+  const lines = [];
+  for (const { start, end } of hunks) {
+    const oldStart = ops.slice(0, start).filter(op => op.type !== '+').length + 1;
+    const newStart = ops.slice(0, start).filter(op => op.type !== '-').length + 1;
+    const hunk = ops.slice(start, end + 1);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const { type, line } of hunk) {
+      lines.push(`${type}${line}`);
+    }
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Describe how an item's digest was produced
+ * @param {Object} result - Result from summarizeItems()
+ * @returns {string} Short status label
+ */
+const describeItemResult = ({ digest, error }) => {
+  if (!digest) {
+    return `failed: ${error?.message ?? 'unknown error'}`;
+  }
+  if (digest.fromCache) {
+    return 'digest cache hit';
+  }
+  if (digest.placeholder) {
+    return 'placeholder, no LLM call';
+  }
+  return `generated${digest.modelUsage?.successfulModel ? ` with ${digest.modelUsage.successfulModel}` : ''}`;
+};
+
+/**
+ * Print the feeds and items a dry run processed
+ * @param {Array<{feed: Object, entries: Array, fetchStatus?: string}>} feedsToProcess - Selected feeds
+ * @param {Array} itemResults - Results from summarizeItems()
+ */
+export const printDryRunSelection = (feedsToProcess, itemResults) => {
+  const resultsByItem = new Map(itemResults.map(result => [result.job.item, result]));
+
+  console.log('\n🧪 Dry run: selected feeds and items');
+  for (const { feed, entries, fetchStatus } of feedsToProcess) {
+    console.log(`  📰 ${feed.title}${fetchStatus ? ` [feed: ${fetchStatus}]` : ''}`);
+    for (const item of entries) {
+      const result = resultsByItem.get(item);
+      const status = result ? describeItemResult(result) : 'not summarized';
+      console.log(`    ${result?.digest ? '✓' : '✗'} ${item.title} (${status})`);
+    }
+  }
+
+  const cacheHits = itemResults.filter(({ digest }) => digest?.fromCache).length;
+  console.log(`  Digest cache hits: ${cacheHits}/${itemResults.length}`);
+};
+
+/**
+ * Print the rendered digest HTML
+ * @param {string} html - Rendered digest HTML
+ */
+export const printDryRunHtml = (html) => {
+  if (html) {
+    console.log('\n🧪 Dry run: rendered digest HTML');
+    console.log(html);
+  }
+};
+
+/**
+ * Print the diff between an output file and what would have been written
+ * @param {string} outputPath - Output path that would have been written
+ * @param {string} newContent - Content that would have been written
+ */
+export const printDryRunOutput = async (outputPath, newContent) => {
+  let currentContent = '';
+  try {
+    currentContent = await fs.readFile(outputPath, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`  ⚠️  Failed to read ${outputPath}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n🧪 Dry run: diff against ${outputPath}${currentContent ? '' : ' (file does not exist yet)'}`);
+  const ops = diffLines(currentContent, newContent);
+  if (ops) {
+    console.log(formatDiff(ops) || '  No changes');
+  } else {
+    console.log(`  Change too large to diff line by line (${currentContent.split('\n').length} → ${newContent.split('\n').length} lines)`);
+  }
+  console.log(`\n🧪 Dry run: nothing was written to ${outputPath}`);
+};
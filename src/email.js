@@ -0,0 +1,193 @@
+/**
+ * Email Delivery
+ * Sends the daily digest over SMTP as a multipart message: the inline-styled
+ * digest HTML plus a plain-text version for clients that do not render HTML.
+ * Delivery never fails the run; the outcome is returned for the report.
+ */
+
+import nodemailer from 'nodemailer';
+import { config } from './config.js';
+import { formatDigestForFeed } from './digest.js';
+import { escapeHtml } from './html.js';
+import { formatThemesText } from './themes.js';
+import { retryWithBackoff } from './retry.js';
+
+// Nodemailer error codes for connection problems worth another attempt
+const RETRYABLE_SMTP_CODES = new Set(['ECONNECTION', 'ESOCKET', 'ETIMEDOUT', 'EDNS']);
+
+/**
+ * Check whether an SMTP error is temporary
+ * Connection errors and 4xx replies are retried; 5xx replies and
+ * authentication or envelope errors are not.
+ * @param {Error} error - Error from nodemailer
+ * @returns {boolean} Whether the send should be retried
+ */
+const isRetryableSmtpError = (error) => {
+  if (error.responseCode) {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+  return RETRYABLE_SMTP_CODES.has(error.code);
+};
+
+/**
+ * Get the configuration problems that prevent sending
+ * @returns {Array<string>} Missing settings (empty when email can be sent)
+ */
+const getMissingSettings = () => {
+  const missing = [];
+  if (!config.smtpHost) missing.push('SMTP_HOST');
+  if (!config.emailFrom) missing.push('EMAIL_FROM');
+  if (!config.emailTo.length) missing.push('EMAIL_TO');
+  return missing;
+};
+
+/**
+ * Format the daily digest as plain text
+ * Each article uses the same text layout as the legacy feed entries.
+ * @param {Object} groupedDigests - Digests grouped by feed
+ * @param {string} title - Digest title
+ * @param {Object|null} [themes] - "Today's themes" summary from generateDailyThemes()
+ * @returns {string} Plain-text digest
+ */
+export const formatDailyDigestText = (groupedDigests, title, themes = null) => {
+  const feedNames = Object.keys(groupedDigests);
+  const totalArticles = feedNames.reduce((sum, f) => sum + groupedDigests[f].length, 0);
+
+  const lines = [];
+  lines.push(title);
+  lines.push('='.repeat(title.length));
+  lines.push('');
+  lines.push(`Found ${totalArticles} articles from ${feedNames.length} feeds`);
+
+  const themesText = formatThemesText(themes);
+  if (themesText) {
+    lines.push('');
+    lines.push('');
+    lines.push(themesText);
+  }
+
+  for (const feedTitle of feedNames) {
+    const articles = groupedDigests[feedTitle];
+    const heading = `${feedTitle} (${articles.length} article${articles.length > 1 ? 's' : ''})`;
+    lines.push('');
+    lines.push('');
+    lines.push(heading);
+    lines.push('-'.repeat(heading.length));
+
+    for (const digest of articles) {
+      lines.push('');
+      lines.push(`▸ ${digest.title || 'Untitled'}`);
+      if (digest.link) {
+        lines.push(`  ${digest.link}`);
+      }
+      for (const other of digest.alsoCoveredBy ?? []) {
+        lines.push(`  Also covered by ${other.sourceTitle}: ${other.link || other.title}`);
+      }
+      lines.push('');
+      lines.push(formatDigestForFeed(digest));
+    }
+  }
+
+  lines.push('');
+  lines.push('');
+  lines.push('-- ');
+  lines.push('Generated by AFO Feed Digest');
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Wrap digest HTML in a standalone document for mail clients
+ * @param {string} title - Document title
+ * @param {string} html - Digest HTML
+ * @returns {string} HTML document
+ */
+const buildEmailHtml = (title, html) => [
+  '<!DOCTYPE html>',
+  '<html>',
+  '<head>',
+  '<meta charset="utf-8" />',
+  `<title>${escapeHtml(title)}</title>`,
+  '</head>',
+  '<body style="margin: 0; background: #fafafa;">',
+  html,
+  '</body>',
+  '</html>',
+].join('\n');
+
+/**
+ * Create the SMTP transport from config
+ * @returns {Object} Nodemailer transport
+ */
+const createTransport = () => nodemailer.createTransport({
+  host: config.smtpHost,
+  port: config.smtpPort,
+  secure: config.smtpSecure,
+  auth: config.smtpUser ? { user: config.smtpUser, pass: config.smtpPass ?? '' } : undefined,
+  connectionTimeout: config.contentFetchTimeout,
+  greetingTimeout: config.contentFetchTimeout,
+  socketTimeout: config.contentFetchTimeout * 3,
+});
+
+/**
+ * Send the daily digest email
+ * Errors are caught and returned as a failed result.
+ * @param {Object} message - Digest to send
+ * @param {string} message.subject - Subject line
+ * @param {string} message.html - Digest HTML
+ * @param {string} message.text - Plain-text digest
+ * @returns {Promise<{channel: string, target: string, status: 'sent'|'failed'|'skipped', messageId?: string, error?: string}>} Delivery result
+ */
+export const sendDigestEmail = async ({ subject, html, text }) => {
+  const target = config.emailTo.join(', ');
+  const result = { channel: 'email', target };
+
+  const missing = getMissingSettings();
+  if (missing.length) {
+    const error = `Missing ${missing.join(', ')}`;
+    console.warn(`⚠️  Email not sent: ${error}`);
+    return { ...result, status: 'failed', error };
+  }
+
+  if (config.dryRun) {
+    console.log(`🧪 Dry run: would email "${subject}" to ${target} via ${config.smtpHost}:${config.smtpPort}`);
+    return { ...result, status: 'skipped', error: 'Dry run' };
+  }
+
+  console.log(`\n📧 Emailing digest to ${target}...`);
+  const transport = createTransport();
+  try {
+    const info = await retryWithBackoff(
+      () => transport.sendMail({
+        from: config.emailFrom,
+        to: config.emailTo,
+        subject,
+        text,
+        html: buildEmailHtml(subject, html),
+      }),
+      {
+        shouldRetry: isRetryableSmtpError,
+        onRetry: (error, attempt, delay) => {
+          console.warn(`  ⚠️  Email attempt ${attempt} failed (${error.message}), retrying in ${delay}ms...`);
+        },
+      }
+    );
+
+    const rejected = info.rejected ?? [];
+    if (rejected.length) {
+      console.warn(`  ⚠️  Rejected recipients: ${rejected.join(', ')}`);
+    }
+    console.log(`✓ Emailed digest to ${(info.accepted ?? config.emailTo).length} recipient(s)`);
+    return {
+      ...result,
+      status: 'sent',
+      messageId: info.messageId,
+      ...(rejected.length ? { error: `Rejected: ${rejected.join(', ')}` } : {}),
+    };
+  } catch (error) {
+    console.warn(`⚠️  Email delivery failed: ${error.message}`);
+    return { ...result, status: 'failed', error: error.message };
+  } finally {
+    transport.close();
+  }
+};
@@ -56,7 +56,7 @@ export const runExtensions = async (context = {}) => {
       const result = await ext.run({
         ...context,
         config,
-        date: new Date(),
+        date: context.date ?? new Date(),
       });
       
       if (result && result.html) {
@@ -0,0 +1,460 @@
+/**
+ * Main Content Extraction
+ * Finds the article body of a page in the style of Mozilla's Readability.
+ * Boilerplate (cookie banners, related posts, share bars, footers) is removed
+ * by tag, role and class/id hints. Every paragraph then adds a score to its
+ * ancestors, and the container with the best score, discounted by its link
+ * density, wins. Siblings that continue the article are kept with it.
+ *
+ * The result keeps the article's structure as blocks (headings, paragraphs,
+ * code, lists, quotes, tables), which render as Markdown for the prompts and
+ * split into the author's sections.
+ *
+ * CONTENT_SELECTORS overrides the scoring per domain (subdomains included):
+ *   {"example.com": "article .post-body",
+ *    "news.example.org": {"content": "#story", "remove": ".promo, .newsletter"}}
+ */
+
+import { config } from './config.js';
+
+// Never part of an article
+const REMOVE_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'object', 'embed',
+  'button', 'input', 'select', 'textarea', 'nav', 'footer', 'aside', 'dialog',
+  '[hidden]', '[aria-hidden="true"]', '[aria-modal="true"]',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[role="dialog"]', '[role="alertdialog"]', '[role="search"]',
+].join(', ');
+
+// Class/id hints, after Readability
+const UNLIKELY_CANDIDATES = /-ad-|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|header|legends|menu|remark|replies|rss|shoutbox|sidebar|skyscraper|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|toolbar|widget/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+// Removed even when the class also looks like content (e.g. "related-content")
+const ALWAYS_UNLIKELY = /cookie|consent|gdpr|newsletter|subscribe|related|share|sharing|social|promo|outbrain|taboola|advert|paywall|signup/i;
+const POSITIVE_HINTS = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|prose/i;
+const NEGATIVE_HINTS = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// Elements scored as paragraphs; divs count when they hold no other blocks
+const PARAGRAPH_SELECTOR = 'p, pre, td, blockquote';
+const BLOCK_SELECTOR = 'address, article, aside, blockquote, dd, div, dl, dt, fieldset, figcaption, figure, footer, form, h1, h2, h3, h4, h5, h6, header, hr, li, main, nav, ol, p, pre, section, table, tr, ul';
+
+// Below this much text the chosen container is not trusted
+const MIN_CONTENT_LENGTH = 200;
+
+/**
+ * Collapse whitespace in a text
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+const normalizeText = (text) => String(text ?? '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Get the class and id of an element as one string
+ * @param {Object} element - Cheerio element node
+ * @returns {string} "class id"
+ */
+const getMatchString = (element) => `${element.attribs?.class ?? ''} ${element.attribs?.id ?? ''}`.trim();
+
+/**
+ * Score an element's class and id
+ * @param {Object} element - Cheerio element node
+ * @returns {number} +25 per positive hint, -25 per negative hint
+ */
+const getClassWeight = (element) => {
+  let weight = 0;
+  for (const value of [element.attribs?.class, element.attribs?.id]) {
+    if (!value) continue;
+    if (NEGATIVE_HINTS.test(value)) weight -= 25;
+    if (POSITIVE_HINTS.test(value)) weight += 25;
+  }
+  return weight;
+};
+
+/**
+ * Get the starting score of a candidate container by its tag
+ * @param {Object} element - Cheerio element node
+ * @returns {number} Initial score including the class weight
+ */
+const getInitialScore = (element) => {
+  const tagScores = {
+    div: 5, article: 5, section: 3, main: 3, pre: 3, td: 3, blockquote: 3,
+    address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3,
+    h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5,
+  };
+  return (tagScores[element.name] ?? 0) + getClassWeight(element);
+};
+
+/**
+ * Share of an element's text that sits in links
+ * @param {Function} $ - Cheerio root
+ * @param {Object} element - Cheerio element node
+ * @returns {number} Link density from 0 to 1
+ */
+export const getLinkDensity = ($, element) => {
+  const textLength = normalizeText($(element).text()).length;
+  if (!textLength) {
+    return 0;
+  }
+  let linkLength = 0;
+  $(element).find('a').each((_, link) => {
+    linkLength += normalizeText($(link).text()).length;
+  });
+  return Math.min(1, linkLength / textLength);
+};
+
+/**
+ * Remove boilerplate: non-content tags, headers outside the article, and
+ * elements whose class or id marks them as page furniture
+ * @param {Function} $ - Cheerio root (modified in place)
+ */
+const removeBoilerplate = ($) => {
+  $(REMOVE_SELECTOR).remove();
+  $('header').filter((_, element) => !$(element).closest('article, main').length).remove();
+
+  $('[class], [id]').each((_, element) => {
+    if (['html', 'body', 'article', 'main'].includes(element.name) || !element.parent) {
+      return;
+    }
+    const matchString = getMatchString(element);
+    if (ALWAYS_UNLIKELY.test(matchString) ||
+        (UNLIKELY_CANDIDATES.test(matchString) && !MAYBE_CANDIDATE.test(matchString))) {
+      $(element).remove();
+    }
+  });
+};
+
+/**
+ * Score candidate containers from their paragraphs
+ * @param {Function} $ - Cheerio root
+ * @returns {Map<Object, number>} Score per candidate element
+ */
+const scoreCandidates = ($) => {
+  const scores = new Map();
+  const paragraphs = $(PARAGRAPH_SELECTOR).toArray()
+    .concat($('div').filter((_, element) => !$(element).children(BLOCK_SELECTOR).length).toArray());
+
+  for (const paragraph of paragraphs) {
+    const text = normalizeText($(paragraph).text());
+    if (text.length < 25) {
+      continue;
+    }
+
+    // One point, one per comma, and one per 100 characters (up to 3)
+    const score = 1 + (text.match(/[,，、]/g)?.length ?? 0) + Math.min(Math.floor(text.length / 100), 3);
+
+    let ancestor = paragraph.parent;
+    for (let level = 0; ancestor && ancestor.type === 'tag' && level < 3; level++, ancestor = ancestor.parent) {
+      if (!scores.has(ancestor)) {
+        scores.set(ancestor, getInitialScore(ancestor));
+      }
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + score / divider);
+    }
+  }
+
+  for (const [element, score] of scores) {
+    scores.set(element, score * (1 - getLinkDensity($, element)));
+  }
+  return scores;
+};
+
+/**
+ * Check whether a sibling of the best candidate belongs to the article
+ * @param {Function} $ - Cheerio root
+ * @param {Object} sibling - Sibling element
+ * @param {Object} top - Best candidate
+ * @param {Map<Object, number>} scores - Candidate scores
+ * @param {number} threshold - Minimum sibling score
+ * @returns {boolean} True to keep the sibling
+ */
+const isArticleSibling = ($, sibling, top, scores, threshold) => {
+  const bonus = sibling.attribs?.class && sibling.attribs.class === top.attribs?.class ? scores.get(top) * 0.2 : 0;
+  if ((scores.get(sibling) ?? -Infinity) + bonus >= threshold) {
+    return true;
+  }
+  if (sibling.name !== 'p') {
+    return false;
+  }
+  const text = normalizeText($(sibling).text());
+  const linkDensity = getLinkDensity($, sibling);
+  return (text.length > 80 && linkDensity < 0.25) ||
+    (text.length > 0 && linkDensity === 0 && /[.!?。！？]$/.test(text));
+};
+
+/**
+ * Add the text of a list and its nested lists as items
+ * @param {Function} $ - Cheerio root
+ * @param {Object} list - ul or ol element
+ * @param {Array<Object>} items - Items collected so far
+ * @param {number} depth - Nesting depth
+ */
+const collectListItems = ($, list, items, depth) => {
+  $(list).children('li').each((index, item) => {
+    const $item = $(item).clone();
+    $item.find('ul, ol').remove();
+    const text = normalizeText($item.text());
+    if (text) {
+      items.push({ text, depth, marker: list.name === 'ol' ? `${index + 1}.` : '-' });
+    }
+    $(item).find('ul, ol').filter((_, nested) => $(nested).parent().closest('ul, ol')[0] === list)
+      .each((_, nested) => collectListItems($, nested, items, depth + 1));
+  });
+};
+
+/**
+ * Walk a node's children and add the blocks they hold
+ * Inline content between blocks is gathered into paragraphs.
+ * @param {Function} $ - Cheerio root
+ * @param {Array<Object>} nodes - Child nodes
+ * @param {Array<Object>} blocks - Blocks collected so far
+ * @param {{text: string}} inline - Pending inline text
+ */
+const collectBlocks = ($, nodes, blocks, inline) => {
+  const flush = () => {
+    const text = normalizeText(inline.text);
+    if (text) {
+      blocks.push({ type: 'paragraph', text });
+    }
+    inline.text = '';
+  };
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      inline.text += node.data;
+      continue;
+    }
+    if (node.type !== 'tag') {
+      continue;
+    }
+
+    const name = node.name;
+    if (name === 'br') {
+      inline.text += ' ';
+    } else if (/^h[1-6]$/.test(name)) {
+      flush();
+      const text = normalizeText($(node).text());
+      if (text) {
+        blocks.push({ type: 'heading', level: Number(name[1]), text });
+      }
+    } else if (name === 'pre') {
+      flush();
+      const text = $(node).text().replace(/^\s*\n|\s+$/g, '');
+      const language = `${node.attribs?.class ?? ''} ${$(node).find('code').attr('class') ?? ''}`.match(/\b(?:language|lang)-([\w+#-]+)/)?.[1] ?? '';
+      if (text.trim()) {
+        blocks.push({ type: 'code', language, text });
+      }
+    } else if (name === 'ul' || name === 'ol') {
+      flush();
+      const items = [];
+      collectListItems($, node, items, 0);
+      if (items.length) {
+        blocks.push({ type: 'list', items });
+      }
+    } else if (name === 'blockquote') {
+      flush();
+      const quoted = [];
+      collectBlocks($, node.children, quoted, { text: '' });
+      const text = blocksToText(quoted);
+      if (text) {
+        blocks.push({ type: 'quote', text });
+      }
+    } else if (name === 'table') {
+      flush();
+      const rows = $(node).find('tr').toArray()
+        .map(row => $(row).children('td, th').toArray().map(cell => normalizeText($(cell).text())))
+        .filter(cells => cells.some(Boolean));
+      if (rows.length) {
+        blocks.push({ type: 'table', rows });
+      }
+    } else if (name === 'td' || name === 'th') {
+      inline.text += ' ';
+      collectBlocks($, node.children, blocks, inline);
+      inline.text += ' ';
+    } else if ($(node).is(BLOCK_SELECTOR)) {
+      flush();
+      collectBlocks($, node.children, blocks, inline);
+      flush();
+    } else {
+      collectBlocks($, node.children, blocks, inline);
+    }
+  }
+};
+
+/**
+ * Get the structure of elements as blocks
+ * @param {Function} $ - Cheerio root
+ * @param {Array<Object>} elements - Elements in document order
+ * @returns {Array<Object>} Blocks in order: heading {level, text}, paragraph {text},
+ *   code {language, text}, list {items: [{text, depth, marker}]}, quote {text}, table {rows}
+ */
+export const getBlocks = ($, elements) => {
+  const blocks = [];
+  for (const element of elements) {
+    const inline = { text: '' };
+    collectBlocks($, [element], blocks, inline);
+    const text = normalizeText(inline.text);
+    if (text) {
+      blocks.push({ type: 'paragraph', text });
+    }
+  }
+  return blocks;
+};
+
+/**
+ * Get the plain text of blocks, one paragraph per block, list item and table row
+ * @param {Array<Object>} blocks - Blocks from getBlocks()
+ * @returns {string} Text with paragraphs separated by blank lines
+ */
+export const blocksToText = (blocks) => blocks
+  .flatMap((block) => {
+    if (block.type === 'list') {
+      return block.items.map(item => item.text);
+    }
+    if (block.type === 'table') {
+      return block.rows.map(cells => cells.filter(Boolean).join(' '));
+    }
+    return [normalizeText(block.text)];
+  })
+  .filter(Boolean)
+  .join('\n\n');
+
+/**
+ * Render one block as Markdown
+ * @param {Object} block - Block from getBlocks()
+ * @returns {string} Markdown
+ */
+export const blockToMarkdown = (block) => {
+  switch (block.type) {
+    case 'heading':
+      return `${'#'.repeat(block.level)} ${block.text}`;
+    case 'code':
+      return `\`\`\`${block.language}\n${block.text}\n\`\`\``;
+    case 'list':
+      return block.items.map(item => `${'  '.repeat(item.depth)}${item.marker} ${item.text}`).join('\n');
+    case 'quote':
+      return block.text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+    case 'table': {
+      const width = Math.max(...block.rows.map(cells => cells.length));
+      const row = (cells) => `| ${Array.from({ length: width }, (_, i) => (cells[i] ?? '').replace(/\|/g, '\\|')).join(' | ')} |`;
+      const [header, ...rest] = block.rows;
+      return [row(header), `|${' --- |'.repeat(width)}`, ...rest.map(row)].join('\n');
+    }
+    default:
+      return block.text;
+  }
+};
+
+/**
+ * Render blocks as Markdown
+ * @param {Array<Object>} blocks - Blocks from getBlocks()
+ * @returns {string} Markdown document
+ */
+export const blocksToMarkdown = (blocks) => blocks.map(blockToMarkdown).join('\n\n');
+
+/**
+ * Get the text of elements with a blank line between blocks
+ * @param {Function} $ - Cheerio root
+ * @param {Array<Object>} elements - Elements in document order
+ * @returns {string} Text with paragraphs separated by blank lines
+ */
+export const getBlockText = ($, elements) => blocksToText(getBlocks($, elements));
+
+/**
+ * Split blocks into the author's sections
+ * Sections start at the shallowest heading level in the article. A lone
+ * heading at the very top is the article title, not a section.
+ * @param {Array<Object>} blocks - Blocks from getBlocks()
+ * @returns {Array<{title: string|null, level: number, markdown: string}>} Sections in order
+ *   (title is null for text before the first heading); empty when the article has no headings
+ */
+export const getSections = (blocks) => {
+  const isTitle = (block, index) => index === 0 && block.type === 'heading' &&
+    blocks.filter(other => other.type === 'heading' && other.level <= block.level).length === 1;
+  const body = blocks.filter((block, index) => !isTitle(block, index));
+  const levels = body.filter(block => block.type === 'heading').map(block => block.level);
+  if (!levels.length) {
+    return [];
+  }
+
+  const level = Math.min(...levels);
+  const sections = [];
+  for (const block of body) {
+    if (block.type === 'heading' && block.level === level) {
+      sections.push({ title: block.text, level, blocks: [block] });
+    } else if (sections.length) {
+      sections[sections.length - 1].blocks.push(block);
+    } else {
+      sections.push({ title: null, level, blocks: [block] });
+    }
+  }
+  return sections.map(({ title, blocks: sectionBlocks }) => ({ title, level, markdown: blocksToMarkdown(sectionBlocks) }));
+};
+
+/**
+ * Find the CONTENT_SELECTORS override for a URL
+ * @param {string} url - Page URL
+ * @returns {{content: string, remove: string|null}|null} Selectors, or null if none is configured
+ */
+export const getDomainOverride = (url) => {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+  // The most specific domain wins (news.example.com over example.com)
+  const [, value] = Object.entries(config.contentSelectors)
+    .map(([domain, selectors]) => [domain.replace(/^www\./, ''), selectors])
+    .filter(([domain]) => hostname === domain || hostname.endsWith(`.${domain}`))
+    .sort((a, b) => b[0].length - a[0].length)[0] ?? [];
+  if (!value) {
+    return null;
+  }
+  return typeof value === 'string'
+    ? { content: value, remove: null }
+    : { content: value?.content ?? null, remove: value?.remove ?? null };
+};
+
+/**
+ * Extract the main content of a page
+ * @param {Function} $ - Cheerio root of the page (modified in place)
+ * @param {string} url - Page URL, for per-domain overrides
+ * @returns {{content: string, blocks: Array<Object>, method: 'override'|'scored'|'body'}} Text with blank lines
+ *   between paragraphs, its blocks (see getBlocks()), and how it was found
+ */
+export const extractMainContent = ($, url) => {
+  const override = getDomainOverride(url);
+  if (override) {
+    $(REMOVE_SELECTOR).remove();
+    if (override.remove) {
+      $(override.remove).remove();
+    }
+    if (override.content) {
+      const blocks = getBlocks($, $(override.content).toArray());
+      const content = blocksToText(blocks);
+      if (content.length >= MIN_CONTENT_LENGTH) {
+        return { content, blocks, method: 'override' };
+      }
+      console.warn(`  ⚠️  Content selector "${override.content}" found no article on ${url}, scoring the page instead`);
+    }
+  }
+
+  removeBoilerplate($);
+  const scores = scoreCandidates($);
+  const [top] = [...scores].sort((a, b) => b[1] - a[1]).map(([element]) => element);
+
+  if (top && !['body', 'html'].includes(top.name)) {
+    const threshold = Math.max(10, scores.get(top) * 0.2);
+    const siblings = top.parent
+      ? $(top.parent).children().toArray().filter(sibling => sibling === top || isArticleSibling($, sibling, top, scores, threshold))
+      : [top];
+    const blocks = getBlocks($, siblings);
+    const content = blocksToText(blocks);
+    if (content.length >= MIN_CONTENT_LENGTH) {
+      return { content, blocks, method: 'scored' };
+    }
+  }
+
+  const blocks = getBlocks($, $('body').toArray());
+  return { content: blocksToText(blocks), blocks, method: 'body' };
+};
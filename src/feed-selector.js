@@ -0,0 +1,101 @@
+/**
+ * Feed selection for the CLI --feed option
+ * A selector picks feeds by index, exact URL, regex or title substring.
+ */
+
+/**
+ * Parse a --feed value into a selector
+ *   "3"                  Feed at index 3 (0-based, OPML order)
+ *   "https://x.com/feed" Feed with exactly this URL
+ *   "/css|js/i"          Regex tested against the title and URL
+ *   "tricks"             Case-insensitive title substring
+ * @param {string} value - Raw selector
+ * @returns {{type: string, value: string, pattern?: RegExp, index?: number}} Parsed selector
+ */
+export const parseFeedSelector = (value) => {
+  const raw = String(value ?? '').trim();
+  if (!raw) {
+    throw new Error('Empty --feed selector');
+  }
+
+  if (/^\d+$/.test(raw)) {
+    return { type: 'index', value: raw, index: Number(raw) };
+  }
+
+  const regexMatch = raw.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      return { type: 'regex', value: raw, pattern: new RegExp(regexMatch[1], regexMatch[2]) };
+    } catch (error) {
+      throw new Error(`Invalid --feed regex ${raw}: ${error.message}`);
+    }
+  }
+
+  if (/^[a-z][a-z\d+.-]*:\/\//i.test(raw)) {
+    return { type: 'url', value: raw };
+  }
+
+  return { type: 'title', value: raw };
+};
+
+/**
+ * Compare two feed URLs, ignoring a trailing slash
+ * @param {string} a - First URL
+ * @param {string} b - Second URL
+ * @returns {boolean} True if both point to the same feed
+ */
+const sameFeedUrl = (a, b) => a.replace(/\/+$/, '') === b.replace(/\/+$/, '');
+
+/**
+ * Check whether a feed matches a selector
+ * @param {Object} feed - Feed definition ({ title, xmlUrl })
+ * @param {number} index - Position of the feed in the OPML
+ * @param {Object} selector - Parsed selector
+ * @returns {boolean} True if the feed matches
+ */
+const matchesSelector = (feed, index, selector) => {
+  switch (selector.type) {
+    case 'index':
+      return index === selector.index;
+    case 'url':
+      return sameFeedUrl(feed.xmlUrl, selector.value);
+    case 'regex':
+      // Reset lastIndex so /g and /y patterns match every feed independently
+      selector.pattern.lastIndex = 0;
+      if (selector.pattern.test(feed.title)) {
+        return true;
+      }
+      selector.pattern.lastIndex = 0;
+      return selector.pattern.test(feed.xmlUrl);
+    default:
+      return feed.title.toLowerCase().includes(selector.value.toLowerCase());
+  }
+};
+
+/**
+ * Select the feeds matched by any of the selectors
+ * Feeds keep their OPML order; selectors that match nothing are reported.
+ * @param {Array} feeds - Feed definitions in OPML order
+ * @param {Array<string>} selectors - Raw --feed values
+ * @returns {{feeds: Array, unmatched: Array<string>}} Selected feeds and selectors without a match
+ */
+export const selectFeeds = (feeds, selectors) => {
+  const parsed = selectors.map(parseFeedSelector);
+  const matchedSelectors = new Set();
+
+  const selected = feeds.filter((feed, index) => {
+    let matched = false;
+    parsed.forEach((selector, selectorIndex) => {
+      if (matchesSelector(feed, index, selector)) {
+        matchedSelectors.add(selectorIndex);
+        matched = true;
+      }
+    });
+    return matched;
+  });
+
+  return {
+    feeds: selected,
+    unmatched: parsed.filter((_, selectorIndex) => !matchedSelectors.has(selectorIndex)).map(({ value }) => value),
+  };
+};
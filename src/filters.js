@@ -0,0 +1,147 @@
+/**
+ * Entry Filters
+ * Include/exclude rules that drop feed items (sponsored posts, job listings,
+ * podcasts, ...) before they are selected or summarized.
+ *
+ * A rule is `[field:]pattern`:
+ *   "sponsored"              Case-insensitive substring of the title, link, author or description
+ *   "title:/^\[ad\]/i"       Regex tested against the title only
+ *   "link:/\/jobs\//"        Fields: title, link, author, description
+ *
+ * Global rules come from FILTER_INCLUDE / FILTER_EXCLUDE, per-feed rules from
+ * the afoInclude / afoExclude OPML attributes (both `;`-separated) and apply
+ * on top of the global ones. An item matching any exclude rule is dropped;
+ * when include rules exist, an item must match at least one of them.
+ */
+
+import { config } from './config.js';
+
+const FIELDS = ['title', 'link', 'author', 'description'];
+
+// Compiled rules by their text, so each feed's rules are parsed once per run
+const ruleCache = new Map();
+
+/**
+ * Parse a filter rule
+ * @param {string} value - Raw rule
+ * @returns {{source: string, field: string|null, pattern?: RegExp, keyword?: string}} Parsed rule (field null = any field)
+ */
+export const parseFilterRule = (value) => {
+  const source = String(value ?? '').trim();
+  const fieldMatch = source.match(/^(\w+):(.*)$/s);
+  const field = fieldMatch && FIELDS.includes(fieldMatch[1].toLowerCase()) ? fieldMatch[1].toLowerCase() : null;
+  const body = (field ? fieldMatch[2] : source).trim();
+  if (!body) {
+    throw new Error(`Empty filter rule "${source}"`);
+  }
+
+  const regexMatch = body.match(/^\/(.+)\/([a-z]*)$/s);
+  if (regexMatch) {
+    try {
+      return { source, field, pattern: new RegExp(regexMatch[1], regexMatch[2]) };
+    } catch (error) {
+      throw new Error(`Invalid filter regex ${body}: ${error.message}`);
+    }
+  }
+
+  return { source, field, keyword: body.toLowerCase() };
+};
+
+/**
+ * Parse a list of rules, caching the result
+ * @param {Array<string>} values - Raw rules
+ * @returns {Array<Object>} Parsed rules
+ */
+const compileRules = (values = []) => values.map((value) => {
+  if (!ruleCache.has(value)) {
+    ruleCache.set(value, parseFilterRule(value));
+  }
+  return ruleCache.get(value);
+});
+
+/**
+ * Get the text of an entry field that rules match against
+ * @param {Object} entry - Normalized feed entry
+ * @param {string} field - Field name
+ * @returns {string} Field text (tags stripped from the description)
+ */
+const getFieldText = (entry, field) => {
+  const value = String(entry[field] ?? '');
+  return field === 'description' ? value.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ') : value;
+};
+
+/**
+ * Check whether a rule matches an entry
+ * @param {Object} rule - Parsed rule
+ * @param {Object} entry - Normalized feed entry
+ * @returns {boolean} True if any of the rule's fields match
+ */
+const matchesRule = (rule, entry) => (rule.field ? [rule.field] : FIELDS).some((field) => {
+  const text = getFieldText(entry, field);
+  if (rule.pattern) {
+    rule.pattern.lastIndex = 0;
+    return rule.pattern.test(text);
+  }
+  return text.toLowerCase().includes(rule.keyword);
+});
+
+/**
+ * Build the rule set for a feed: global rules plus the feed's own
+ * @param {Object} feed - Feed definition
+ * @returns {{include: Array<Object>, exclude: Array<Object>}} Rules labelled with their scope
+ */
+export const getFeedFilterRules = (feed) => {
+  const label = (rules, scope) => rules.map(rule => ({ ...rule, scope }));
+  return {
+    include: [
+      ...label(compileRules(config.filterInclude), 'global'),
+      ...label(compileRules(feed.options?.include), 'feed'),
+    ],
+    exclude: [
+      ...label(compileRules(config.filterExclude), 'global'),
+      ...label(compileRules(feed.options?.exclude), 'feed'),
+    ],
+  };
+};
+
+/**
+ * Find the rule that drops an entry
+ * @param {{include: Array<Object>, exclude: Array<Object>}} rules - Feed rule set
+ * @param {Object} entry - Normalized feed entry
+ * @returns {string|null} Description of the matching rule, or null to keep the entry
+ */
+export const findFilterMatch = (rules, entry) => {
+  const excluded = rules.exclude.find(rule => matchesRule(rule, entry));
+  if (excluded) {
+    return `exclude ${excluded.source} (${excluded.scope})`;
+  }
+  if (rules.include.length && !rules.include.some(rule => matchesRule(rule, entry))) {
+    return `include (no match for ${rules.include.map(rule => rule.source).join('; ')})`;
+  }
+  return null;
+};
+
+/**
+ * Apply the include/exclude rules to a feed's entries
+ * @param {Object} feed - Feed definition
+ * @param {Array} entries - Normalized feed entries
+ * @returns {{entries: Array, filtered: Array}} Kept entries, and dropped entries tagged with `filterRule`
+ */
+export const filterEntries = (feed, entries) => {
+  const rules = getFeedFilterRules(feed);
+  if (!rules.include.length && !rules.exclude.length) {
+    return { entries, filtered: [] };
+  }
+
+  const kept = [];
+  const filtered = [];
+  for (const entry of entries) {
+    const filterRule = findFilterMatch(rules, entry);
+    if (filterRule) {
+      filtered.push({ ...entry, filterRule });
+    } else {
+      kept.push(entry);
+    }
+  }
+  return { entries: kept, filtered };
+};
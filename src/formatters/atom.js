@@ -0,0 +1,113 @@
+/**
+ * Atom 1.0 Formatter
+ * The default output; also the source of previous entries when enabled.
+ */
+
+import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+
+/**
+ * Convert a digest entry to an Atom <entry>
+ * @param {Object} entry - Digest entry
+ * @returns {Object} XMLBuilder entry object
+ */
+const toAtomEntry = (entry) => ({
+  title: entry.title,
+  link: {
+    '@_href': entry.link,
+    '@_rel': 'alternate',
+  },
+  id: entry.id,
+  updated: entry.updated,
+  published: entry.published,
+  author: {
+    name: entry.author,
+  },
+  summary: entry.summary || undefined,
+  content: {
+    '@_type': 'html',
+    '#text': entry.html,
+  },
+});
+
+/**
+ * Convert a parsed Atom <entry> back to a digest entry
+ * @param {Object} node - Parsed entry
+ * @returns {Object} Digest entry
+ */
+const fromAtomEntry = (node) => {
+  const links = Array.isArray(node.link) ? node.link : [node.link];
+  const alternate = links.find(link => link?.['@_rel'] === 'alternate') ?? links[0];
+  const content = node.content;
+  return {
+    id: String(node.id ?? ''),
+    title: String(node.title ?? ''),
+    link: alternate?.['@_href'] ?? '',
+    published: node.published ?? null,
+    updated: node.updated ?? null,
+    author: node.author?.name != null ? String(node.author.name) : '',
+    summary: node.summary != null ? String(node.summary) : '',
+    html: String((typeof content === 'object' ? content?.['#text'] : content) ?? ''),
+  };
+};
+
+export default {
+  name: 'atom',
+  description: 'Atom 1.0 feed',
+
+  /**
+   * @param {Object} config - App config
+   * @returns {string} Output path
+   */
+  outputPath: (config) => config.outputFeed,
+
+  /**
+   * Render entries as an Atom document
+   * @param {Array} entries - Digest entries (newest first)
+   * @param {Object} channel - Channel metadata ({ title, link, description, updated })
+   * @returns {string} Atom XML
+   */
+  render: (entries, channel) => {
+    const builder = new XMLBuilder({
+      ignoreAttributes: false,
+      format: true,
+      suppressEmptyNode: true,
+      attributeNamePrefix: '@_',
+    });
+
+    return builder.build({
+      '?xml': {
+        '@_version': '1.0',
+        '@_encoding': 'UTF-8',
+      },
+      feed: {
+        '@_xmlns': 'http://www.w3.org/2005/Atom',
+        title: channel.title,
+        link: [
+          { '@_href': channel.link, '@_rel': 'alternate' },
+          { '@_href': channel.link, '@_rel': 'self' },
+        ],
+        id: channel.link,
+        updated: channel.updated,
+        subtitle: channel.description,
+        entry: entries.map(toAtomEntry),
+      },
+    });
+  },
+
+  /**
+   * Read entries back from a previously written Atom document
+   * @param {string} content - Atom XML
+   * @returns {Array} Digest entries
+   */
+  parse: (content) => {
+    const parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+    });
+    const entries = parser.parse(content)?.feed?.entry;
+    if (!entries) {
+      return [];
+    }
+    return (Array.isArray(entries) ? entries : [entries]).map(fromAtomEntry);
+  },
+};
@@ -0,0 +1,60 @@
+/**
+ * Static HTML Formatter
+ * A single browsable page with every retained digest entry, newest first.
+ * It cannot be read back, so previous entries come from the feed outputs.
+ */
+
+import { escapeHtml } from '../html.js';
+
+export default {
+  name: 'html',
+  description: 'Static HTML page',
+
+  /**
+   * @param {Object} config - App config
+   * @returns {string} Output path
+   */
+  outputPath: (config) => config.outputHtml,
+
+  /**
+   * Render entries as a standalone HTML page
+   * @param {Array} entries - Digest entries (newest first)
+   * @param {Object} channel - Channel metadata ({ title, link, description, updated })
+   * @returns {string} HTML document
+   */
+  render: (entries, channel) => {
+    const lines = [];
+    lines.push('<!DOCTYPE html>');
+    lines.push('<html>');
+    lines.push('<head>');
+    lines.push('<meta charset="utf-8" />');
+    lines.push('<meta name="viewport" content="width=device-width, initial-scale=1" />');
+    lines.push(`<title>${escapeHtml(channel.title)}</title>`);
+    lines.push('</head>');
+    lines.push('<body style="margin: 0; background: #fafafa;">');
+    lines.push(`<header style="max-width: 800px; margin: 0 auto; padding: 20px;">`);
+    lines.push(`<h1 style="margin: 0; color: #222;"><a href="${escapeHtml(channel.link)}" style="color: inherit; text-decoration: none;">${escapeHtml(channel.title)}</a></h1>`);
+    lines.push(`<p style="color: #666;">${escapeHtml(channel.description)}</p>`);
+    if (entries.length > 1) {
+      lines.push('<nav><ul style="padding-left: 20px; color: #555;">');
+      for (const entry of entries) {
+        lines.push(`<li><a href="#${escapeHtml(entry.id)}" style="color: #0066cc;">${escapeHtml(entry.title)}</a></li>`);
+      }
+      lines.push('</ul></nav>');
+    }
+    lines.push('</header>');
+
+    for (const entry of entries) {
+      lines.push(`<article id="${escapeHtml(entry.id)}" style="background: #fff; border-top: 1px solid #ddd;">`);
+      lines.push(entry.html);
+      lines.push('</article>');
+    }
+
+    lines.push(`<footer style="max-width: 800px; margin: 0 auto; padding: 20px; color: #888; font-size: 0.9em;">Updated ${escapeHtml(channel.updated)}</footer>`);
+    lines.push('</body>');
+    lines.push('</html>');
+    return `${lines.join('\n')}\n`;
+  },
+
+  parse: null,
+};
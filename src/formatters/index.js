@@ -0,0 +1,170 @@
+/**
+ * Output Formatter Layer
+ * Renders digest entries to every configured output format (OUTPUT_FORMATS).
+ * Formatters share one list of entries: previous entries are read back once,
+ * retention and merging are applied once, and each formatter only renders.
+ *
+ * A digest entry is format-neutral:
+ *   { id, title, link, published, updated, author, summary, html }
+ */
+
+import fs from 'fs/promises';
+import { config } from '../config.js';
+import { formatDateForId, getDateIdRange, shiftDateId } from '../date-filter.js';
+
+// Import all formatters here
+import atom from './atom.js';
+import rss from './rss.js';
+import jsonFeed from './json-feed.js';
+import html from './html.js';
+
+// Registry of all available formatters
+// Order matters: previous entries are read back from the first enabled format
+// that supports it, so the formats that keep the most entry fields come first.
+const formatterRegistry = [
+  atom,
+  jsonFeed,
+  rss,
+  html,
+];
+
+const warnedFormats = new Set();
+
+/**
+ * Get the formatters listed in OUTPUT_FORMATS, in registry order
+ * Unknown names are reported and ignored. A format whose path is already
+ * taken by an earlier one is skipped, so it can never overwrite that file
+ * (e.g. an old .env with OUTPUT_RSS2 pointing at the Atom feed).
+ * @returns {Array} Enabled formatters
+ */
+export const getEnabledFormatters = () => {
+  const names = new Set(config.outputFormats);
+  for (const name of names) {
+    if (!formatterRegistry.some(formatter => formatter.name === name) && !warnedFormats.has(name)) {
+      warnedFormats.add(name);
+      console.warn(`⚠️  Unknown output format "${name}" (available: ${formatterRegistry.map(f => f.name).join(', ')})`);
+    }
+  }
+
+  const claimedPaths = new Map();
+  return formatterRegistry.filter(formatter => {
+    if (!names.has(formatter.name)) {
+      return false;
+    }
+    const outputPath = formatter.outputPath(config);
+    const owner = claimedPaths.get(outputPath);
+    if (owner) {
+      const key = `${formatter.name}:${outputPath}`;
+      if (!warnedFormats.has(key)) {
+        warnedFormats.add(key);
+        console.warn(`⚠️  Skipping output format "${formatter.name}": ${outputPath} is already written by "${owner}"`);
+      }
+      return false;
+    }
+    claimedPaths.set(outputPath, formatter.name);
+    return true;
+  });
+};
+
+/**
+ * Read previous digest entries from the first enabled output that can be read back
+ * @returns {Promise<Array>} Previous entries
+ */
+export const readPreviousEntries = async () => {
+  for (const formatter of getEnabledFormatters()) {
+    if (!formatter.parse) {
+      continue;
+    }
+    const outputPath = formatter.outputPath(config);
+    try {
+      const content = await fs.readFile(outputPath, 'utf-8');
+      return formatter.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`  ⚠️  Failed to read existing ${formatter.name} output: ${error.message}`);
+      }
+    }
+  }
+  return [];
+};
+
+/**
+ * Filter entries to keep only those within retention period
+ * @param {Array} entries - Array of feed entries
+ * @param {number} retentionDays - Number of days to retain
+ * @returns {Array} Filtered entries
+ */
+export const filterEntriesByRetention = (entries, retentionDays) => {
+  if (!entries || entries.length === 0) {
+    return [];
+  }
+
+  // Retention counts calendar days in the digest timezone
+  const cutoffId = shiftDateId(formatDateForId(), -retentionDays);
+  const cutoffDate = getDateIdRange(cutoffId).start;
+
+  return entries.filter(entry => {
+    // Try to parse date from entry ID (daily-digest-YYYY-MM-DD) or published date
+    const id = entry.id || '';
+    const dateMatch = id.match(/daily-digest-(\d{4}-\d{2}-\d{2})/);
+
+    if (dateMatch) {
+      return dateMatch[1] >= cutoffId;
+    }
+
+    let entryDate;
+    if (entry.published) {
+      entryDate = new Date(entry.published);
+    } else if (entry.updated) {
+      entryDate = new Date(entry.updated);
+    } else {
+      // Keep entry if we can't determine its date
+      return true;
+    }
+
+    return entryDate >= cutoffDate;
+  });
+};
+
+/**
+ * Merge new entries into previous ones
+ * New entries replace previous entries with the same ID.
+ * @param {Array} newEntries - Entries generated in this run
+ * @param {Array} previousEntries - Previous entries to retain
+ * @returns {Array} Entries, newest first
+ */
+export const mergeEntries = (newEntries, previousEntries = []) => {
+  const newIds = new Set(newEntries.map(entry => entry.id));
+
+  // Filter out any existing entry with the same ID to avoid duplicates
+  const filteredPrevious = previousEntries.filter(entry => !newIds.has(entry.id));
+
+  const allEntries = [...newEntries, ...filteredPrevious];
+
+  // Sort by date (newest first)
+  return allEntries.sort((a, b) => {
+    const dateA = new Date(a.published || a.updated || 0);
+    const dateB = new Date(b.published || b.updated || 0);
+    return dateB - dateA;
+  });
+};
+
+/**
+ * Render entries with every enabled formatter
+ * @param {Array} entries - Digest entries (newest first)
+ * @returns {Array<{formatter: Object, outputPath: string, content: string}>} Rendered outputs
+ */
+export const renderOutputs = (entries) => {
+  const channel = {
+    title: config.channelTitle,
+    link: config.channelLink,
+    description: config.channelDescription,
+    updated: new Date().toISOString(),
+  };
+
+  return getEnabledFormatters().map(formatter => ({
+    formatter,
+    outputPath: formatter.outputPath(config),
+    content: formatter.render(entries, channel),
+  }));
+};
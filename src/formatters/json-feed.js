@@ -0,0 +1,63 @@
+/**
+ * JSON Feed 1.1 Formatter
+ * https://www.jsonfeed.org/version/1.1/
+ */
+
+export default {
+  name: 'json',
+  description: 'JSON Feed 1.1',
+
+  /**
+   * @param {Object} config - App config
+   * @returns {string} Output path
+   */
+  outputPath: (config) => config.outputJsonFeed,
+
+  /**
+   * Render entries as a JSON Feed document
+   * @param {Array} entries - Digest entries (newest first)
+   * @param {Object} channel - Channel metadata ({ title, link, description, updated })
+   * @returns {string} JSON
+   */
+  render: (entries, channel) => {
+    const feed = {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: channel.title,
+      home_page_url: channel.link,
+      description: channel.description,
+      items: entries.map(entry => ({
+        id: entry.id,
+        url: entry.link || undefined,
+        title: entry.title,
+        summary: entry.summary || undefined,
+        content_html: entry.html,
+        date_published: entry.published || undefined,
+        date_modified: entry.updated || undefined,
+        authors: entry.author ? [{ name: entry.author }] : undefined,
+      })),
+    };
+    return `${JSON.stringify(feed, null, 2)}\n`;
+  },
+
+  /**
+   * Read entries back from a previously written JSON Feed
+   * @param {string} content - JSON
+   * @returns {Array} Digest entries
+   */
+  parse: (content) => {
+    const items = JSON.parse(content)?.items;
+    if (!Array.isArray(items)) {
+      return [];
+    }
+    return items.map(item => ({
+      id: String(item.id ?? ''),
+      title: item.title ?? '',
+      link: item.url ?? '',
+      published: item.date_published ?? null,
+      updated: item.date_modified ?? null,
+      author: item.authors?.[0]?.name ?? '',
+      summary: item.summary ?? '',
+      html: item.content_html ?? '',
+    }));
+  },
+};
@@ -0,0 +1,109 @@
+/**
+ * RSS 2.0 Formatter
+ */
+
+import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+
+/**
+ * Format an ISO timestamp as an RFC 822 date
+ * @param {string|null} value - ISO timestamp
+ * @returns {string|undefined} RFC 822 date
+ */
+const toRfc822 = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toUTCString() : undefined;
+};
+
+/**
+ * Convert a parsed RSS date back to ISO
+ * @param {string} value - RFC 822 date
+ * @returns {string|null} ISO timestamp
+ */
+const toIso = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+export default {
+  name: 'rss',
+  description: 'RSS 2.0 feed',
+
+  /**
+   * @param {Object} config - App config
+   * @returns {string} Output path
+   */
+  outputPath: (config) => config.outputRss,
+
+  /**
+   * Render entries as an RSS 2.0 document
+   * @param {Array} entries - Digest entries (newest first)
+   * @param {Object} channel - Channel metadata ({ title, link, description, updated })
+   * @returns {string} RSS XML
+   */
+  render: (entries, channel) => {
+    const builder = new XMLBuilder({
+      ignoreAttributes: false,
+      format: true,
+      suppressEmptyNode: true,
+      attributeNamePrefix: '@_',
+    });
+
+    return builder.build({
+      '?xml': {
+        '@_version': '1.0',
+        '@_encoding': 'UTF-8',
+      },
+      rss: {
+        '@_version': '2.0',
+        '@_xmlns:dc': 'http://purl.org/dc/elements/1.1/',
+        channel: {
+          title: channel.title,
+          link: channel.link,
+          description: channel.description,
+          lastBuildDate: toRfc822(channel.updated),
+          item: entries.map(entry => ({
+            title: entry.title,
+            link: entry.link,
+            guid: {
+              '@_isPermaLink': 'false',
+              '#text': entry.id,
+            },
+            pubDate: toRfc822(entry.published || entry.updated),
+            'dc:creator': entry.author || undefined,
+            description: entry.html,
+          })),
+        },
+      },
+    });
+  },
+
+  /**
+   * Read entries back from a previously written RSS document
+   * @param {string} content - RSS XML
+   * @returns {Array} Digest entries
+   */
+  parse: (content) => {
+    const parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+    });
+    const items = parser.parse(content)?.rss?.channel?.item;
+    if (!items) {
+      return [];
+    }
+    return (Array.isArray(items) ? items : [items]).map(item => {
+      const guid = typeof item.guid === 'object' ? item.guid?.['#text'] : item.guid;
+      const published = toIso(item.pubDate);
+      return {
+        id: String(guid ?? item.link ?? ''),
+        title: String(item.title ?? ''),
+        link: String(item.link ?? ''),
+        published,
+        updated: published,
+        author: item['dc:creator'] != null ? String(item['dc:creator']) : '',
+        summary: '',
+        html: String(item.description ?? ''),
+      };
+    });
+  },
+};
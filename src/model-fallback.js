@@ -1,54 +1,261 @@
 import { config } from './config.js';
 import { retryOnError } from './retry.js';
+import { acquireRateLimit, modelKey } from './rate-limiter.js';
+import { recordTokenUsage, reserveBudget } from './usage.js';
+import { estimateTokens } from './chunking.js';
+import { applyProviderSettings, getModelChain, getProviderClient } from './providers.js';
+
+// Response formats each model has rejected, so later calls skip them
+const unsupportedFormats = new Map();
+
+// Circuit breaker per model for this run. A model opens after
+// MODEL_BREAKER_THRESHOLD consecutive failures and is skipped for
+// MODEL_BREAKER_COOLDOWN_MS; then one probe call (half-open) either
+// closes it again or reopens it for another cooldown.
+const breakers = new Map();
+const breakerTransitions = [];
 
 /**
- * Execute a chat completion with ordered model fallback.
+ * Get the circuit breaker of a model
+ * @param {string} model - Model name
+ * @returns {{state: string, failures: number, openedAt: number|null, probing: boolean, skippedCalls: number}} Breaker
+ */
+const getBreaker = (model) => {
+  if (!breakers.has(model)) {
+    breakers.set(model, { state: 'closed', failures: 0, openedAt: null, probing: false, skippedCalls: 0 });
+  }
+  return breakers.get(model);
+};
+
+/**
+ * Move a breaker to a new state and record the transition for the report
+ * @param {string} model - Model name
+ * @param {Object} breaker - Model breaker
+ * @param {string} state - 'closed', 'open' or 'half-open'
+ * @param {string} reason - Why the state changed
+ */
+const setBreakerState = (model, breaker, state, reason) => {
+  if (breaker.state === state) {
+    return;
+  }
+  breakerTransitions.push({ model, from: breaker.state, to: state, reason, at: new Date().toISOString() });
+  breaker.state = state;
+};
+
+/**
+ * Check whether a model may be called now, taking the probe slot of a
+ * half-open model
+ * @param {string} model - Model name
+ * @returns {boolean} False while the model's circuit is open (or another call is probing it)
+ */
+const acquireModel = (model) => {
+  if (config.modelBreakerThreshold <= 0) {
+    return true;
+  }
+  const breaker = getBreaker(model);
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= config.modelBreakerCooldownMs) {
+    setBreakerState(model, breaker, 'half-open', 'cooldown elapsed');
+    console.log(`  🔌 Probing model ${model} again after its cooldown`);
+  }
+  if (breaker.state === 'half-open' && !breaker.probing) {
+    breaker.probing = true;
+    return true;
+  }
+  if (breaker.state !== 'closed') {
+    breaker.skippedCalls++;
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Check whether an error says something about the model's health, rather
+ * than about this request (bad parameters, context too long)
+ * @param {Error} error - API error
+ * @returns {boolean} True if the failure counts towards opening the circuit
+ */
+const isModelHealthError = (error) => ![400, 413, 422].includes(error?.status);
+
+/**
+ * Record a successful call, closing the model's circuit
+ * @param {string} model - Model name
+ */
+const recordModelSuccess = (model) => {
+  const breaker = getBreaker(model);
+  breaker.failures = 0;
+  breaker.probing = false;
+  if (breaker.state !== 'closed') {
+    setBreakerState(model, breaker, 'closed', 'probe succeeded');
+    console.log(`  🔌 Model ${model} is healthy again`);
+  }
+};
+
+/**
+ * Record a failed call, opening the model's circuit once it failed
+ * MODEL_BREAKER_THRESHOLD times in a row (or its probe failed)
+ * @param {string} model - Model name
+ * @param {Error} error - Error of the call
+ */
+const recordModelFailure = (model, error) => {
+  const breaker = getBreaker(model);
+  const probe = breaker.probing;
+  breaker.probing = false;
+  if (config.modelBreakerThreshold <= 0 || !isModelHealthError(error)) {
+    return;
+  }
+
+  breaker.failures++;
+  if (probe || breaker.failures >= config.modelBreakerThreshold) {
+    breaker.openedAt = Date.now();
+    const reason = probe ? `probe failed: ${error.message}` : `${breaker.failures} failure${breaker.failures === 1 ? '' : 's'} in a row: ${error.message}`;
+    setBreakerState(model, breaker, 'open', reason);
+    console.warn(`  🔌 Model ${model} skipped for ${Math.round(config.modelBreakerCooldownMs / 1000)}s (${reason})`);
+  }
+};
+
+/**
+ * Get the circuit breaker states and transitions of this run
+ * @returns {{models: Object<string, Object>, transitions: Array<Object>}} Model health for the report
+ */
+export const getModelHealth = () => ({
+  models: Object.fromEntries([...breakers].map(([model, { state, failures, skippedCalls }]) => [
+    model,
+    { state, failures, skippedCalls },
+  ])),
+  transitions: [...breakerTransitions],
+});
+
+/**
+ * Check whether an error means the provider does not support a response_format
+ * @param {Error} error - API error
+ * @returns {boolean} True if the request should be repeated with a simpler format
+ */
+export const isUnsupportedResponseFormatError = (error) =>
+  [400, 422].includes(error?.status) &&
+  /response_format|json_schema|json_object|json mode|structured output/i.test(error.message || '');
+
+/**
+ * Estimate the most a chat completion request can use
+ * @param {Object} request - Chat completion request
+ * @returns {{promptTokens: number, completionTokens: number}} Token estimate
+ */
+const estimateRequestTokens = (request) => ({
+  promptTokens: estimateTokens((request.messages ?? []).map(message => message.content ?? '').join('\n')),
+  completionTokens: request.max_tokens ?? 0,
+});
+
+/**
+ * Request a completion from one model, stepping down through the response
+ * formats it rejects (e.g. JSON schema → JSON mode → plain text)
  * @param {Object} client - OpenAI-compatible client
  * @param {Object} request - Chat completion request without the model field
- * @param {Object} [options] - Execution options
- * @param {Function} [options.onModelFallback] - Called before falling back to the next model
- * @returns {Promise<{response: Object, model: string, attempts: Array<Object>}>}
+ * @param {string} model - Model to call
+ * @param {string} label - Model label in the chain (provider/model with MODEL_PROVIDERS)
+ * @param {Array<Object|null>} responseFormats - Formats to try, best first (null = none)
+ * @returns {Promise<{response: Object, responseFormat: string}>} Response and the format type used
  */
-export const createChatCompletionWithFallback = async (client, request, options = {}) => {
-  const { onModelFallback } = options;
-  const attempts = [];
-  let lastError = null;
-
-  for (let index = 0; index < config.openaiModels.length; index++) {
-    const model = config.openaiModels[index];
+const createWithResponseFormats = async (client, request, model, label, responseFormats) => {
+  const unsupported = unsupportedFormats.get(label) ?? new Set();
+  const supported = responseFormats.filter(format => !unsupported.has(format?.type ?? 'text'));
+  const candidates = supported.length ? supported : [null];
 
+  for (let index = 0; ; index++) {
+    const format = candidates[index];
     try {
       const response = await retryOnError(
         async () => {
+          await acquireRateLimit(modelKey(model));
           return await client.chat.completions.create({
             ...request,
             model,
+            ...(format ? { response_format: format } : {}),
           });
         },
         {
+          rateLimitKey: modelKey(model),
           onRetry: (error, attempt, delay) => {
-            console.warn(`OpenAI API retry for model ${model} (${attempt}) after ${delay}ms: ${error.message}`);
+            console.warn(`OpenAI API retry for model ${label} (${attempt}) after ${delay}ms: ${error.message}`);
           },
         }
       );
+      return { response, responseFormat: format?.type ?? 'text' };
+    } catch (error) {
+      if (!format || index === candidates.length - 1 || !isUnsupportedResponseFormatError(error)) {
+        throw error;
+      }
+      unsupported.add(format.type);
+      unsupportedFormats.set(label, unsupported);
+      console.warn(`  ⚠️  Model ${label} does not support response_format ${format.type}, using ${candidates[index + 1]?.type ?? 'plain text'}`);
+    }
+  }
+};
+
+/**
+ * Execute a chat completion with ordered model fallback.
+ * The chain is OPENAI_MODELS, or every model of every MODEL_PROVIDERS
+ * profile in order, so a failing provider falls back to the next one.
+ * Models whose circuit is open are skipped without a request.
+ * Each call first reserves its estimated cost against DAILY_BUDGET_USD and
+ * throws BUDGET_EXCEEDED (without trying other models) when it does not fit.
+ * The token usage of the successful call is recorded in the run totals.
+ * @param {Object} client - OpenAI-compatible client of the default provider
+ * @param {Object} request - Chat completion request without the model field
+ * @param {Object} [options] - Execution options
+ * @param {Function} [options.onModelFallback] - Called before falling back to the next model
+ * @param {Array<Object|null>} [options.responseFormats] - response_format values to try per model, best first
+ * @returns {Promise<{response: Object, model: string, provider: string, attempts: Array<Object>, usage: Object|null, responseFormat: string}>}
+ *   `model` is the chain label (provider/model with MODEL_PROVIDERS)
+ */
+export const createChatCompletionWithFallback = async (client, request, options = {}) => {
+  const { onModelFallback, responseFormats = [null] } = options;
+  const chain = getModelChain();
+  const attempts = [];
+  let lastError = null;
+
+  for (let index = 0; index < chain.length; index++) {
+    const { provider, model, label } = chain[index];
+    const providerRequest = applyProviderSettings(request, provider);
+    const releaseBudget = reserveBudget(model, estimateRequestTokens(providerRequest));
+
+    if (!acquireModel(label)) {
+      releaseBudget();
+      attempts.push({ model: label, message: 'circuit open', status: null, code: 'CIRCUIT_OPEN', skipped: true });
+      continue;
+    }
+
+    try {
+      const { response, responseFormat } = await createWithResponseFormats(
+        getProviderClient(provider, client),
+        providerRequest,
+        model,
+        label,
+        responseFormats
+      );
+      recordModelSuccess(label);
 
       return {
         response,
-        model,
+        model: label,
+        provider: provider.name,
         attempts,
+        usage: recordTokenUsage(model, response.usage),
+        responseFormat,
       };
     } catch (error) {
+      recordModelFailure(label, error);
       lastError = error;
       attempts.push({
-        model,
+        model: label,
         message: error.message,
         status: error.status ?? null,
         code: error.code ?? null,
       });
 
-      if (index < config.openaiModels.length - 1) {
-        onModelFallback?.(error, model, config.openaiModels[index + 1], index + 1);
+      if (index < chain.length - 1) {
+        onModelFallback?.(error, label, chain[index + 1].label, index + 1);
       }
+    } finally {
+      releaseBudget();
     }
   }
 
@@ -57,5 +264,12 @@ export const createChatCompletionWithFallback = async (client, request, options
     throw lastError;
   }
 
+  if (attempts.length) {
+    const error = new Error(`All models are cooling down after repeated failures: ${attempts.map(({ model }) => model).join(', ')}`);
+    error.code = 'CIRCUIT_OPEN';
+    error.modelAttempts = attempts;
+    throw error;
+  }
+
   throw new Error('No OpenAI models configured');
 };
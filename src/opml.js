@@ -32,6 +32,73 @@ const normalizeOutline = (outline) => {
   });
 };
 
+const parseOptionalNumber = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+// Item counts must be positive whole numbers; anything else falls back to the global setting
+const parseOptionalCount = (value, name) => {
+  const parsed = parseOptionalNumber(value);
+  if (parsed === undefined) {
+    return undefined;
+  }
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    console.warn(`⚠️  Ignoring ${name}="${value}": expected a positive whole number`);
+    return undefined;
+  }
+  return parsed;
+};
+
+const parseOptionalBoolean = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return value === 'true' || value === '1' || value === 'yes';
+};
+
+const parseOptionalRuleList = (value) => {
+  if (!value) {
+    return [];
+  }
+  return String(value).split(';').map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Read per-feed settings from custom outline attributes
+ * Unset attributes are left undefined so the global config applies.
+ *
+ *   afoMaxItems="3"          Max articles per run from this feed
+ *   afoFullArticle="false"   Fetch the full article page or use the feed description
+ *   afoPrompt="prompts/x.md" Custom summary prompt file (relative to the project root)
+ *   afoLanguage="English"    Language the summaries are written in
+ *   afoSkipDateFilter="true" Take the latest articles instead of today's
+ *   afoPriority="10"         Higher priority feeds are processed and listed first
+ *   afoInclude="css; html"   Keep only items matching one of these filter rules (`;`-separated)
+ *   afoExclude="sponsored"   Drop items matching any of these filter rules (`;`-separated)
+ *
+ * @param {Object} attributes - Raw outline attributes
+ * @returns {Object} Feed options
+ */
+export const parseFeedOptions = (attributes = {}) => {
+  return {
+    maxItems: parseOptionalCount(attributes.afoMaxItems, 'afoMaxItems'),
+    fullArticle: parseOptionalBoolean(attributes.afoFullArticle),
+    promptFile: attributes.afoPrompt || undefined,
+    language: attributes.afoLanguage || undefined,
+    skipDateFilter: parseOptionalBoolean(attributes.afoSkipDateFilter) ?? false,
+    priority: parseOptionalNumber(attributes.afoPriority) ?? 0,
+    include: parseOptionalRuleList(attributes.afoInclude),
+    exclude: parseOptionalRuleList(attributes.afoExclude),
+  };
+};
+
 export const parseOpml = async (opmlPath) => {
   const absolutePath = path.isAbsolute(opmlPath)
     ? opmlPath
@@ -0,0 +1,82 @@
+/**
+ * Model Providers
+ * MODEL_PROVIDERS defines named OpenAI-compatible endpoints (hosted APIs,
+ * Ollama, llama.cpp server), each with its own base URL, key, models, max
+ * tokens and temperature. The model chain is every provider's models in
+ * profile order, so a call falls back from one provider to the next.
+ * Without MODEL_PROVIDERS there is a single default provider: the client
+ * built from OPENAI_API_KEY / OPENAI_BASE_URL with OPENAI_MODELS.
+ */
+
+import OpenAI from 'openai';
+import { config } from './config.js';
+
+// Clients of named providers, created on first use
+const clients = new Map();
+
+/**
+ * Get the provider profiles in fallback order
+ * @returns {Array<{name: string, baseUrl: string|null, apiKey: string|null, models: Array<string>, maxTokens: number|null, temperature: number|null, isDefault?: boolean}>} Providers
+ */
+export const getProviders = () => (config.modelProviders.length
+  ? config.modelProviders
+  : [{ name: 'default', baseUrl: null, apiKey: null, models: config.openaiModels, maxTokens: null, temperature: null, isDefault: true }]);
+
+/**
+ * Get the model chain across all providers
+ * Labels are `provider/model` when MODEL_PROVIDERS is set, so the same
+ * model served by two providers keeps separate health and report entries.
+ * @returns {Array<{provider: Object, model: string, label: string}>} Models in fallback order
+ */
+export const getModelChain = () => getProviders().flatMap(provider => provider.models.map(model => ({
+  provider,
+  model,
+  label: provider.isDefault ? model : `${provider.name}/${model}`,
+})));
+
+/**
+ * Get the client of a provider
+ * @param {Object} provider - Provider profile
+ * @param {Object} defaultClient - Client of the default provider
+ * @returns {Object} OpenAI-compatible client
+ */
+export const getProviderClient = (provider, defaultClient) => {
+  if (provider.isDefault) {
+    return defaultClient;
+  }
+  if (!clients.has(provider.name)) {
+    clients.set(provider.name, new OpenAI({
+      // OPENAI_API_KEY only goes to the OpenAI endpoint; local servers accept any key
+      apiKey: provider.apiKey || (!provider.baseUrl && config.openaiApiKey) || 'none',
+      baseURL: provider.baseUrl || config.openaiBaseUrl || undefined,
+      // Retries go through retryOnError, which also honours rate limits
+      maxRetries: 0,
+    }));
+  }
+  return clients.get(provider.name);
+};
+
+/**
+ * Apply a provider's max tokens and temperature to a request
+ * maxTokens caps the request's own max_tokens; temperature replaces it.
+ * @param {Object} request - Chat completion request
+ * @param {Object} provider - Provider profile
+ * @returns {Object} Request for this provider
+ */
+export const applyProviderSettings = (request, provider) => ({
+  ...request,
+  ...(provider.maxTokens !== null && provider.maxTokens !== undefined
+    ? { max_tokens: Math.min(request.max_tokens ?? provider.maxTokens, provider.maxTokens) }
+    : {}),
+  ...(provider.temperature !== null && provider.temperature !== undefined ? { temperature: provider.temperature } : {}),
+});
+
+/**
+ * Describe the providers for logs
+ * @returns {string} e.g. "openai (https://api.openai.com/v1), local (http://localhost:11434/v1)"
+ */
+export const describeProviders = () => getProviders()
+  .map(provider => (provider.isDefault
+    ? `${config.openaiBaseUrl || 'default (OpenAI)'}`
+    : `${provider.name} (${provider.baseUrl || config.openaiBaseUrl || 'default (OpenAI)'})`))
+  .join(', ');
@@ -0,0 +1,112 @@
+/**
+ * Rate Limiter
+ * Shared token buckets, one per host (feed and article requests) and one per
+ * model (chat completions), so concurrent pools cannot exceed a provider's
+ * requests-per-minute. Each bucket holds up to a minute of requests and
+ * refills continuously. A Retry-After answer pauses the whole bucket, so
+ * other callers of the same host or model wait as well.
+ *
+ * Limits come from HOST_REQUESTS_PER_MINUTE / MODEL_REQUESTS_PER_MINUTE,
+ * with per-host or per-model overrides in RATE_LIMITS (0 = unlimited):
+ *   {"medium.com": 20, "gpt-4o": 60}
+ */
+
+import { config } from './config.js';
+import { sleep } from './retry.js';
+
+const buckets = new Map();
+
+/**
+ * Build the limiter key of a URL's host
+ * @param {string} url - Request URL
+ * @returns {string} Limiter key
+ */
+export const hostKey = (url) => {
+  try {
+    return `host:${new URL(url).host}`;
+  } catch {
+    return `host:${url}`;
+  }
+};
+
+/**
+ * Build the limiter key of a model
+ * @param {string} model - Model name
+ * @returns {string} Limiter key
+ */
+export const modelKey = (model) => `model:${model}`;
+
+/**
+ * Get the requests-per-minute limit of a key
+ * @param {string} key - Limiter key
+ * @returns {number} Requests per minute (0 = unlimited)
+ */
+const getRequestsPerMinute = (key) => {
+  const [, kind, name] = key.match(/^(\w+):(.*)$/s);
+  const override = config.rateLimits[name];
+  if (override !== undefined && Number.isFinite(Number(override))) {
+    return Number(override);
+  }
+  return kind === 'model' ? config.modelRequestsPerMinute : config.hostRequestsPerMinute;
+};
+
+/**
+ * Get the bucket of a key, creating a full one on first use
+ * An unlimited key gets a bucket that never runs out, so it can still be paused.
+ * @param {string} key - Limiter key
+ * @returns {{tokens: number, capacity: number, refillPerMs: number, updatedAt: number, pausedUntil: number}} Bucket
+ */
+const getBucket = (key) => {
+  if (!buckets.has(key)) {
+    const requestsPerMinute = getRequestsPerMinute(key);
+    const capacity = requestsPerMinute > 0 ? requestsPerMinute : Infinity;
+    buckets.set(key, {
+      tokens: capacity,
+      capacity,
+      refillPerMs: requestsPerMinute > 0 ? requestsPerMinute / 60000 : 0,
+      updatedAt: Date.now(),
+      pausedUntil: 0,
+    });
+  }
+  return buckets.get(key);
+};
+
+/**
+ * Wait until a request to a host or model may be sent, and take its token
+ * @param {string} key - Limiter key from hostKey() or modelKey()
+ * @returns {Promise<number>} Milliseconds waited
+ */
+export const acquireRateLimit = async (key) => {
+  const bucket = getBucket(key);
+  let waited = 0;
+
+  for (;;) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs);
+    bucket.updatedAt = now;
+
+    if (now >= bucket.pausedUntil && bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      break;
+    }
+
+    const delay = Math.max(bucket.pausedUntil - now, Math.ceil((1 - bucket.tokens) / bucket.refillPerMs), 1);
+    await sleep(delay);
+    waited += delay;
+  }
+
+  return waited;
+};
+
+/**
+ * Pause a host or model after the server asked to retry later
+ * @param {string} key - Limiter key
+ * @param {number} ms - Milliseconds to hold further requests
+ */
+export const pauseRateLimit = (key, ms) => {
+  if (!key || !(ms > 0)) {
+    return;
+  }
+  const bucket = getBucket(key);
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+};
@@ -0,0 +1,296 @@
+/**
+ * Relevance Scoring
+ * Scores feed items against an interest profile (INTEREST_PROFILE) before
+ * they are summarized. Items below RELEVANCE_MIN_SCORE are dropped so they
+ * never cost tokens; the rest are ranked and the best become "Top picks".
+ *
+ * Profile (JSON):
+ *   {
+ *     "description": "Frontend team building a design system",
+ *     "keywords": { "css": 2, "accessibility": 3, "crypto": -3 },
+ *     "topics": { "Web platform": { "weight": 2, "keywords": ["browser", "html"] } },
+ *     "feedWeights": { "CSS-Tricks": 1 }
+ *   }
+ *
+ * The keyword scorer adds each matching keyword's weight (doubled when it is
+ * in the title) and each matching topic's weight once. The LLM scorer rates
+ * every item 0-10 against the profile instead. Both add the feed weight.
+ */
+
+import fs from 'fs/promises';
+import { config } from './config.js';
+import { escapeHtml } from './html.js';
+import { extractJson } from './digest.js';
+import { createChatCompletionWithFallback } from './model-fallback.js';
+
+// Items per LLM rating request
+const LLM_BATCH_SIZE = 40;
+const MAX_DESCRIPTION_CHARS = 400;
+
+let profilePromise = null;
+
+/**
+ * Validate and normalize a parsed interest profile
+ * @param {Object} raw - Parsed profile JSON
+ * @returns {Object} Profile with keywords, topics and feedWeights
+ */
+export const normalizeProfile = (raw) => {
+  const toNumber = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+  const keywords = Object.entries(raw?.keywords ?? {})
+    .filter(([keyword]) => keyword.trim())
+    .map(([keyword, weight]) => ({ keyword: keyword.trim().toLowerCase(), weight: toNumber(weight, 1) }));
+  const topics = Object.entries(raw?.topics ?? {}).map(([name, topic]) => ({
+    name,
+    weight: toNumber(topic?.weight, 1),
+    keywords: (Array.isArray(topic?.keywords) ? topic.keywords : [])
+      .map(keyword => String(keyword).trim().toLowerCase())
+      .filter(Boolean),
+  }));
+  const feedWeights = Object.fromEntries(
+    Object.entries(raw?.feedWeights ?? {}).map(([feed, weight]) => [feed, toNumber(weight, 0)])
+  );
+
+  return {
+    description: typeof raw?.description === 'string' ? raw.description.trim() : '',
+    keywords,
+    topics,
+    feedWeights,
+  };
+};
+
+/**
+ * Load the interest profile (cached for the run)
+ * @returns {Promise<Object|null>} Profile, or null if none is configured
+ */
+export const loadInterestProfile = async () => {
+  if (!profilePromise) {
+    profilePromise = (async () => {
+      try {
+        const raw = await fs.readFile(config.interestProfilePath, 'utf-8');
+        const profile = normalizeProfile(JSON.parse(raw));
+        console.log(`✓ Loaded interest profile from ${config.interestProfilePath} (${profile.keywords.length} keywords, ${profile.topics.length} topics)`);
+        return profile;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`⚠️  Failed to load interest profile ${config.interestProfilePath}: ${error.message} (relevance scoring disabled)`);
+        }
+        return null;
+      }
+    })();
+  }
+  return profilePromise;
+};
+
+/**
+ * Build a matcher for a keyword or phrase
+ * Latin keywords match whole words; CJK keywords, which have no word
+ * boundaries, match anywhere.
+ * @param {string} keyword - Lowercase keyword
+ * @returns {(text: string) => boolean} Matcher for lowercase text
+ */
+const buildKeywordMatcher = (keyword) => {
+  if (/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(keyword)) {
+    return (text) => text.includes(keyword);
+  }
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u');
+  return (text) => pattern.test(text);
+};
+
+/**
+ * Get the lowercase plain text of an item for matching
+ * @param {Object} item - Feed item
+ * @returns {{title: string, body: string}} Title and description text
+ */
+const getItemText = (item) => ({
+  title: String(item.title ?? '').toLowerCase(),
+  body: String(item.description ?? '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').toLowerCase(),
+});
+
+/**
+ * Score an item with the keyword scorer
+ * @param {Object} profile - Interest profile
+ * @param {Object} item - Feed item
+ * @param {string} feedTitle - Source feed title
+ * @returns {{score: number, matches: Array<string>, method: string}} Relevance
+ */
+export const scoreItemByKeywords = (profile, item, feedTitle) => {
+  const { title, body } = getItemText(item);
+  const matches = [];
+  let score = profile.feedWeights[feedTitle] ?? 0;
+
+  for (const { keyword, weight } of profile.keywords) {
+    const matcher = buildKeywordMatcher(keyword);
+    if (matcher(title)) {
+      score += weight * 2;
+      matches.push(keyword);
+    } else if (matcher(body)) {
+      score += weight;
+      matches.push(keyword);
+    }
+  }
+
+  for (const topic of profile.topics) {
+    const hit = topic.keywords.find(keyword => {
+      const matcher = buildKeywordMatcher(keyword);
+      return matcher(title) || matcher(body);
+    });
+    if (hit) {
+      score += topic.weight;
+      matches.push(topic.name);
+    }
+  }
+
+  return { score: Math.round(score * 100) / 100, matches, method: 'keywords' };
+};
+
+/**
+ * Describe the profile for the LLM rating prompt
+ * @param {Object} profile - Interest profile
+ * @returns {string} Profile description
+ */
+const describeProfile = (profile) => {
+  const lines = [];
+  if (profile.description) {
+    lines.push(profile.description);
+  }
+  const liked = profile.keywords.filter(({ weight }) => weight > 0).map(({ keyword }) => keyword);
+  const disliked = profile.keywords.filter(({ weight }) => weight < 0).map(({ keyword }) => keyword);
+  if (liked.length) {
+    lines.push(`Interested in: ${liked.join(', ')}`);
+  }
+  for (const topic of profile.topics) {
+    lines.push(`Topic "${topic.name}" (${topic.weight >= 0 ? 'interested' : 'not interested'}): ${topic.keywords.join(', ')}`);
+  }
+  if (disliked.length) {
+    lines.push(`Not interested in: ${disliked.join(', ')}`);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Rate items with the LLM against the profile
+ * @param {Object} client - OpenAI client
+ * @param {Object} profile - Interest profile
+ * @param {Array<{item: Object, feedTitle: string}>} entries - Items to rate
+ * @returns {Promise<Array<number|null>>} Rating (0-10) per item, null when the model skipped it
+ */
+const rateItemsWithLlm = async (client, profile, entries) => {
+  const ratings = new Array(entries.length).fill(null);
+
+  for (let start = 0; start < entries.length; start += LLM_BATCH_SIZE) {
+    const batch = entries.slice(start, start + LLM_BATCH_SIZE);
+    const list = batch.map(({ item, feedTitle }, index) => {
+      const { body } = getItemText(item);
+      return `[${index + 1}] ${item.title} (${feedTitle})\n${body.slice(0, MAX_DESCRIPTION_CHARS)}`;
+    }).join('\n\n');
+
+    let response;
+    try {
+      ({ response } = await createChatCompletionWithFallback(client, {
+        messages: [
+          {
+            role: 'system',
+            content: `You rate how relevant articles are to a reader. Reader profile:\n${describeProfile(profile)}\n\nRate every article from 0 (irrelevant) to 10 (must read). Output ONLY a JSON object: {"scores": [{"id": 1, "score": 7}]}`,
+          },
+          { role: 'user', content: list },
+        ],
+        temperature: 0,
+        max_tokens: 1500,
+      }));
+    } catch (error) {
+      // Batches rated before the budget ran out keep their ratings
+      if (error.code !== 'BUDGET_EXCEEDED') {
+        throw error;
+      }
+      console.warn(`  💸 ${error.message}, using keyword scores for the remaining ${entries.length - start} articles`);
+      break;
+    }
+
+    const result = extractJson(response.choices?.[0]?.message?.content);
+    for (const { id, score } of Array.isArray(result?.scores) ? result.scores : []) {
+      const index = Number(id) - 1;
+      if (index >= 0 && index < batch.length && Number.isFinite(Number(score))) {
+        ratings[start + index] = Math.min(10, Math.max(0, Number(score)));
+      }
+    }
+  }
+
+  return ratings;
+};
+
+/**
+ * Score the selected items of every feed
+ * The LLM scorer falls back to keywords for items it could not rate.
+ * @param {Object|null} client - OpenAI client (LLM scorer only)
+ * @param {Array<{feed: Object, entries: Array}>} feedEntries - Feeds with selected items
+ * @returns {Promise<Map<Object, Object>|null>} Relevance per item, or null without a profile
+ */
+export const scoreFeedEntries = async (client, feedEntries) => {
+  const profile = await loadInterestProfile();
+  if (!profile) {
+    return null;
+  }
+
+  const entries = feedEntries.flatMap(({ feed, entries: items }) => items.map(item => ({ item, feedTitle: feed.title })));
+  const scores = new Map(entries.map(({ item, feedTitle }) => [item, scoreItemByKeywords(profile, item, feedTitle)]));
+
+  if (config.relevanceScorer === 'llm' && client && !config.dryRunPlaceholders && entries.length) {
+    console.log(`\n⚖️  Rating ${entries.length} articles against the interest profile...`);
+    try {
+      const ratings = await rateItemsWithLlm(client, profile, entries);
+      entries.forEach(({ item, feedTitle }, index) => {
+        if (ratings[index] !== null) {
+          const score = ratings[index] + (profile.feedWeights[feedTitle] ?? 0);
+          scores.set(item, { score, matches: scores.get(item).matches, method: 'llm' });
+        }
+      });
+    } catch (error) {
+      console.warn(`  ⚠️  LLM rating failed (${error.message}), using keyword scores`);
+    }
+  }
+
+  return scores;
+};
+
+/**
+ * Pick the top-scoring digests
+ * @param {Array} digests - Digests with relevance
+ * @returns {Array} Up to RELEVANCE_TOP_PICKS digests with a positive score, best first
+ */
+export const selectTopPicks = (digests) => digests
+  .filter(digest => (digest.relevance?.score ?? 0) > 0)
+  .sort((a, b) => b.relevance.score - a.relevance.score)
+  .slice(0, Math.max(0, config.relevanceTopPicks));
+
+/**
+ * Format the "Top picks" section of the daily digest
+ * @param {Array} digests - All digests of the day
+ * @returns {string} HTML section, or '' when no digest scored above zero
+ */
+export const formatTopPicksHtml = (digests) => {
+  const picks = selectTopPicks(digests);
+  if (!picks.length) {
+    return '';
+  }
+
+  const lines = [];
+  lines.push(`<div style="background: #fffaf0; border-left: 4px solid #e0a800; padding: 12px 16px; margin: 16px 0;">`);
+  lines.push(`<h2 style="color: #333; margin: 0 0 8px 0;">⭐ Top Picks</h2>`);
+  lines.push(`<ol style="margin: 8px 0; padding-left: 20px; color: #555;">`);
+  for (const digest of picks) {
+    const title = digest.link
+      ? `<a href="${escapeHtml(digest.link)}" style="color: #0066cc; text-decoration: none;">${escapeHtml(digest.title)}</a>`
+      : escapeHtml(digest.title);
+    const matches = digest.relevance.matches.length ? `, ${escapeHtml(digest.relevance.matches.join(', '))}` : '';
+    lines.push(`<li style="margin: 6px 0;">${title} <span style="color: #888; font-size: 0.85em;">(${escapeHtml(digest.sourceTitle)} · score ${digest.relevance.score}${matches})</span>`);
+    if (digest.digests?.oneLine) {
+      lines.push(`<br/><span style="color: #555;">${escapeHtml(digest.digests.oneLine)}</span>`);
+    }
+    lines.push(`</li>`);
+  }
+  lines.push(`</ol>`);
+  lines.push(`</div>`);
+  return lines.join('\n');
+};
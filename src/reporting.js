@@ -2,6 +2,9 @@ import fs from 'fs/promises';
 import path from 'path';
 import { config } from './config.js';
 import { formatDateForTitle, formatDateForId } from './date-filter.js';
+import { addUsage, createUsageTotals, getRunUsage, getDailySpend } from './usage.js';
+import { getModelHealth } from './model-fallback.js';
+import { getModelChain } from './providers.js';
 
 /**
  * Create a new report collector
@@ -26,7 +29,7 @@ export const createReportCollector = () => {
       enableFullArticleFetch: config.enableFullArticleFetch,
       digestCacheEnabled: config.digestCacheEnabled,
       dateFilterEnabled: config.dateFilterEnabled,
-      openaiModels: config.openaiModels,
+      openaiModels: getModelChain().map(({ label }) => label),
       openaiModel: config.openaiModel,
     },
     models: {
@@ -37,6 +40,9 @@ export const createReportCollector = () => {
       total: 0,
       successful: 0,
       failed: 0,
+      fetched: 0,
+      notModified: 0,
+      fromCache: 0,
       withArticles: 0,
       articlesPerFeed: {},
       errors: [],
@@ -49,7 +55,17 @@ export const createReportCollector = () => {
       skipped: 0,
       cached: 0,
       errors: [],
+      filtered: [],
     },
+    usage: {
+      total: createUsageTotals(),
+      byModel: {},
+      byFeed: {},
+      byArticle: [],
+      dailyBudgetUsd: config.dailyBudgetUsd,
+      spentToday: 0,
+    },
+    delivery: [],
     performance: {
       totalDuration: 0,
       averageItemProcessingTime: 0,
@@ -64,11 +80,24 @@ export const createReportCollector = () => {
  * @param {boolean} success - Whether processing succeeded
  * @param {Error} [error] - Error if failed
  * @param {string} [feedTitle] - Feed title
+ * @param {Object} [metadata] - Extra details
+ * @param {string} [metadata.fetchStatus] - 'fetched', 'not-modified' or 'cached'
  */
-export const recordFeedResult = (report, success, error = null, feedTitle = '') => {
+export const recordFeedResult = (report, success, error = null, feedTitle = '', metadata = {}) => {
   report.feeds.total++;
   if (success) {
     report.feeds.successful++;
+    switch (metadata.fetchStatus) {
+      case 'fetched':
+        report.feeds.fetched++;
+        break;
+      case 'not-modified':
+        report.feeds.notModified++;
+        break;
+      case 'cached':
+        report.feeds.fromCache++;
+        break;
+    }
   } else {
     report.feeds.failed++;
     if (error) {
@@ -102,6 +131,11 @@ export const recordFeedArticles = (report, feedTitle, articleCount) => {
  * @param {number} [processingTime] - Processing time in milliseconds
  * @param {Error} [error] - Error if failed
  * @param {string} [itemTitle] - Item title
+ * @param {Object} [metadata] - Extra details
+ * @param {Object} [metadata.modelUsage] - Models tried for the item
+ * @param {string} [metadata.feedTitle] - Source feed title
+ * @param {string} [metadata.filterRule] - Include/exclude rule that dropped a skipped item
+ * @param {Object} [metadata.usage] - Token usage of a newly generated digest
  */
 export const recordItemResult = (report, status, processingTime = 0, error = null, itemTitle = '', metadata = {}) => {
   report.items.total++;
@@ -124,6 +158,13 @@ export const recordItemResult = (report, status, processingTime = 0, error = nul
       break;
     case 'skipped':
       report.items.skipped++;
+      if (metadata.filterRule) {
+        report.items.filtered.push({
+          item: itemTitle,
+          feed: metadata.feedTitle || '',
+          rule: metadata.filterRule,
+        });
+      }
       break;
     case 'cached':
       report.items.cached++;
@@ -143,6 +184,32 @@ export const recordItemResult = (report, status, processingTime = 0, error = nul
   if ((metadata.modelUsage?.usedModels?.length || 0) > 1) {
     report.models.itemsWithFallback++;
   }
+
+  if (metadata.usage) {
+    const feedTitle = metadata.feedTitle || 'Unknown Feed';
+    report.usage.byFeed[feedTitle] = addUsage(report.usage.byFeed[feedTitle] ?? createUsageTotals(), metadata.usage);
+    report.usage.byArticle.push({ item: itemTitle, feed: feedTitle, ...metadata.usage });
+  }
+};
+
+/**
+ * Record the outcome of delivering the digest (email, webhooks, ...)
+ * @param {Object} report - Report collector
+ * @param {Object} result - Delivery result
+ * @param {string} result.channel - Delivery channel: 'email', 'slack', 'discord' or 'webhook'
+ * @param {string} result.target - Where the digest was sent
+ * @param {string} result.status - Status: 'sent', 'failed', 'skipped'
+ * @param {string} [result.error] - Failure or skip reason
+ */
+export const recordDeliveryResult = (report, { channel, target, status, error = null, ...details }) => {
+  report.delivery.push({
+    channel,
+    target,
+    status,
+    ...(error ? { error } : {}),
+    ...details,
+    timestamp: new Date().toISOString(),
+  });
 };
 
 /**
@@ -161,8 +228,21 @@ export const finalizeReport = (report) => {
     );
   }
   
+  // Model totals include calls outside articles (verification, themes, relevance, embeddings)
+  const runUsage = getRunUsage();
+  
   return {
     ...report,
+    models: {
+      ...report.models,
+      health: getModelHealth(),
+    },
+    usage: {
+      ...report.usage,
+      total: { ...runUsage.total },
+      byModel: structuredClone(runUsage.byModel),
+      spentToday: getDailySpend(),
+    },
     timestamp: new Date().toISOString(),
     performance: {
       totalDuration: report.performance.totalDuration,
@@ -190,6 +270,23 @@ const formatDuration = (ms) => {
   return `${minutes}m ${seconds}s`;
 };
 
+/**
+ * Format an estimated cost
+ * @param {Object} totals - Usage totals
+ * @returns {string} Cost in USD, noting calls without a price
+ */
+const formatCost = (totals) => {
+  const unpriced = totals.unpricedCalls ? ` (+${totals.unpricedCalls} unpriced)` : '';
+  return `$${totals.cost.toFixed(4)}${unpriced}`;
+};
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {*} text - Cell text
+ * @returns {string} Text with pipes escaped and line breaks collapsed
+ */
+const formatTableCell = (text) => String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
 /**
  * Generate JSON report
  * @param {Object} report - Report data
@@ -214,6 +311,9 @@ export const generateMarkdownReport = (report) => {
   if (report.date) {
     lines.push(`**📅 Date:** ${report.date.dateString}`);
     lines.push(`**Mode:** ${report.date.dateFilterEnabled ? 'Daily Digest (today\'s articles)' : 'Legacy (latest N articles)'}`);
+    if (report.date.catchUp) {
+      lines.push(`**Catch-up:** ${report.date.catchUp.from} to ${report.date.catchUp.to} (${report.date.catchUp.days.length} day(s) backfilled)`);
+    }
   }
   lines.push(`**Generated:** ${report.timestamp}`);
   lines.push(`**Duration:** ${report.performance.totalDurationFormatted}`);
@@ -239,6 +339,9 @@ export const generateMarkdownReport = (report) => {
   lines.push(`- **Feeds with Articles:** ${report.feeds.withArticles || 0}`);
   lines.push(`- **Successful:** ${report.feeds.successful}`);
   lines.push(`- **Failed:** ${report.feeds.failed}`);
+  lines.push(`- **Downloaded:** ${report.feeds.fetched || 0}`);
+  lines.push(`- **Not Modified (HTTP 304):** ${report.feeds.notModified || 0}`);
+  lines.push(`- **From Cache:** ${report.feeds.fromCache || 0}`);
   lines.push('');
   
   // Articles per feed breakdown
@@ -282,6 +385,25 @@ export const generateMarkdownReport = (report) => {
     lines.push('');
   }
   
+  if (report.models.health?.transitions.length > 0) {
+    lines.push('### Circuit Breaker');
+    lines.push('');
+    lines.push('| Time | Model | Transition | Reason |');
+    lines.push('|------|-------|------------|--------|');
+    for (const { at, model, from, to, reason } of report.models.health.transitions) {
+      lines.push(`| ${at} | ${model} | ${from} → ${to} | ${String(reason).replace(/\|/g, '\\|')} |`);
+    }
+    lines.push('');
+    for (const [model, { state, skippedCalls }] of Object.entries(report.models.health.models)) {
+      if (state !== 'closed' || skippedCalls > 0) {
+        lines.push(`- **${model}:** ${state} at the end of the run, ${skippedCalls} calls skipped`);
+      }
+    }
+    if (lines[lines.length - 1] !== '') {
+      lines.push('');
+    }
+  }
+  
   if (report.items.errors.length > 0) {
     lines.push('### Item Errors');
     lines.push('');
@@ -294,6 +416,69 @@ export const generateMarkdownReport = (report) => {
     lines.push('');
   }
   
+  if (report.items.filtered?.length > 0) {
+    lines.push('### Filtered Items');
+    lines.push('');
+    lines.push('| Feed | Item | Rule |');
+    lines.push('|------|------|------|');
+    for (const { feed, item, rule } of report.items.filtered.slice(0, 50)) {
+      lines.push(`| ${formatTableCell(feed || '-')} | ${formatTableCell(item || 'Unknown')} | \`${formatTableCell(rule)}\` |`);
+    }
+    if (report.items.filtered.length > 50) {
+      lines.push(`| ... | and ${report.items.filtered.length - 50} more | |`);
+    }
+    lines.push('');
+  }
+  
+  if (report.usage?.total.calls > 0) {
+    const { total, byModel, byFeed, byArticle } = report.usage;
+    lines.push('## Token Usage');
+    lines.push('');
+    lines.push(`- **API Calls:** ${total.calls}`);
+    lines.push(`- **Tokens:** ${total.totalTokens} (${total.promptTokens} prompt, ${total.completionTokens} completion)`);
+    lines.push(`- **Estimated Cost:** ${formatCost(total)}`);
+    if (report.usage.dailyBudgetUsd !== null) {
+      lines.push(`- **Daily Budget:** $${report.usage.spentToday.toFixed(4)} of $${report.usage.dailyBudgetUsd} spent today`);
+    }
+    lines.push('');
+    
+    const pushTable = (heading, label, rows) => {
+      lines.push(`### ${heading}`);
+      lines.push('');
+      lines.push(`| ${label} | Calls | Prompt | Completion | Cost |`);
+      lines.push(`|${'-'.repeat(label.length + 2)}|-------|--------|------------|------|`);
+      for (const [name, usage] of rows) {
+        lines.push(`| ${formatTableCell(name)} | ${usage.calls} | ${usage.promptTokens} | ${usage.completionTokens} | ${formatCost(usage)} |`);
+      }
+      lines.push('');
+    };
+    const byCost = (a, b) => b[1].cost - a[1].cost || b[1].totalTokens - a[1].totalTokens;
+    
+    pushTable('Usage Per Model', 'Model', Object.entries(byModel).sort(byCost));
+    if (Object.keys(byFeed).length > 0) {
+      pushTable('Usage Per Feed', 'Feed', Object.entries(byFeed).sort(byCost));
+    }
+    if (byArticle.length > 0) {
+      const articles = byArticle.map(usage => [`${usage.item} (${usage.feed})`, usage]).sort(byCost);
+      pushTable('Usage Per Article', 'Article', articles.slice(0, 20));
+      if (articles.length > 20) {
+        lines.push(`- ... and ${articles.length - 20} more articles`);
+        lines.push('');
+      }
+    }
+  }
+  
+  if (report.delivery?.length > 0) {
+    lines.push('## Delivery');
+    lines.push('');
+    lines.push('| Channel | Target | Status | Details |');
+    lines.push('|---------|--------|--------|---------|');
+    for (const { channel, event, target, status, error } of report.delivery) {
+      lines.push(`| ${channel}${event ? ` (${event})` : ''} | ${formatTableCell(target || '-')} | ${status} | ${formatTableCell(error || '')} |`);
+    }
+    lines.push('');
+  }
+  
   lines.push('## Performance Metrics');
   lines.push('');
   lines.push(`- **Total Duration:** ${report.performance.totalDurationFormatted}`);
@@ -314,7 +499,7 @@ export const generateMarkdownReport = (report) => {
 export const saveReports = async (report, options = {}) => {
   const { json = true, markdown = true } = options;
   
-  if (!config.enableReporting) {
+  if (!config.enableReporting || config.dryRun) {
     return { json: null, markdown: null };
   }
   
@@ -357,6 +542,9 @@ export const printReportSummary = (report) => {
   
   console.log(`Duration: ${report.performance.totalDurationFormatted}`);
   console.log(`Feeds Checked: ${report.feeds.total}`);
+  if (report.feeds.notModified > 0) {
+    console.log(`  └─ Not Modified (304): ${report.feeds.notModified}`);
+  }
   console.log(`Feeds with Articles: ${report.feeds.withArticles || 0}`);
   console.log(`Articles Processed: ${report.items.successful}/${report.items.total} successful`);
   if (Object.keys(report.models.used || {}).length > 0) {
@@ -365,15 +553,33 @@ export const printReportSummary = (report) => {
       console.log(`Fallback Invocations: ${report.models.itemsWithFallback}`);
     }
   }
+  for (const [model, { state, skippedCalls }] of Object.entries(report.models.health?.models || {})) {
+    if (state !== 'closed' || skippedCalls > 0) {
+      console.log(`Circuit Breaker: ${model} ${state} (${skippedCalls} calls skipped)`);
+    }
+  }
   
   if (report.items.cached > 0) {
     console.log(`  └─ From Cache: ${report.items.cached}`);
   }
+  if (report.items.filtered?.length > 0) {
+    console.log(`  └─ Filtered: ${report.items.filtered.length}`);
+  }
   if (report.items.failed > 0) {
     console.log(`  └─ Failed: ${report.items.failed}`);
   }
   if (report.feeds.failed > 0) {
     console.log(`Failed Feeds: ${report.feeds.failed}`);
   }
+  if (report.usage?.total.calls > 0) {
+    const { total } = report.usage;
+    console.log(`Tokens: ${total.totalTokens} (${total.promptTokens} prompt + ${total.completionTokens} completion), est. ${formatCost(total)}`);
+    if (report.usage.dailyBudgetUsd !== null) {
+      console.log(`  └─ Daily Budget: $${report.usage.spentToday.toFixed(4)} of $${report.usage.dailyBudgetUsd}`);
+    }
+  }
+  for (const { channel, event, target, status, error } of report.delivery || []) {
+    console.log(`Delivery (${channel}${event ? ` ${event}` : ''}): ${status}${target ? ` → ${target}` : ''}${error ? ` (${error})` : ''}`);
+  }
   console.log('='.repeat(60) + '\n');
 };
@@ -1,4 +1,5 @@
 import { config } from './config.js';
+import { pauseRateLimit } from './rate-limiter.js';
 
 /**
  * Generates a delay with exponential backoff and jitter
@@ -15,12 +16,94 @@ const calculateBackoffDelay = (attempt, baseDelay, maxDelay) => {
   return Math.floor(cappedDelay + jitter);
 };
 
+/**
+ * Read a response header from an error
+ * Works with fetch Headers (feed and article requests) and the plain
+ * header objects of OpenAI API errors.
+ * @param {Error} error - Error with `headers`
+ * @param {string} name - Lowercase header name
+ * @returns {string|null} Header value
+ */
+const getErrorHeader = (error, name) => {
+  const headers = error?.headers;
+  if (!headers) {
+    return null;
+  }
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  return value === undefined || value === null || value === '' ? null : String(value);
+};
+
+/**
+ * Check whether an error is a rate-limit response (HTTP 429)
+ * @param {Error} error - Error with `status` or `statusCode`
+ * @returns {boolean} True for 429
+ */
+const isRateLimitResponse = (error) => (error?.status ?? error?.statusCode) === 429;
+
+/**
+ * Parse a rate-limit reset duration such as "20ms", "1.5s" or "6m0s"
+ * (the x-ratelimit-reset-requests / -tokens format)
+ * @param {string} value - Header value
+ * @returns {number|null} Milliseconds, or null if not a duration
+ */
+const parseResetDuration = (value) => {
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    const seconds = Number(value);
+    // Large values are Unix timestamps (x-ratelimit-reset on some APIs)
+    return seconds > 1e9 ? seconds * 1000 - Date.now() : seconds * 1000;
+  }
+  const parts = [...value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  if (!parts.length || parts.map(part => part[0]).join('') !== value) {
+    return null;
+  }
+  const unitMs = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  return parts.reduce((total, [, amount, unit]) => total + Number(amount) * unitMs[unit], 0);
+};
+
+/**
+ * Get the delay a server asked for before retrying
+ * Reads Retry-After (seconds or HTTP date, plus OpenAI's retry-after-ms),
+ * then, on 429 only, the x-ratelimit-reset headers. Those report when the
+ * quota window resets and are sent on every response, so on a 5xx they say
+ * nothing about when the server will recover.
+ * @param {Error} error - Error with response headers
+ * @returns {number|null} Milliseconds to wait, or null if the response has no hint
+ */
+export const getRetryAfterMs = (error) => {
+  const retryAfterMs = getErrorHeader(error, 'retry-after-ms');
+  if (retryAfterMs !== null && Number.isFinite(Number(retryAfterMs))) {
+    return Math.max(0, Number(retryAfterMs));
+  }
+
+  const retryAfter = getErrorHeader(error, 'retry-after');
+  if (retryAfter !== null) {
+    if (/^\d+(\.\d+)?$/.test(retryAfter.trim())) {
+      return Number(retryAfter) * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  if (!isRateLimitResponse(error)) {
+    return null;
+  }
+
+  const resets = ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens', 'x-ratelimit-reset']
+    .map(name => getErrorHeader(error, name))
+    .filter(value => value !== null)
+    .map(value => parseResetDuration(value.trim()))
+    .filter(value => value !== null);
+  return resets.length ? Math.max(0, ...resets) : null;
+};
+
 /**
  * Sleep for a specified duration
  * @param {number} ms - Milliseconds to sleep
  * @returns {Promise<void>}
  */
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 /**
  * Retry a function with exponential backoff
@@ -32,6 +115,7 @@ const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
  * @param {number} [options.maxDelay] - Maximum delay in milliseconds
  * @param {(error: Error, attempt: number) => boolean} [options.shouldRetry] - Function to determine if retry should occur
  * @param {(error: Error, attempt: number, delay: number) => void} [options.onRetry] - Callback on retry
+ * @param {string} [options.rateLimitKey] - Limiter key paused for everyone when a 429 response sends a retry delay
  * @returns {Promise<T>} The result of the function
  * @throws {Error} The last error if all retries fail
  */
@@ -42,6 +126,7 @@ export const retryWithBackoff = async (fn, options = {}) => {
     maxDelay = config.retryMaxDelayMs,
     shouldRetry = () => true,
     onRetry = null,
+    rateLimitKey = null,
   } = options;
 
   let lastError;
@@ -62,8 +147,15 @@ export const retryWithBackoff = async (fn, options = {}) => {
         break;
       }
       
-      // Calculate delay and wait
-      const delay = calculateBackoffDelay(attempt, baseDelay, maxDelay);
+      // Wait as long as the server asked (up to maxDelay), otherwise back off
+      const retryAfter = getRetryAfterMs(error);
+      const delay = retryAfter !== null
+        ? Math.min(Math.ceil(retryAfter), maxDelay)
+        : calculateBackoffDelay(attempt, baseDelay, maxDelay);
+      // Only a 429 is about the shared quota; a 5xx delay applies to this request
+      if (retryAfter !== null && isRateLimitResponse(error)) {
+        pauseRateLimit(rateLimitKey, delay);
+      }
       
       if (onRetry) {
         onRetry(error, attempt + 1, delay);
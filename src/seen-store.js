@@ -0,0 +1,274 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from './config.js';
+
+/**
+ * Persistent store of articles seen across runs
+ * Items are keyed on their normalized link (falling back to GUID, then title)
+ * and remember when they were first seen and which digest published them.
+ */
+
+const STORE_VERSION = 1;
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|source)$/i;
+
+/**
+ * Normalize an article URL so cosmetic differences map to the same key
+ * @param {string} link - Article URL
+ * @returns {string|null} Normalized URL or null if not a valid URL
+ */
+export const normalizeLink = (link) => {
+  if (!link || typeof link !== 'string') {
+    return null;
+  }
+  try {
+    const url = new URL(link.trim());
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+    for (const key of [...url.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) {
+        url.searchParams.delete(key);
+      }
+    }
+    url.searchParams.sort();
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+    const search = url.searchParams.toString();
+    return `${url.hostname}${url.port ? `:${url.port}` : ''}${pathname}${search ? `?${search}` : ''}`;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get the primary store key for an item
+ * @param {Object} item - Normalized feed entry
+ * @returns {string} Store key
+ */
+export const getSeenKey = (item) => {
+  const link = normalizeLink(item.link);
+  if (link) {
+    return `link:${link}`;
+  }
+  if (item.guid) {
+    return `guid:${item.guid}`;
+  }
+  const titleHash = crypto.createHash('sha1').update(`${item.sourceTitle || ''}|${item.title || ''}`).digest('hex');
+  return `title:${titleHash}`;
+};
+
+/**
+ * Build the GUID → key index used to match items whose link changed
+ * @param {Object} items - Store items
+ * @returns {Map<string, string>} GUID index
+ */
+const buildGuidIndex = (items) => {
+  const index = new Map();
+  for (const [key, record] of Object.entries(items)) {
+    if (record.guid) {
+      index.set(record.guid, key);
+    }
+  }
+  return index;
+};
+
+/**
+ * Load the seen-article store from disk
+ * @returns {Promise<Object>} Store ({ lastRunAt, items, guidIndex, observedKeys })
+ */
+export const loadSeenStore = async () => {
+  const empty = { lastRunAt: null, items: {}, guidIndex: new Map(), observedKeys: new Set() };
+
+  if (!config.seenStoreEnabled) {
+    return empty;
+  }
+
+  try {
+    const raw = await fs.readFile(config.seenStorePath, 'utf-8');
+    const parsed = JSON.parse(raw);
+    const items = parsed?.items && typeof parsed.items === 'object' ? parsed.items : {};
+    return {
+      lastRunAt: parsed?.lastRunAt ?? null,
+      items,
+      guidIndex: buildGuidIndex(items),
+      observedKeys: new Set(),
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to read seen-article store: ${error.message}`);
+    }
+    return empty;
+  }
+};
+
+/**
+ * Find the store key under which an item was recorded
+ * @param {Object} store - Seen store
+ * @param {Object} item - Normalized feed entry
+ * @returns {string|null} Store key
+ */
+const findSeenKey = (store, item) => {
+  const key = getSeenKey(item);
+  if (store.items[key]) {
+    return key;
+  }
+  if (item.guid && store.guidIndex.has(item.guid)) {
+    return store.guidIndex.get(item.guid);
+  }
+  return null;
+};
+
+/**
+ * Find the stored record for an item
+ * @param {Object} store - Seen store
+ * @param {Object} item - Normalized feed entry
+ * @returns {Object|null} Stored record
+ */
+export const findSeenRecord = (store, item) => {
+  const key = findSeenKey(store, item);
+  return key ? store.items[key] ?? null : null;
+};
+
+/**
+ * Check whether an item has been seen in any earlier run
+ * @param {Object} store - Seen store
+ * @param {Object} item - Normalized feed entry
+ * @returns {boolean} True if the item is known
+ */
+export const hasSeen = (store, item) => findSeenRecord(store, item) !== null;
+
+/**
+ * Check whether an item was published in a digest other than the given one
+ * Items already in the current digest are not treated as published so
+ * re-running on the same day rebuilds the same entry.
+ * @param {Object} store - Seen store
+ * @param {Object} item - Normalized feed entry
+ * @param {string} [currentDigestId] - ID of the digest being built
+ * @returns {boolean} True if published earlier
+ */
+export const wasPublishedEarlier = (store, item, currentDigestId = null) => {
+  const record = findSeenRecord(store, item);
+  return Boolean(record?.digestId && record.digestId !== currentDigestId);
+};
+
+/**
+ * Check whether an item is due in ARTICLE_SELECTION=new mode: never seen
+ * before, or selected by an earlier run and not published yet (a failed
+ * summary, a feed beyond MAX_FEEDS, or the daily budget ran out)
+ * @param {Object} store - Seen store
+ * @param {Object} item - Normalized feed entry
+ * @param {string} [currentDigestId] - ID of the digest being built
+ * @returns {boolean} True if the item should be selected
+ */
+export const isAwaitingPublication = (store, item, currentDigestId = null) => {
+  const record = findSeenRecord(store, item);
+  if (!record) {
+    return true;
+  }
+  return Boolean(record.selectedAt || record.digestId) && !wasPublishedEarlier(store, item, currentDigestId);
+};
+
+/**
+ * Record items as seen, keeping their first-seen timestamp
+ * @param {Object} store - Seen store
+ * @param {Array} items - Normalized feed entries
+ * @param {Date} [now] - Observation time
+ * @returns {number} Number of items seen for the first time
+ */
+export const observeItems = (store, items, now = new Date()) => {
+  let added = 0;
+  for (const item of items) {
+    const existingKey = findSeenKey(store, item);
+    if (existingKey) {
+      store.observedKeys.add(existingKey);
+      continue;
+    }
+    const key = getSeenKey(item);
+    store.items[key] = {
+      title: item.title,
+      link: item.link ?? null,
+      guid: item.guid ?? null,
+      firstSeenAt: now.toISOString(),
+      digestId: null,
+    };
+    store.observedKeys.add(key);
+    if (item.guid) {
+      store.guidIndex.set(item.guid, key);
+    }
+    added++;
+  }
+  return added;
+};
+
+/**
+ * Mark items as selected for a digest
+ * They stay due (see isAwaitingPublication) until they are published.
+ * @param {Object} store - Seen store
+ * @param {Array} items - Normalized feed entries
+ * @param {Date} [now] - Selection time
+ */
+export const markSelected = (store, items, now = new Date()) => {
+  observeItems(store, items, now);
+  for (const item of items) {
+    const record = findSeenRecord(store, item);
+    if (record && !record.digestId && !record.selectedAt) {
+      record.selectedAt = now.toISOString();
+    }
+  }
+};
+
+/**
+ * Mark items as published in a digest
+ * @param {Object} store - Seen store
+ * @param {Array} items - Items (or digests) that were published
+ * @param {string} digestId - Digest ID (e.g. "2026-01-09")
+ * @param {Date} [now] - Publication time
+ */
+export const markPublished = (store, items, digestId, now = new Date()) => {
+  observeItems(store, items, now);
+  for (const item of items) {
+    const record = findSeenRecord(store, item);
+    if (record && !record.digestId) {
+      record.digestId = digestId;
+      record.publishedAt = now.toISOString();
+    }
+  }
+};
+
+/**
+ * Save the store, dropping old records that no feed lists any more
+ * Runs that did not observe every feed entry (catch-up) pass
+ * updateLastRun=false, which keeps lastRunAt and skips pruning.
+ * @param {Object} store - Seen store
+ * @param {Date} [now] - Run time, stored as lastRunAt
+ * @param {Object} [options] - Save options
+ * @param {boolean} [options.updateLastRun=true] - Record this as a regular run
+ */
+export const saveSeenStore = async (store, now = new Date(), options = {}) => {
+  const { updateLastRun = true } = options;
+
+  if (!config.seenStoreEnabled || config.dryRun) {
+    return;
+  }
+
+  const cutoff = now.getTime() - config.seenStoreRetentionDays * 24 * 60 * 60 * 1000;
+  const items = {};
+  for (const key of Object.keys(store.items).sort()) {
+    const record = store.items[key];
+    const firstSeen = new Date(record.firstSeenAt).getTime();
+    if (!updateLastRun || store.observedKeys.has(key) || Number.isNaN(firstSeen) || firstSeen >= cutoff) {
+      items[key] = record;
+    }
+  }
+
+  const payload = {
+    version: STORE_VERSION,
+    lastRunAt: updateLastRun ? now.toISOString() : store.lastRunAt,
+    items,
+  };
+
+  await fs.mkdir(path.dirname(config.seenStorePath), { recursive: true });
+  await fs.writeFile(config.seenStorePath, JSON.stringify(payload, null, 2), 'utf-8');
+  store.lastRunAt = payload.lastRunAt;
+};
@@ -1,41 +1,86 @@
 import fs from 'fs/promises';
+import path from 'path';
 import crypto from 'crypto';
 import OpenAI from 'openai';
-import { extract } from '@extractus/feed-extractor';
-import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+import { extractFromXml, extractFromJson } from '@extractus/feed-extractor';
 import pLimit from 'p-limit';
-import { parseOpml } from './opml.js';
+import { parseOpml, parseFeedOptions } from './opml.js';
+import { selectFeeds } from './feed-selector.js';
+import { printDryRunSelection, printDryRunHtml, printDryRunOutput } from './dry-run.js';
+import { updateArchive, getArticleAnchor } from './archive.js';
+import { sendDigestEmail, formatDailyDigestText } from './email.js';
+import { generateDailyThemes, formatThemesHtml } from './themes.js';
+import { clusterDigests } from './clustering.js';
+import { scoreFeedEntries, formatTopPicksHtml } from './relevance.js';
+import { filterEntries } from './filters.js';
+import { loadDailySpend, saveDailyUsage } from './usage.js';
+import {
+  hasWebhooks,
+  sendWebhookNotifications,
+  buildDigestNotification,
+  buildFeedErrorNotification,
+} from './webhooks.js';
+import {
+  readPreviousEntries,
+  filterEntriesByRetention,
+  mergeEntries,
+  renderOutputs,
+} from './formatters/index.js';
 import { loadEnvFile } from './load-env.js';
 import { config, requireEnv } from './config.js';
 import { generateMultiLayerDigest, formatDigestForFeed, generateItemHash } from './digest.js';
 import {
   createReportCollector,
   recordFeedResult,
+  recordDeliveryResult,
   recordFeedArticles,
   recordItemResult,
   finalizeReport,
   saveReports,
   printReportSummary,
 } from './reporting.js';
-import { retryOnError } from './retry.js';
+import { retryOnError, sleep } from './retry.js';
+import { acquireRateLimit, hostKey } from './rate-limiter.js';
+import { escapeHtml } from './html.js';
 import {
   filterTodayArticles,
+  filterArticlesByRange,
   getTodayInfo,
   formatDateForTitle,
   formatDateForId,
+  getDateIdRange,
+  shiftDateId,
 } from './date-filter.js';
 import {
   runExtensions,
   formatExtensionSections,
 } from './extensions/index.js';
 import { createChatCompletionWithFallback } from './model-fallback.js';
+import { describeProviders, getModelChain } from './providers.js';
+import {
+  loadSeenStore,
+  saveSeenStore,
+  hasSeen,
+  wasPublishedEarlier,
+  isAwaitingPublication,
+  observeItems,
+  markSelected,
+  markPublished,
+} from './seen-store.js';
 
 loadEnvFile();
 
+const CATEGORY_SEPARATOR = ' / ';
+const UNCATEGORIZED = 'Uncategorized';
+
 /**
  * Flatten OPML outlines into a list of feeds
+ * Each feed keeps the folder path it was nested in (e.g. "Frontend / CSS").
+ * @param {Array|Object} nodes - Outline nodes
+ * @param {Array<string>} [folders] - Titles of the enclosing folders
+ * @returns {Array} Feed definitions
  */
-const flattenFeeds = (nodes) => {
+const flattenFeeds = (nodes, folders = []) => {
   if (!nodes) {
     return [];
   }
@@ -46,15 +91,37 @@ const flattenFeeds = (nodes) => {
       feeds.push({
         title: node.title || node.text || node.xmlUrl,
         xmlUrl: node.xmlUrl,
+        category: folders.join(CATEGORY_SEPARATOR),
+        options: parseFeedOptions(node.attributes),
       });
     }
     if (node.children?.length) {
-      feeds.push(...flattenFeeds(node.children));
+      const childFolders = node.xmlUrl ? folders : [...folders, node.title || node.text || UNCATEGORIZED];
+      feeds.push(...flattenFeeds(node.children, childFolders));
     }
   }
   return feeds;
 };
 
+/**
+ * Check whether a feed's category matches a category filter
+ * A filter matches its own folder and every folder nested below it, compared
+ * case-insensitively ("frontend" matches "Frontend" and "Frontend / CSS").
+ * @param {string} category - Feed category path
+ * @param {Array<string>} filters - Category paths to include
+ * @returns {boolean} True if the feed should be processed
+ */
+export const matchesCategoryFilter = (category, filters) => {
+  if (!filters?.length) {
+    return true;
+  }
+  const segments = (category || UNCATEGORIZED).toLowerCase().split(CATEGORY_SEPARATOR.trim()).map(s => s.trim());
+  return filters.some((filter) => {
+    const wanted = filter.toLowerCase().split(CATEGORY_SEPARATOR.trim()).map(s => s.trim()).filter(Boolean);
+    return wanted.length > 0 && wanted.every((segment, index) => segments[index] === segment);
+  });
+};
+
 /**
  * Coerce various value types to text
  */
@@ -81,6 +148,19 @@ const coerceText = (value, fallback = '') => {
   return String(value);
 };
 
+/**
+ * Coerce an entry author (name, Atom/JSON Feed person or list of them) to text
+ */
+const coerceAuthor = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(coerceAuthor).filter(Boolean).join(', ');
+  }
+  if (value && typeof value === 'object' && value.name != null) {
+    return coerceText(value.name).trim();
+  }
+  return coerceText(value).trim();
+};
+
 /**
  * Coerce various date formats
  */
@@ -105,6 +185,10 @@ const getFeedCachePath = (feedUrl) => {
 
 /**
  * Read feed from cache
+ * Stale caches are still returned (with isFresh=false) so their HTTP
+ * validators can be used for a conditional request.
+ * @param {string} feedUrl - Feed URL
+ * @returns {Promise<{entries: Array, fetchedAt: Date, etag: string|null, lastModified: string|null, isFresh: boolean}|null>}
  */
 const readFeedCache = async (feedUrl) => {
   if (!config.feedCacheEnabled) {
@@ -115,14 +199,20 @@ const readFeedCache = async (feedUrl) => {
     const raw = await fs.readFile(cachePath, 'utf-8');
     const parsed = JSON.parse(raw);
     const fetchedAt = parsed?.fetchedAt ? new Date(parsed.fetchedAt) : null;
-    if (!fetchedAt || Date.now() - fetchedAt.getTime() > config.feedCacheTtlMs) {
+    if (!fetchedAt || Number.isNaN(fetchedAt.getTime())) {
       return null;
     }
     const entries = (parsed.entries ?? []).map((entry) => ({
       ...entry,
       publishedAt: coerceDate(entry.publishedAt),
     }));
-    return entries;
+    return {
+      entries,
+      fetchedAt,
+      etag: parsed.etag ?? null,
+      lastModified: parsed.lastModified ?? null,
+      isFresh: Date.now() - fetchedAt.getTime() <= config.feedCacheTtlMs,
+    };
   } catch (error) {
     if (error.code !== 'ENOENT') {
       console.warn(`Failed to read cache for ${feedUrl}:`, error.message);
@@ -133,15 +223,22 @@ const readFeedCache = async (feedUrl) => {
 
 /**
  * Write feed to cache
+ * @param {string} feedUrl - Feed URL
+ * @param {Array} entries - Normalized entries
+ * @param {Object} [validators] - HTTP validators from the response
+ * @param {string|null} [validators.etag] - ETag header
+ * @param {string|null} [validators.lastModified] - Last-Modified header
  */
-const writeFeedCache = async (feedUrl, entries) => {
-  if (!config.feedCacheEnabled) {
+const writeFeedCache = async (feedUrl, entries, validators = {}) => {
+  if (!config.feedCacheEnabled || config.dryRun) {
     return;
   }
   const cachePath = getFeedCachePath(feedUrl);
   await fs.mkdir(config.feedCacheDir, { recursive: true });
   const payload = {
     fetchedAt: new Date().toISOString(),
+    etag: validators.etag ?? null,
+    lastModified: validators.lastModified ?? null,
     entries: entries.map((entry) => ({
       ...entry,
       publishedAt: entry.publishedAt?.toISOString?.() ?? new Date().toISOString(),
@@ -217,6 +314,8 @@ const pickLink = (entry) => {
 
 /**
  * Load feed definitions from OPML
+ * Applies the --feed selection and CATEGORY_FILTER, then orders feeds by
+ * afoPriority (highest first), keeping OPML order for ties.
  */
 const loadFeedDefinitions = async () => {
   const outlines = await parseOpml(config.feedsOpml);
@@ -233,7 +332,32 @@ const loadFeedDefinitions = async () => {
   if (!feeds.length) {
     throw new Error(`No feed definitions found in ${config.feedsOpml}`);
   }
-  return feeds;
+  
+  let selected = feeds;
+  
+  // CLI --feed: indexes refer to the OPML order, before any other filtering
+  if (config.feedSelectors.length) {
+    const { feeds: matching, unmatched } = selectFeeds(selected, config.feedSelectors);
+    for (const selector of unmatched) {
+      console.warn(`⚠️  --feed ${selector} matched no feed`);
+    }
+    if (!matching.length) {
+      throw new Error(`No feeds match --feed ${config.feedSelectors.join(', ')}`);
+    }
+    console.log(`🎯 Feed selection: ${matching.map(feed => feed.title).join(', ')}`);
+    selected = matching;
+  }
+  
+  if (config.categoryFilter.length) {
+    const matching = selected.filter(feed => matchesCategoryFilter(feed.category, config.categoryFilter));
+    if (!matching.length) {
+      throw new Error(`No feeds match category filter: ${config.categoryFilter.join(', ')}`);
+    }
+    console.log(`🗂️  Category filter (${config.categoryFilter.join(', ')}): ${matching.length}/${selected.length} feeds`);
+    selected = matching;
+  }
+  
+  return selected.sort((a, b) => b.options.priority - a.options.priority);
 };
 
 /**
@@ -258,61 +382,165 @@ const normalizeEntry = (entry, sourceTitle) => {
     sourceTitle,
     title: coerceText(entry.title) || coerceText(entry.id) || 'Untitled entry',
     link: pickLink(entry),
+    guid: coerceText(entry.id ?? entry.guid) || undefined,
+    author: coerceAuthor(entry.author) || undefined,
     description: coerceText(description),
     publishedAt: coerceDate(published),
   };
 };
 
+/**
+ * Detect the character set of a feed response
+ * @param {string} contentType - Content-Type header
+ * @param {Buffer} buffer - Raw response body
+ * @returns {string} Charset label
+ */
+const detectCharset = (contentType, buffer) => {
+  const headerMatch = contentType.match(/charset=["']?([\w-]+)/i);
+  if (headerMatch) {
+    return headerMatch[1];
+  }
+  const declaration = buffer.subarray(0, 200).toString('latin1');
+  const declarationMatch = declaration.match(/<\?xml[^>]*encoding=["']([\w-]+)["']/i);
+  return declarationMatch ? declarationMatch[1] : 'utf-8';
+};
+
+/**
+ * Pick the raw author of a parsed feed item (RSS, Atom or JSON Feed)
+ * @param {Object} item - Raw feed item
+ * @returns {Object} Extra entry fields
+ */
+const getEntryAuthor = (item) => {
+  const author = item.author ?? item['dc:creator'] ?? item.authors;
+  return author === undefined ? {} : { author };
+};
+
+/**
+ * Parse a feed response body into feed data
+ * @param {string} contentType - Content-Type header
+ * @param {Buffer} buffer - Raw response body
+ * @returns {Object} Parsed feed data
+ */
+const parseFeedBody = (contentType, buffer) => {
+  if (/(\+|\/)json/.test(contentType)) {
+    return extractFromJson(JSON.parse(buffer.toString('utf-8')), { getExtraEntryFields: getEntryAuthor });
+  }
+  let decoder;
+  try {
+    decoder = new TextDecoder(detectCharset(contentType, buffer));
+  } catch {
+    decoder = new TextDecoder('utf-8');
+  }
+  const feedData = extractFromXml(decoder.decode(buffer).trim(), { getExtraEntryFields: getEntryAuthor });
+  if (!feedData) {
+    throw new Error('Response is not a recognized RSS, Atom or RDF feed');
+  }
+  return feedData;
+};
+
+/**
+ * Request a feed, sending conditional headers when validators are known
+ * Requests wait for the host's rate limit and are aborted after
+ * CONTENT_FETCH_TIMEOUT_MS, body included.
+ * @param {string} feedUrl - Feed URL
+ * @param {Object|null} cached - Cached feed from readFeedCache()
+ * @returns {Promise<Object>} Response info with parsed feed data (null on 304)
+ */
+const requestFeed = async (feedUrl, cached) => {
+  const headers = {
+    'user-agent': 'afo-feed-summarizer/1.0 (+https://github.com/tenki/afo)',
+    'accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, */*;q=0.8',
+  };
+  if (cached?.etag) {
+    headers['if-none-match'] = cached.etag;
+  }
+  if (cached?.lastModified) {
+    headers['if-modified-since'] = cached.lastModified;
+  }
+  
+  await acquireRateLimit(hostKey(feedUrl));
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.contentFetchTimeout);
+  try {
+    return await readFeedResponse(await fetch(feedUrl, { headers, signal: controller.signal }), cached);
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      throw error;
+    }
+    const timeoutError = new Error(`Request timed out after ${config.contentFetchTimeout}ms`);
+    timeoutError.code = 'ETIMEDOUT';
+    throw timeoutError;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Read a feed response into response info
+ * @param {Response} response - Fetch response
+ * @param {Object|null} cached - Cached feed the request was conditional on
+ * @returns {Promise<Object>} Response info with parsed feed data (null on 304)
+ */
+const readFeedResponse = async (response, cached) => {
+  const contentType = response.headers.get('content-type') || '';
+  const info = {
+    status: response.status,
+    statusText: response.statusText,
+    contentType,
+    contentLength: response.headers.get('content-length') || 'unknown',
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+    feedData: null,
+  };
+  
+  if (response.status === 304) {
+    // Without a cached copy there is nothing the 304 could refer to
+    if (!cached) {
+      const error = new Error('Request failed: HTTP 304 Not Modified without a cached copy of the feed');
+      error.status = response.status;
+      throw error;
+    }
+    return info;
+  }
+  
+  if (!response.ok) {
+    const error = new Error(`Request failed with error code ${response.status}`);
+    error.status = response.status;
+    error.statusText = response.statusText;
+    error.headers = response.headers;
+    error.contentType = contentType || 'unknown';
+    error.contentLength = info.contentLength;
+    error.response = { data: await response.text().catch(() => '') };
+    throw error;
+  }
+  
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (info.contentLength === 'unknown') {
+    info.contentLength = buffer.length;
+  }
+  info.feedData = parseFeedBody(contentType, buffer);
+  info.raw = buffer.toString('utf-8');
+  return info;
+};
+
 /**
  * Fetch feed entries with retry
+ * Fresh caches are served directly; stale caches are revalidated with
+ * If-None-Match / If-Modified-Since and a 304 refreshes the cache.
+ * @param {Object} feed - Feed definition
+ * @returns {Promise<{entries: Array, fetchStatus: 'cached'|'not-modified'|'fetched'}>}
  */
-const fetchFeedEntries = async (feed) => {
-  const cachedEntries = await readFeedCache(feed.xmlUrl);
-  if (cachedEntries) {
+export const fetchFeedEntries = async (feed) => {
+  const cached = await readFeedCache(feed.xmlUrl);
+  if (cached?.isFresh) {
     console.log(`Using cached entries for feed: ${feed.title}`);
-    return cachedEntries;
-  }
-  
-  let lastError = null;
-  let responseInfo = null;
-  
-  const feedData = await retryOnError(
-    async () => {
-      try {
-        const result = await extract(feed.xmlUrl, {
-          requestOptions: {
-            headers: {
-              'user-agent': 'afo-feed-summarizer/1.0 (+https://github.com/tenki/afo)',
-            },
-          },
-        });
-        
-        // Capture response info for logging
-        if (result.response) {
-          responseInfo = {
-            status: result.response.status,
-            statusText: result.response.statusText,
-            headers: result.response.headers,
-            contentLength: result.response.headers?.['content-length'] || 'unknown',
-          };
-        }
-        
-        return result;
-      } catch (error) {
-        lastError = error;
-        
-        // Enhance error with response info if available
-        if (error.response) {
-          error.status = error.response.status;
-          error.statusText = error.response.statusText;
-          error.contentLength = error.response.headers?.['content-length'] || 'unknown';
-          error.contentType = error.response.headers?.['content-type'] || 'unknown';
-        }
-        
-        throw error;
-      }
-    },
+    return { entries: cached.entries, fetchStatus: 'cached' };
+  }
+  
+  const response = await retryOnError(
+    () => requestFeed(feed.xmlUrl, cached),
     {
+      rateLimitKey: hostKey(feed.xmlUrl),
       onRetry: (error, attempt, delay) => {
         const errorDetails = formatErrorDetails(error);
         console.warn(`Retry ${attempt} for feed ${feed.title} after ${delay}ms: ${error.message}${errorDetails}`);
@@ -320,24 +548,32 @@ const fetchFeedEntries = async (feed) => {
     }
   );
   
+  if (response.status === 304) {
+    console.log(`  ✓ ${feed.title}: not modified [HTTP 304], refreshed cache with ${cached.entries.length} article(s)`);
+    await writeFeedCache(feed.xmlUrl, cached.entries, {
+      etag: response.etag || cached.etag,
+      lastModified: response.lastModified || cached.lastModified,
+    });
+    return { entries: cached.entries, fetchStatus: 'not-modified' };
+  }
+  
+  const { feedData } = response;
   const sourceTitle = feedData?.title || feed.title || feed.xmlUrl;
   const entries = (feedData?.entries ?? []).map((entry) => normalizeEntry(entry, sourceTitle));
   
   // Log success with response info
-  if (responseInfo) {
-    console.log(`  ✓ ${feed.title}: ${entries.length} article(s) [HTTP ${responseInfo.status}, ${responseInfo.contentLength} bytes]`);
-    
-    // Log content preview if verbose logging is enabled
-    if (config.enableVerboseFeedLogging && feedData.raw) {
-      const contentPreview = typeof feedData.raw === 'string' 
-        ? feedData.raw.substring(0, 300) 
-        : JSON.stringify(feedData.raw).substring(0, 300);
-      console.log(`    Content preview: ${contentPreview}${feedData.raw.length > 300 ? '...' : ''}`);
-    }
+  console.log(`  ✓ ${feed.title}: ${entries.length} article(s) [HTTP ${response.status}, ${response.contentLength} bytes]`);
+  
+  // Log content preview if verbose logging is enabled
+  if (config.enableVerboseFeedLogging && response.raw) {
+    console.log(`    Content preview: ${response.raw.substring(0, 300)}${response.raw.length > 300 ? '...' : ''}`);
   }
   
-  await writeFeedCache(feed.xmlUrl, entries);
-  return entries;
+  await writeFeedCache(feed.xmlUrl, entries, {
+    etag: response.etag,
+    lastModified: response.lastModified,
+  });
+  return { entries, fetchStatus: 'fetched' };
 };
 
 /**
@@ -347,21 +583,41 @@ const fetchFeedEntries = async (feed) => {
  */
 const groupDigestsByFeed = (digests) => {
   const grouped = {};
+  const priorities = {};
+  const categories = {};
+  const bestScores = {};
   
   for (const digest of digests) {
     const feedTitle = digest.sourceTitle || 'Unknown Feed';
     if (!grouped[feedTitle]) {
       grouped[feedTitle] = [];
+      priorities[feedTitle] = digest.feedPriority ?? 0;
+      categories[feedTitle] = digest.category || '';
+      bestScores[feedTitle] = -Infinity;
     }
     grouped[feedTitle].push(digest);
+    bestScores[feedTitle] = Math.max(bestScores[feedTitle], digest.relevance?.score ?? -Infinity);
   }
   
-  // Sort feeds alphabetically
-  const sortedFeeds = Object.keys(grouped).sort();
+  // Sort feeds by priority (highest first), then by category (uncategorized last),
+  // then by their most relevant article, then alphabetically
+  const compareText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  const categoryKey = (feed) => categories[feed] || '\uffff';
+  const compareScores = (a, b) => (a === b ? 0 : b > a ? 1 : -1);
+  const sortedFeeds = Object.keys(grouped).sort((a, b) =>
+    priorities[b] - priorities[a] ||
+    compareText(categoryKey(a), categoryKey(b)) ||
+    compareScores(bestScores[a], bestScores[b]) ||
+    compareText(a, b)
+  );
   const result = {};
   for (const feed of sortedFeeds) {
-    // Sort articles within each feed by publish time (newest first)
+    // Sort articles within each feed by relevance (when scored), then publish time (newest first)
     result[feed] = grouped[feed].sort((a, b) => {
+      const relevance = compareScores(a.relevance?.score ?? -Infinity, b.relevance?.score ?? -Infinity);
+      if (relevance) {
+        return relevance;
+      }
       const dateA = a.publishedAt ? new Date(a.publishedAt).getTime() : 0;
       const dateB = b.publishedAt ? new Date(b.publishedAt).getTime() : 0;
       return dateB - dateA;
@@ -371,6 +627,27 @@ const groupDigestsByFeed = (digests) => {
   return result;
 };
 
+/**
+ * Split feed groups into OPML categories, keeping the feed order
+ * @param {Object} groupedDigests - Digests grouped by feed
+ * @returns {Array<{category: string, feedNames: Array<string>, articleCount: number}>} Categories in order of first appearance
+ */
+const groupFeedsByCategory = (groupedDigests) => {
+  const categories = new Map();
+  
+  for (const [feedTitle, articles] of Object.entries(groupedDigests)) {
+    const category = articles[0]?.category || UNCATEGORIZED;
+    if (!categories.has(category)) {
+      categories.set(category, { category, feedNames: [], articleCount: 0 });
+    }
+    const entry = categories.get(category);
+    entry.feedNames.push(feedTitle);
+    entry.articleCount += articles.length;
+  }
+  
+  return [...categories.values()];
+};
+
 /**
  * Format a single article for the daily digest HTML
  * @param {Object} digest - Article digest
@@ -382,7 +659,23 @@ const formatArticleHtml = (digest) => {
   // Article title with link
   const title = digest.title || 'Untitled';
   const link = digest.link || '';
-  lines.push(`<h3 style="margin: 16px 0 8px 0; color: #333;">▸ <a href="${link}" style="color: #0066cc; text-decoration: none;">${escapeHtml(title)}</a></h3>`);
+  const anchor = digest.itemHash ? ` id="${getArticleAnchor(digest.itemHash)}"` : '';
+  lines.push(`<h3${anchor} style="margin: 16px 0 8px 0; color: #333;">▸ <a href="${link}" style="color: #0066cc; text-decoration: none;">${escapeHtml(title)}</a></h3>`);
+  
+  // Same story in other feeds (clustering); the anchors keep archive links to merged articles working
+  if (digest.alsoCoveredBy?.length) {
+    const others = digest.alsoCoveredBy.map((other) => {
+      const otherAnchor = other.itemHash ? ` id="${getArticleAnchor(other.itemHash)}"` : '';
+      return `<a${otherAnchor} href="${escapeHtml(other.link || '')}" title="${escapeHtml(other.title)}" style="color: #0066cc;">${escapeHtml(other.sourceTitle)}</a>`;
+    });
+    lines.push(`<p style="margin: 0 0 4px 0; color: #888; font-size: 0.85em;">📎 Also covered by: ${others.join(', ')}</p>`);
+  }
+  
+  // Carried over from a previous day (FALLBACK_DAYS)
+  if (digest.carriedOverFrom) {
+    const carriedDate = formatDateForTitle(getDateIdRange(digest.carriedOverFrom).start);
+    lines.push(`<p style="margin: 0 0 4px 0; color: #b26b00; font-size: 0.85em;">↩️ Carried over from ${escapeHtml(carriedDate)}</p>`);
+  }
   
   // One-line summary
   if (digest.digests?.oneLine) {
@@ -410,31 +703,18 @@ const formatArticleHtml = (digest) => {
   return lines.join('\n');
 };
 
-/**
- * Escape HTML special characters
- * @param {string} str - String to escape
- * @returns {string} Escaped string
- */
-const escapeHtml = (str) => {
-  if (!str) return '';
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
-};
-
 /**
  * Format the daily digest as HTML
  * @param {Object} groupedDigests - Digests grouped by feed
  * @param {string} dateString - Formatted date string
  * @param {string} extensionHtml - HTML from extensions (optional)
+ * @param {string} themesHtml - "Today's themes" summary HTML (optional)
  * @returns {string} HTML content
  */
-const formatDailyDigestHtml = (groupedDigests, dateString, extensionHtml = '') => {
+const formatDailyDigestHtml = (groupedDigests, dateString, extensionHtml = '', themesHtml = '') => {
   const feedNames = Object.keys(groupedDigests);
   const totalArticles = feedNames.reduce((sum, f) => sum + groupedDigests[f].length, 0);
+  const alsoCovered = feedNames.reduce((sum, f) => sum + groupedDigests[f].reduce((count, d) => count + (d.alsoCoveredBy?.length || 0), 0), 0);
   
   const lines = [];
   
@@ -442,24 +722,57 @@ const formatDailyDigestHtml = (groupedDigests, dateString, extensionHtml = '') =
   lines.push(`<div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px;">`);
   lines.push(`<h1 style="border-bottom: 2px solid #333; padding-bottom: 10px; color: #222;">📰 Daily Digest - ${escapeHtml(dateString)}</h1>`);
   
+  // Executive summary across all articles
+  if (themesHtml) {
+    lines.push(themesHtml);
+  }
+  
+  // Highest-scoring articles for the interest profile
+  const topPicksHtml = formatTopPicksHtml(Object.values(groupedDigests).flat());
+  if (topPicksHtml) {
+    lines.push(topPicksHtml);
+  }
+  
   // Extension sections (before feeds)
   if (extensionHtml) {
     lines.push(extensionHtml);
     lines.push(`<hr style="border: none; border-top: 2px solid #ddd; margin: 24px 0;" />`);
   }
   
+  // Feeds without OPML folders are listed flat; otherwise each category is a collapsible section
+  const categories = groupFeedsByCategory(groupedDigests);
+  const showCategories = categories.some(({ category }) => category !== UNCATEGORIZED);
+  
   // Feed summary
-  lines.push(`<p style="color: #666; margin-bottom: 20px;">Found <strong>${totalArticles}</strong> articles from <strong>${feedNames.length}</strong> feeds</p>`);
+  const carriedOver = feedNames.reduce((sum, f) => sum + groupedDigests[f].filter(d => d.carriedOverFrom).length, 0);
+  const carriedOverNote = carriedOver > 0 ? ` (${carriedOver} carried over from previous days)` : '';
+  const categoryNote = showCategories ? ` in <strong>${categories.length}</strong> categories` : '';
+  const alsoCoveredNote = alsoCovered > 0 ? `, plus ${alsoCovered} covering the same stories` : '';
+  lines.push(`<p style="color: #666; margin-bottom: 20px;">Found <strong>${totalArticles}</strong> articles from <strong>${feedNames.length}</strong> feeds${categoryNote}${alsoCoveredNote}${carriedOverNote}</p>`);
   
-  // Each feed section
-  for (const feedTitle of feedNames) {
-    const articles = groupedDigests[feedTitle];
+  for (const { category, feedNames: categoryFeeds, articleCount } of categories) {
+    if (showCategories) {
+      lines.push(`<hr style="border: none; border-top: 2px solid #ddd; margin: 24px 0;" />`);
+      lines.push(`<details open style="margin: 16px 0;">`);
+      lines.push(`<summary style="cursor: pointer; font-size: 1.3em; font-weight: bold; color: #333;">🗂️ ${escapeHtml(category)} <span style="color: #888; font-size: 0.75em; font-weight: normal;">(${articleCount} article${articleCount > 1 ? 's' : ''})</span></summary>`);
+    }
     
-    lines.push(`<hr style="border: none; border-top: 2px solid #ddd; margin: 24px 0;" />`);
-    lines.push(`<h2 style="color: #444; margin: 16px 0;">📰 ${escapeHtml(feedTitle)} <span style="color: #888; font-size: 0.8em; font-weight: normal;">(${articles.length} article${articles.length > 1 ? 's' : ''})</span></h2>`);
+    // Each feed section
+    for (const feedTitle of categoryFeeds) {
+      const articles = groupedDigests[feedTitle];
+      
+      if (!showCategories) {
+        lines.push(`<hr style="border: none; border-top: 2px solid #ddd; margin: 24px 0;" />`);
+      }
+      lines.push(`<h2 style="color: #444; margin: 16px 0;">📰 ${escapeHtml(feedTitle)} <span style="color: #888; font-size: 0.8em; font-weight: normal;">(${articles.length} article${articles.length > 1 ? 's' : ''})</span></h2>`);
+      
+      for (const digest of articles) {
+        lines.push(formatArticleHtml(digest));
+      }
+    }
     
-    for (const digest of articles) {
-      lines.push(formatArticleHtml(digest));
+    if (showCategories) {
+      lines.push(`</details>`);
     }
   }
   
@@ -472,82 +785,17 @@ const formatDailyDigestHtml = (groupedDigests, dateString, extensionHtml = '') =
 };
 
 /**
- * Read existing feed entries from output file
- * @returns {Promise<Array>} Array of existing entries
- */
-const readExistingFeedEntries = async () => {
-  try {
-    const content = await fs.readFile(config.outputFeed, 'utf-8');
-    
-    const parser = new XMLParser({
-      ignoreAttributes: false,
-      attributeNamePrefix: '@_',
-    });
-    
-    const parsed = parser.parse(content);
-    const entries = parsed?.feed?.entry;
-    
-    if (!entries) {
-      return [];
-    }
-    
-    // Ensure it's an array
-    return Array.isArray(entries) ? entries : [entries];
-  } catch (error) {
-    if (error.code !== 'ENOENT') {
-      console.warn(`  ⚠️  Failed to read existing feed: ${error.message}`);
-    }
-    return [];
-  }
-};
-
-/**
- * Filter entries to keep only those within retention period
- * @param {Array} entries - Array of feed entries
- * @param {number} retentionDays - Number of days to retain
- * @returns {Array} Filtered entries
- */
-const filterEntriesByRetention = (entries, retentionDays) => {
-  if (!entries || entries.length === 0) {
-    return [];
-  }
-  
-  const cutoffDate = new Date();
-  cutoffDate.setUTCDate(cutoffDate.getUTCDate() - retentionDays);
-  cutoffDate.setUTCHours(0, 0, 0, 0);
-  
-  return entries.filter(entry => {
-    // Try to parse date from entry ID (daily-digest-YYYY-MM-DD) or published date
-    const id = entry.id || '';
-    const dateMatch = id.match(/daily-digest-(\d{4}-\d{2}-\d{2})/);
-    
-    let entryDate;
-    if (dateMatch) {
-      entryDate = new Date(dateMatch[1] + 'T00:00:00Z');
-    } else if (entry.published) {
-      entryDate = new Date(entry.published);
-    } else if (entry.updated) {
-      entryDate = new Date(entry.updated);
-    } else {
-      // Keep entry if we can't determine its date
-      return true;
-    }
-    
-    return entryDate >= cutoffDate;
-  });
-};
-
-/**
- * Build daily digest Atom feed XML with retention of previous entries
+ * Build a daily digest entry
  * @param {Object} groupedDigests - Digests grouped by feed
- * @param {Array} previousEntries - Previous entries to retain
+ * @param {string} dateId - Day of the digest (YYYY-MM-DD)
  * @param {string} extensionHtml - HTML from extensions (optional)
- * @returns {string} Atom XML
+ * @param {Date} publishedAt - Publication time of the entry
+ * @param {string} themesHtml - "Today's themes" summary HTML (optional)
+ * @returns {Object} Digest entry (see formatters/index.js)
  */
-const buildDailyDigestFeed = (groupedDigests, previousEntries = [], extensionHtml = '') => {
-  const dateString = formatDateForTitle();
-  const dateId = formatDateForId();
-  const htmlContent = formatDailyDigestHtml(groupedDigests, dateString, extensionHtml);
+const buildDailyDigestEntry = (groupedDigests, dateId, extensionHtml = '', publishedAt = new Date(), themesHtml = '') => {
+  const dateString = formatDateForTitle(getDateIdRange(dateId).start);
+  const htmlContent = formatDailyDigestHtml(groupedDigests, dateString, extensionHtml, themesHtml);
   
   const feedNames = Object.keys(groupedDigests);
   const totalArticles = feedNames.reduce((sum, f) => sum + groupedDigests[f].length, 0);
@@ -556,126 +804,69 @@ const buildDailyDigestFeed = (groupedDigests, previousEntries = [], extensionHtm
     ? `${config.channelTitle} - ${dateString}`
     : config.channelTitle;
   
-  // Create today's entry
-  const todayEntry = {
-    title: title,
-    link: {
-      '@_href': config.channelLink,
-      '@_rel': 'alternate',
-    },
+  return {
     id: `daily-digest-${dateId}`,
+    title: title,
+    link: config.channelLink,
+    published: publishedAt.toISOString(),
     updated: new Date().toISOString(),
-    published: new Date().toISOString(),
-    author: {
-      name: 'AFO Feed Digest',
-    },
+    author: 'AFO Feed Digest',
     summary: `${totalArticles} articles from ${feedNames.length} feeds`,
-    content: {
-      '@_type': 'html',
-      '#text': htmlContent,
-    },
-  };
-  
-  // Filter out any existing entry with the same ID (today's date) to avoid duplicates
-  const filteredPrevious = previousEntries.filter(entry => entry.id !== `daily-digest-${dateId}`);
-  
-  // Combine: today's entry first, then previous entries (newest first)
-  const allEntries = [todayEntry, ...filteredPrevious];
-  
-  // Sort by date (newest first)
-  allEntries.sort((a, b) => {
-    const dateA = new Date(a.published || a.updated || 0);
-    const dateB = new Date(b.published || b.updated || 0);
-    return dateB - dateA;
-  });
-  
-  const atomObject = {
-    '?xml': {
-      '@_version': '1.0',
-      '@_encoding': 'UTF-8',
-    },
-    feed: {
-      '@_xmlns': 'http://www.w3.org/2005/Atom',
-      title: config.channelTitle,
-      link: [
-        { '@_href': config.channelLink, '@_rel': 'alternate' },
-        { '@_href': config.channelLink, '@_rel': 'self' },
-      ],
-      id: config.channelLink,
-      updated: new Date().toISOString(),
-      subtitle: config.channelDescription,
-      entry: allEntries,
-    },
+    html: htmlContent,
   };
-  
-  const builder = new XMLBuilder({
-    ignoreAttributes: false,
-    format: true,
-    suppressEmptyNode: true,
-    attributeNamePrefix: '@_',
-  });
-  
-  return builder.build(atomObject);
-};
-
-/**
- * Build Atom feed XML (legacy mode - multiple entries)
- */
-const buildAtomFeed = (digests) => {
-  const atomObject = {
-    '?xml': {
-      '@_version': '1.0',
-      '@_encoding': 'UTF-8',
-    },
-    feed: {
-      '@_xmlns': 'http://www.w3.org/2005/Atom',
-      title: config.channelTitle,
-      link: [
-        { '@_href': config.channelLink, '@_rel': 'alternate' },
-        { '@_href': config.channelLink, '@_rel': 'self' },
-      ],
-      id: config.channelLink,
-      updated: new Date().toISOString(),
-      subtitle: config.channelDescription,
-      entry: digests.map((digest) => ({
-        title: digest.title,
-        link: {
-          '@_href': digest.link || config.channelLink,
-          '@_rel': 'alternate',
-        },
-        id: digest.link || crypto.createHash('sha1').update(digest.title).digest('hex'),
-        updated: digest.publishedAt?.toISOString?.() || new Date().toISOString(),
-        published: digest.publishedAt?.toISOString?.() || new Date().toISOString(),
-        author: {
-          name: digest.sourceTitle,
-        },
-        content: {
-          '@_type': 'html',
-          '#text': formatDigestForFeed(digest)
-            .split('\n')
-            .map(line => line.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'))
-            .join('<br/>'),
-        },
-      })),
-    },
+};
+
+/**
+ * Build a digest entry for a single article (legacy mode)
+ * @param {Object} digest - Article digest
+ * @returns {Object} Digest entry (see formatters/index.js)
+ */
+const buildLegacyEntry = (digest) => {
+  const publishedAt = digest.publishedAt ? new Date(digest.publishedAt) : new Date();
+  return {
+    id: digest.link || crypto.createHash('sha1').update(digest.title).digest('hex'),
+    title: digest.title,
+    link: digest.link || config.channelLink,
+    published: publishedAt.toISOString(),
+    updated: publishedAt.toISOString(),
+    author: digest.sourceTitle,
+    summary: '',
+    html: formatDigestForFeed(digest)
+      .split('\n')
+      .map(line => line.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'))
+      .join('<br/>'),
   };
-  
-  const builder = new XMLBuilder({
-    ignoreAttributes: false,
-    format: true,
-    suppressEmptyNode: true,
-    attributeNamePrefix: '@_',
-  });
-  
-  return builder.build(atomObject);
 };
 
 /**
  * Write output file
  */
-const writeOutput = async (outputPath, atomXml) => {
-  await fs.mkdir(config.projectRoot, { recursive: true });
-  await fs.writeFile(outputPath, atomXml, 'utf-8');
+const writeOutput = async (outputPath, content) => {
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, content, 'utf-8');
+};
+
+/**
+ * Render entries in every configured format and write them,
+ * or print what would change in a dry run
+ * @param {Array} entries - Digest entries (newest first)
+ * @param {string} [html] - Rendered digest HTML (shown in dry runs)
+ */
+const publishOutputs = async (entries, html = '') => {
+  const outputs = renderOutputs(entries);
+  
+  if (config.dryRun) {
+    printDryRunHtml(html);
+    for (const { outputPath, content } of outputs) {
+      await printDryRunOutput(outputPath, content);
+    }
+    return;
+  }
+  
+  for (const { formatter, outputPath, content } of outputs) {
+    await writeOutput(outputPath, content);
+    console.log(`✓ Wrote ${formatter.description} to ${outputPath}`);
+  }
 };
 
 /**
@@ -699,214 +890,523 @@ const verifyApiKey = async (client) => {
     );
 
     console.log('✓ API key verified successfully');
-    console.log(`✓ Available models: ${config.openaiModels.join(', ')}`);
+    console.log(`✓ Available models: ${getModelChain().map(({ label }) => label).join(', ')}`);
     console.log(`✓ Verification succeeded with model: ${model}`);
-    console.log(`✓ Base URL: ${config.openaiBaseUrl || 'default (OpenAI)'}`);
+    console.log(`✓ ${config.modelProviders.length ? 'Providers' : 'Base URL'}: ${describeProviders()}`);
     return true;
   } catch (error) {
+    // Cached digests are still published once the budget is spent
+    if (error.code === 'BUDGET_EXCEEDED') {
+      console.warn(`💸 ${error.message}, skipping API key verification`);
+      return true;
+    }
     console.error('❌ API key verification failed!');
     console.error(`Error: ${error.message}`);
     if (error.status === 401) {
       console.error('→ The API key is invalid or unauthorized');
     } else if (error.status === 404) {
-      console.error('→ Model not found. Check OPENAI_MODEL is correct for your provider');
+      console.error(`→ Model not found. Check ${config.modelProviders.length ? 'the models in MODEL_PROVIDERS' : 'OPENAI_MODEL'} are correct for your provider`);
     } else if (error.code === 'ENOTFOUND') {
-      console.error('→ Cannot reach API endpoint. Check OPENAI_BASE_URL');
+      console.error(`→ Cannot reach API endpoint. Check ${config.modelProviders.length ? 'the base URLs in MODEL_PROVIDERS' : 'OPENAI_BASE_URL'}`);
     }
     throw new Error(`API verification failed: ${error.message}`);
   }
 };
 
+/**
+ * Create a p-limit pool whose task starts are spaced by a minimum interval
+ * @param {number} concurrency - Maximum tasks running at once
+ * @param {number} [minIntervalMs=0] - Minimum delay between two task starts
+ * @returns {(fn: () => Promise<any>) => Promise<any>} Pool runner
+ */
+const createThrottledPool = (concurrency, minIntervalMs = 0) => {
+  const limit = pLimit(Math.max(1, Math.floor(concurrency) || 1));
+  let nextStartAt = 0;
+  
+  return (fn) => limit(async () => {
+    if (minIntervalMs > 0) {
+      const now = Date.now();
+      const startAt = Math.max(now, nextStartAt);
+      nextStartAt = startAt + minIntervalMs;
+      if (startAt > now) {
+        await sleep(startAt - now);
+      }
+    }
+    return fn();
+  });
+};
+
+/**
+ * Fetch feeds in a bounded pool
+ * Results keep the order of the input feeds regardless of completion order.
+ * Entries dropped by the include/exclude filters are returned separately.
+ * @param {Array} feeds - Feed definitions
+ * @returns {Promise<Array<{feed: Object, entries: Array|null, filtered: Array, fetchStatus: string|null, error: Error|null}>>}
+ */
+const scanFeeds = async (feeds) => {
+  const runInPool = createThrottledPool(config.maxConcurrentFeeds);
+  
+  return Promise.all(feeds.map((feed) => runInPool(async () => {
+    try {
+      const { entries: allEntries, fetchStatus } = await fetchFeedEntries(feed);
+      const { entries, filtered } = filterEntries(feed, allEntries);
+      if (filtered.length) {
+        console.log(`  🚫 ${feed.title}: filtered out ${filtered.length} of ${allEntries.length} article(s)`);
+      }
+      return { feed, entries, filtered, fetchStatus, error: null };
+    } catch (error) {
+      const errorDetails = formatErrorDetails(error);
+      console.error(`  ✗ ${feed.title}: ${error.message}${errorDetails}`);
+      
+      // Log content snippet for debugging (first 200 chars)
+      if (error.response && error.response.data) {
+        const contentSnippet = typeof error.response.data === 'string' 
+          ? error.response.data.substring(0, 200) 
+          : JSON.stringify(error.response.data).substring(0, 200);
+        console.error(`    Content preview: ${contentSnippet}${error.response.data.length > 200 ? '...' : ''}`);
+      }
+      
+      return { feed, entries: null, filtered: [], fetchStatus: null, error };
+    } finally {
+      // Delay between feeds (if configured)
+      if (config.delayBetweenFeedsMs > 0) {
+        await sleep(config.delayBetweenFeedsMs);
+      }
+    }
+  })));
+};
+
+/**
+ * Record entries dropped by the include/exclude filters as skipped
+ * @param {Object} report - Report collector
+ * @param {Object} feed - Feed definition
+ * @param {Array} filtered - Dropped entries that would otherwise have been selected
+ */
+const recordFilteredEntries = (report, feed, filtered) => {
+  for (const entry of filtered) {
+    console.log(`  🚫 ${feed.title}: "${entry.title}" filtered by ${entry.filterRule}, skipping`);
+    recordItemResult(report, 'skipped', 0, null, entry.title, { feedTitle: feed.title, filterRule: entry.filterRule });
+  }
+};
+
+/**
+ * Sort entries newest first (undated entries last)
+ * @param {Array} entries - Feed entries
+ * @returns {Array} Sorted copy
+ */
+const sortNewestFirst = (entries) => {
+  return [...entries].sort((a, b) => (b.publishedAt?.getTime() ?? 0) - (a.publishedAt?.getTime() ?? 0));
+};
+
+/**
+ * Cap a feed's selected entries at its afoMaxItems limit, keeping the newest
+ * @param {Object} feed - Feed definition
+ * @param {Array} entries - Selected entries
+ * @returns {Array} Entries within the limit
+ */
+const applyFeedItemLimit = (feed, entries) => {
+  const { maxItems } = feed.options;
+  if (maxItems === undefined || entries.length <= maxItems) {
+    return entries;
+  }
+  console.log(`  ✂️  ${feed.title}: keeping newest ${maxItems} of ${entries.length} article(s) (afoMaxItems)`);
+  return sortNewestFirst(entries).slice(0, maxItems);
+};
+
+/**
+ * Widen the daily window one day at a time while too few articles are selected
+ * Looks back at most FALLBACK_DAYS days and stops once MIN_DAILY_ARTICLES is
+ * reached. Articles already published in an earlier digest are never re-included.
+ * Carried-over entries are tagged with the day they came from.
+ * @param {Array<{feed: Object, entries: Array, selected: Array}>} scannedFeeds - Scan results (selected is extended in place)
+ * @param {Object} seenStore - Seen-article store
+ * @param {string} digestId - ID of the digest being built
+ * @returns {number} Number of carried-over articles added
+ */
+const applyFallbackWindow = (scannedFeeds, seenStore, digestId) => {
+  let total = scannedFeeds.reduce((sum, { selected }) => sum + selected.length, 0);
+  if (total >= config.minDailyArticles) {
+    return 0;
+  }
+  
+  console.log(`\n↩️  Only ${total} article(s) today (minimum ${config.minDailyArticles}), looking back up to ${config.fallbackDays} day(s)...`);
+  let added = 0;
+  
+  for (let daysBack = 1; daysBack <= config.fallbackDays && total < config.minDailyArticles; daysBack++) {
+    const dayId = shiftDateId(digestId, -daysBack);
+    const { start, end } = getDateIdRange(dayId);
+    let addedForDay = 0;
+    
+    for (const scanned of scannedFeeds) {
+      // Feeds without a date window already selected their latest articles
+      if (scanned.feed.options.skipDateFilter) {
+        continue;
+      }
+      const room = (scanned.feed.options.maxItems ?? Infinity) - scanned.selected.length;
+      if (room <= 0) {
+        continue;
+      }
+      const carried = filterArticlesByRange(scanned.entries, start, end)
+        .filter((entry) => !wasPublishedEarlier(seenStore, entry, digestId))
+        .slice(0, room)
+        .map((entry) => ({ ...entry, carriedOverFrom: dayId }));
+      scanned.selected.push(...carried);
+      addedForDay += carried.length;
+    }
+    
+    console.log(`  ${formatDateForTitle(start)}: ${addedForDay} unpublished article(s)`);
+    total += addedForDay;
+    added += addedForDay;
+  }
+  
+  return added;
+};
+
+/**
+ * Generate digests for items in a bounded pool
+ * Task starts are spaced by RATE_LIMIT_DELAY_MS; results keep input order.
+ * @param {Object} openai - OpenAI client
+ * @param {Array<{feed: Object, item: Object, position: number, total: number}>} jobs - Items to summarize
+ * @returns {Promise<Array<{job: Object, digest: Object|null, error: Error|null, processingTime: number}>>}
+ */
+const summarizeItems = async (openai, jobs) => {
+  const runInPool = createThrottledPool(config.maxConcurrentItems, config.rateLimitDelayMs);
+  
+  return Promise.all(jobs.map((job) => runInPool(async () => {
+    const { feed, item, position, total } = job;
+    const itemStartTime = Date.now();
+    
+    try {
+      console.log(`  [${feed.title} ${position}/${total}] ${item.title}`);
+      const digest = await generateMultiLayerDigest(openai, item, feed.options);
+      const processingTime = Date.now() - itemStartTime;
+      console.log(`      ✓ ${item.title}: completed in ${processingTime}ms${digest.modelUsage?.successfulModel ? ` (model: ${digest.modelUsage.successfulModel})` : ''}`);
+      return { job, digest, error: null, processingTime };
+    } catch (error) {
+      if (error.code === 'BUDGET_EXCEEDED') {
+        console.warn(`      💸 ${item.title}: ${error.message}, skipping`);
+      } else {
+        console.error(`      ✗ ${item.title}: ${error.message}`);
+      }
+      return { job, digest: null, error, processingTime: Date.now() - itemStartTime };
+    } finally {
+      // Delay between items (if configured)
+      if (config.delayBetweenItemsMs > 0) {
+        await sleep(config.delayBetweenItemsMs);
+      }
+    }
+  })));
+};
+
+/**
+ * Build summarization jobs for a list of feeds and their selected entries
+ * @param {Array<{feed: Object, entries: Array}>} feedEntries - Feeds with entries to process
+ * @returns {Array} Jobs in feed order, then entry order
+ */
+const buildItemJobs = (feedEntries) => {
+  return feedEntries.flatMap(({ feed, entries }) =>
+    entries.map((item, index) => ({
+      feed,
+      item,
+      position: index + 1,
+      total: entries.length,
+    }))
+  );
+};
+
+/**
+ * Record item results in job order so report counters are deterministic
+ * @param {Object} report - Report collector
+ * @param {Array} results - Results from summarizeItems()
+ * @returns {Array} Successful digests in job order
+ */
+const collectItemResults = (report, results) => {
+  const digests = [];
+  
+  for (const { job, digest, error, processingTime } of results) {
+    if (digest) {
+      digests.push({
+        ...digest,
+        feedPriority: job.feed.options?.priority ?? 0,
+        category: job.feed.category || '',
+        ...(job.item.relevance ? { relevance: job.item.relevance } : {}),
+        ...(job.item.carriedOverFrom ? { carriedOverFrom: job.item.carriedOverFrom } : {}),
+      });
+      recordItemResult(report, 'success', processingTime, null, job.item.title, {
+        modelUsage: digest.modelUsage,
+        feedTitle: job.feed.title,
+        usage: digest.fromCache ? null : digest.usage,
+      });
+    } else if (error?.code === 'BUDGET_EXCEEDED') {
+      // Left unpublished, so the next run after the budget resets picks it up
+      recordItemResult(report, 'skipped', 0, null, job.item.title);
+    } else {
+      recordItemResult(report, 'failed', processingTime, error, job.item.title);
+    }
+  }
+  
+  return digests;
+};
+
+/**
+ * Score selected items against the interest profile and drop those below
+ * RELEVANCE_MIN_SCORE, before any tokens are spent on them
+ * Scores are attached to the items (item.relevance) and carried onto their digests.
+ * @param {Object|null} openai - OpenAI client (LLM scorer only)
+ * @param {Object} report - Report collector
+ * @param {Array<{feed: Object, entries: Array}>} feedEntries - Feeds with selected items
+ * @returns {Promise<Array<{feed: Object, entries: Array}>>} Feeds with the items that passed, empty feeds removed
+ */
+const applyRelevance = async (openai, report, feedEntries) => {
+  const scores = await scoreFeedEntries(openai, feedEntries);
+  if (!scores) {
+    return feedEntries;
+  }
+  
+  const threshold = config.relevanceMinScore;
+  let dropped = 0;
+  const kept = feedEntries.map(({ entries, ...rest }) => ({
+    ...rest,
+    entries: entries.filter((item) => {
+      item.relevance = scores.get(item);
+      if (threshold !== null && item.relevance.score < threshold) {
+        console.log(`  ⏭️  ${rest.feed.title}: "${item.title}" scored ${item.relevance.score} (below ${threshold}), skipping`);
+        recordItemResult(report, 'skipped', 0, null, item.title);
+        dropped++;
+        return false;
+      }
+      return true;
+    }),
+  }));
+  
+  if (dropped > 0) {
+    console.log(`⚖️  Relevance threshold dropped ${dropped} article(s) before summarizing`);
+  }
+  return kept.filter(({ entries }) => entries.length > 0);
+};
+
+/**
+ * Mark the unpublished candidates as selected once relevance scoring has run
+ * They stay due until a digest includes them. Articles dropped by the relevance
+ * threshold are only observed, like filtered articles, so later runs don't
+ * select and rate them again.
+ * @param {Object} seenStore - Seen-article store
+ * @param {Array} dueEntries - Unpublished candidates from the scan
+ * @param {Array<{entries: Array}>} scoredFeeds - Feeds passed to applyRelevance
+ * @param {Array<{entries: Array}>} relevantFeeds - Feeds applyRelevance returned
+ */
+export const markDueSelected = (seenStore, dueEntries, scoredFeeds, relevantFeeds) => {
+  const relevant = new Set(relevantFeeds.flatMap(({ entries }) => entries));
+  const dropped = new Set(scoredFeeds.flatMap(({ entries }) => entries).filter((item) => !relevant.has(item)));
+  markSelected(seenStore, dueEntries.filter((entry) => !dropped.has(entry)));
+};
+
+/**
+ * Load today's spend for DAILY_BUDGET_USD
+ */
+const loadBudget = async () => {
+  const spent = await loadDailySpend();
+  if (config.dailyBudgetUsd !== null) {
+    console.log(`💰 Daily budget: $${spent.toFixed(4)} of $${config.dailyBudgetUsd} spent today`);
+  }
+};
+
+/**
+ * Create the OpenAI client and verify the key works before processing
+ * Placeholder dry runs make no LLM calls, so they need no key and get no client.
+ * @returns {Promise<Object|null>} OpenAI client
+ */
+const createVerifiedClient = async () => {
+  if (config.dryRunPlaceholders) {
+    console.log('🧪 Placeholder summaries: skipping API key verification and all LLM calls');
+    return null;
+  }
+  
+  // With MODEL_PROVIDERS each provider brings its own key, and this client
+  // only serves CLUSTER_EMBEDDINGS_MODEL
+  const apiKey = config.modelProviders.length ? config.openaiApiKey : requireEnv('OPENAI_API_KEY');
+  if (apiKey) {
+    console.log(`📝 API Key: ${apiKey.slice(0, 7)}...${apiKey.slice(-4)} (${apiKey.length} chars)`);
+  }
+  
+  const openai = new OpenAI({
+    apiKey: apiKey || 'none',
+    baseURL: config.openaiBaseUrl || undefined,
+    // Retries go through retryOnError, which also honours rate limits
+    maxRetries: 0,
+  });
+  
+  await verifyApiKey(openai);
+  return openai;
+};
+
 /**
  * Main execution
  */
 export const main = async () => {
-  const apiKey = requireEnv('OPENAI_API_KEY');
-  
   console.log('🚀 Starting AFO Feed Digest');
-  console.log(`📝 API Key: ${apiKey.slice(0, 7)}...${apiKey.slice(-4)} (${apiKey.length} chars)`);
+  if (config.dryRun) {
+    console.log('🧪 Dry run: no output, cache, seen-store or report files will be written');
+  }
   
   // Show date filter info
   if (config.dateFilterEnabled) {
     const todayInfo = getTodayInfo();
     console.log(`📅 Daily Digest Mode: ${todayInfo.dateString}`);
-    console.log(`   Date Range (UTC): ${todayInfo.start} to ${todayInfo.end}`);
+    console.log(`   Date Range (${todayInfo.timeZone}): ${todayInfo.start} to ${todayInfo.end}`);
   } else {
     console.log(`📅 Legacy Mode: Processing latest ${config.maxItemsPerFeed} items per feed`);
   }
   
-  const openai = new OpenAI({
-    apiKey,
-    baseURL: config.openaiBaseUrl || undefined,
-  });
-  
-  // Verify API key works before processing
-  await verifyApiKey(openai);
+  const openai = await createVerifiedClient();
+  await loadBudget();
   
   const report = createReportCollector();
   const feeds = await loadFeedDefinitions();
   
-  const digests = [];
-  let totalTodayArticles = 0;
-  let feedsWithArticles = 0;
+  const seenStore = await loadSeenStore();
+  const digestId = formatDateForId();
+  let feedsToProcess;
+  // Candidates to mark as selected once relevance scoring has run
+  const dueEntries = [];
   
   if (config.dateFilterEnabled) {
+    // "new" selection needs a previous run to compare against; seed from today's articles
+    const selectNewItems = config.articleSelection === 'new' && Boolean(seenStore.lastRunAt);
+    if (config.articleSelection === 'new' && !selectNewItems) {
+      console.log('📭 No previous run recorded in the seen-article store, selecting today\'s articles instead');
+    }
+    
     // Daily Digest Mode: First scan all feeds for today's articles, then limit
-    console.log(`\n🔍 Scanning ${feeds.length} feeds for today's articles...`);
+    const selectionLabel = selectNewItems ? `articles new since ${seenStore.lastRunAt}` : 'today\'s articles';
+    console.log(`\n🔍 Scanning ${feeds.length} feeds for ${selectionLabel} (concurrency: ${config.maxConcurrentFeeds})...`);
     
-    const feedsWithTodayArticles = [];
+    const scanResults = await scanFeeds(feeds);
+    const scannedFeeds = [];
     
-    for (const feed of feeds) {
-      try {
-        const entries = await fetchFeedEntries(feed);
-        const todayEntries = filterTodayArticles(entries);
-        
-        if (todayEntries.length > 0) {
-          feedsWithTodayArticles.push({
-            feed,
-            entries: todayEntries,
-          });
-        }
-        
-        recordFeedResult(report, true, null, feed.title);
-      } catch (error) {
-        const errorDetails = formatErrorDetails(error);
-        console.error(`  ✗ ${feed.title}: ${error.message}${errorDetails}`);
-        
-        // Log content snippet for debugging (first 200 chars)
-        if (error.response && error.response.data) {
-          const contentSnippet = typeof error.response.data === 'string' 
-            ? error.response.data.substring(0, 200) 
-            : JSON.stringify(error.response.data).substring(0, 200);
-          console.error(`    Content preview: ${contentSnippet}${error.response.data.length > 200 ? '...' : ''}`);
-        }
-        
+    for (const { feed, entries, filtered, fetchStatus, error } of scanResults) {
+      if (error) {
         recordFeedResult(report, false, error, feed.title);
+        continue;
+      }
+      
+      // Filtered articles are recorded once, in the run that would have selected them
+      recordFilteredEntries(report, feed, feed.options.skipDateFilter || selectNewItems
+        ? filtered.filter((entry) => !hasSeen(seenStore, entry))
+        : filterTodayArticles(filtered));
+      
+      // afoSkipDateFilter feeds take their latest unpublished articles regardless of date
+      const candidates = feed.options.skipDateFilter
+        ? sortNewestFirst(entries.filter((entry) => !wasPublishedEarlier(seenStore, entry, digestId)))
+          .slice(0, feed.options.maxItems ?? config.maxItemsPerFeed)
+        : selectNewItems
+          ? entries.filter((entry) => isAwaitingPublication(seenStore, entry, digestId))
+          : filterTodayArticles(entries);
+      const todayEntries = [];
+      for (const entry of candidates) {
+        if (wasPublishedEarlier(seenStore, entry, digestId)) {
+          recordItemResult(report, 'skipped', 0, null, entry.title);
+        } else {
+          todayEntries.push(entry);
+        }
+      }
+      if (candidates.length > todayEntries.length) {
+        console.log(`  ⏭️  ${feed.title}: skipped ${candidates.length - todayEntries.length} article(s) already published in an earlier digest`);
       }
+      observeItems(seenStore, [...entries, ...filtered]);
+      dueEntries.push(...todayEntries);
+      
+      scannedFeeds.push({ feed, entries, fetchStatus, selected: applyFeedItemLimit(feed, todayEntries) });
+      recordFeedResult(report, true, null, feed.title, { fetchStatus });
+    }
+    
+    // Quiet day: look back day by day (FALLBACK_DAYS) for unpublished articles
+    if (!selectNewItems && config.fallbackDays > 0) {
+      applyFallbackWindow(scannedFeeds, seenStore, digestId);
     }
     
+    const feedsWithTodayArticles = scannedFeeds
+      .filter(({ selected }) => selected.length > 0)
+      .map(({ feed, selected, fetchStatus }) => ({ feed, entries: selected, fetchStatus }));
+    
     console.log(`\n📊 Found ${feedsWithTodayArticles.length} feeds with articles today`);
     
     // Apply MAX_FEEDS limit to feeds WITH articles
-    const limitedFeedsWithArticles = feedsWithTodayArticles.slice(0, config.maxFeeds);
+    feedsToProcess = feedsWithTodayArticles.slice(0, config.maxFeeds);
     
-    if (limitedFeedsWithArticles.length < feedsWithTodayArticles.length) {
-      console.log(`📋 Processing ${limitedFeedsWithArticles.length} feeds (limited by MAX_FEEDS=${config.maxFeeds})`);
-    }
-    
-    // Process the feeds with articles
-    for (const { feed, entries } of limitedFeedsWithArticles) {
-      console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-      console.log(`📰 Processing: ${feed.title} (${entries.length} articles)`);
-      
-      feedsWithArticles++;
-      totalTodayArticles += entries.length;
-      recordFeedArticles(report, feed.title, entries.length);
-      
-      // Process each article
-      for (let i = 0; i < entries.length; i++) {
-        const item = entries[i];
-        const itemStartTime = Date.now();
-        
-        try {
-          console.log(`  [${i + 1}/${entries.length}] ${item.title}`);
-          const digest = await generateMultiLayerDigest(openai, item);
-          digests.push(digest);
-          const processingTime = Date.now() - itemStartTime;
-          recordItemResult(report, 'success', processingTime, null, item.title, {
-            modelUsage: digest.modelUsage,
-          });
-          console.log(`      ✓ Completed in ${processingTime}ms`);
-          if (digest.modelUsage?.successfulModel) {
-            console.log(`      ✓ Model used: ${digest.modelUsage.successfulModel}`);
-          }
-        } catch (error) {
-          console.error(`      ✗ Failed: ${error.message}`);
-          recordItemResult(report, 'failed', Date.now() - itemStartTime, error, item.title);
-        }
-        
-        // Delay between items (if configured)
-        if (config.delayBetweenItemsMs > 0) {
-          await new Promise(resolve => setTimeout(resolve, config.delayBetweenItemsMs));
-        }
-      }
-      
-      // Delay between feeds (if configured)
-      if (config.delayBetweenFeedsMs > 0) {
-        await new Promise(resolve => setTimeout(resolve, config.delayBetweenFeedsMs));
-      }
+    if (feedsToProcess.length < feedsWithTodayArticles.length) {
+      console.log(`📋 Processing ${feedsToProcess.length} feeds (limited by MAX_FEEDS=${config.maxFeeds})`);
     }
   } else {
     // Legacy Mode: Limit feeds first, then process latest items
     const limitedFeeds = feeds.slice(0, config.maxFeeds);
-    console.log(`\nProcessing ${limitedFeeds.length} feeds (max: ${config.maxFeeds})`);
+    console.log(`\nProcessing ${limitedFeeds.length} feeds (max: ${config.maxFeeds}, concurrency: ${config.maxConcurrentFeeds})`);
     
-    for (const feed of limitedFeeds) {
-      try {
-        console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-        console.log(`📰 Processing feed: ${feed.title}`);
-        
-        const entries = await fetchFeedEntries(feed);
-        const entriesToProcess = entries.slice(0, config.maxItemsPerFeed);
-        console.log(`  📄 Processing ${entriesToProcess.length} latest articles`);
-        
-        if (!entriesToProcess.length) {
-          console.log(`  ⏭️  No articles to process, skipping feed`);
-          recordFeedResult(report, true, null, feed.title);
-          continue;
-        }
-        
-        feedsWithArticles++;
-        totalTodayArticles += entriesToProcess.length;
-        recordFeedArticles(report, feed.title, entriesToProcess.length);
-        
-        // Process each article
-        for (let i = 0; i < entriesToProcess.length; i++) {
-          const item = entriesToProcess[i];
-          const itemStartTime = Date.now();
-          
-          try {
-            console.log(`  [${i + 1}/${entriesToProcess.length}] ${item.title}`);
-            const digest = await generateMultiLayerDigest(openai, item);
-            digests.push(digest);
-            const processingTime = Date.now() - itemStartTime;
-            recordItemResult(report, 'success', processingTime, null, item.title, {
-              modelUsage: digest.modelUsage,
-            });
-            console.log(`      ✓ Completed in ${processingTime}ms`);
-            if (digest.modelUsage?.successfulModel) {
-              console.log(`      ✓ Model used: ${digest.modelUsage.successfulModel}`);
-            }
-          } catch (error) {
-            console.error(`      ✗ Failed: ${error.message}`);
-            recordItemResult(report, 'failed', Date.now() - itemStartTime, error, item.title);
-          }
-          
-          // Delay between items (if configured)
-          if (config.delayBetweenItemsMs > 0) {
-            await new Promise(resolve => setTimeout(resolve, config.delayBetweenItemsMs));
-          }
-        }
-        
-        recordFeedResult(report, true, null, feed.title);
-        
-        // Delay between feeds (if configured)
-        if (config.delayBetweenFeedsMs > 0) {
-          await new Promise(resolve => setTimeout(resolve, config.delayBetweenFeedsMs));
-        }
-        
-      } catch (error) {
-        const errorDetails = formatErrorDetails(error);
-        console.error(`  ❌ Failed to process feed: ${error.message}${errorDetails}`);
+    const scanResults = await scanFeeds(limitedFeeds);
+    feedsToProcess = [];
+    
+    for (const { feed, entries, filtered, fetchStatus, error } of scanResults) {
+      if (error) {
+        console.error(`  ❌ Failed to process feed: ${feed.title}`);
         recordFeedResult(report, false, error, feed.title);
+        continue;
       }
+      
+      const limit = feed.options.maxItems ?? config.maxItemsPerFeed;
+      recordFilteredEntries(report, feed, filtered.slice(0, limit));
+      const entriesToProcess = entries.slice(0, limit);
+      if (!entriesToProcess.length) {
+        console.log(`  ⏭️  ${feed.title}: no articles to process, skipping feed`);
+      } else {
+        feedsToProcess.push({ feed, entries: entriesToProcess, fetchStatus });
+      }
+      
+      recordFeedResult(report, true, null, feed.title, { fetchStatus });
     }
   }
   
+  const relevantFeeds = await applyRelevance(openai, report, feedsToProcess);
+  markDueSelected(seenStore, dueEntries, feedsToProcess, relevantFeeds);
+  feedsToProcess = relevantFeeds;
+  
+  let totalArticles = 0;
+  for (const { feed, entries } of feedsToProcess) {
+    totalArticles += entries.length;
+    recordFeedArticles(report, feed.title, entries.length);
+  }
+  const feedsWithArticles = feedsToProcess.length;
+  
+  const jobs = buildItemJobs(feedsToProcess);
   console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  console.log(`📰 Summarizing ${totalArticles} articles from ${feedsWithArticles} feeds (concurrency: ${config.maxConcurrentItems})`);
+  
+  const itemResults = await summarizeItems(openai, jobs);
+  const digests = collectItemResults(report, itemResults);
+  
+  if (config.dryRun) {
+    printDryRunSelection(feedsToProcess, itemResults);
+  }
+  
+  if (config.dateFilterEnabled) {
+    const publishedItems = itemResults.filter(({ digest }) => digest).map(({ job }) => job.item);
+    markPublished(seenStore, publishedItems, digestId);
+  }
+  
+  console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  
+  // Failed-feed alerts go out whether or not a digest is generated
+  if (config.webhookFeedAlerts && report.feeds.errors.length > 0 && hasWebhooks()) {
+    for (const result of await sendWebhookNotifications(buildFeedErrorNotification(report.feeds.errors))) {
+      recordDeliveryResult(report, result);
+    }
+  }
   
   if (!digests.length) {
     console.warn('📭 No articles found for today. No digest generated.');
+    if (config.dateFilterEnabled) {
+      await saveSeenStore(seenStore);
+    }
+    await saveDailyUsage();
     const finalReport = finalizeReport(report);
     await saveReports(finalReport);
     printReportSummary(finalReport);
@@ -916,10 +1416,14 @@ export const main = async () => {
   console.log(`\n📊 Summary: ${digests.length} articles from ${feedsWithArticles} feeds`);
   
   // Build output based on mode
-  let atomXml;
+  let outputEntries;
+  let digestHtml = '';
+  let digestEmail = null;
+  let digestNotification = null;
+  const archiveDays = [];
   if (config.dateFilterEnabled) {
     // Daily digest mode: single entry grouped by feed
-    const groupedDigests = groupDigestsByFeed(digests);
+    const groupedDigests = groupDigestsByFeed(await clusterDigests(openai, digests));
     
     // Run extensions
     const extensionResults = await runExtensions({ date: new Date() });
@@ -927,7 +1431,7 @@ export const main = async () => {
     
     // Read existing entries and apply retention
     console.log(`\n📂 Checking for previous digests (retention: ${config.digestRetentionDays} days)...`);
-    const existingEntries = await readExistingFeedEntries();
+    const existingEntries = await readPreviousEntries();
     const retainedEntries = filterEntriesByRetention(existingEntries, config.digestRetentionDays);
     
     if (existingEntries.length > 0) {
@@ -936,12 +1440,22 @@ export const main = async () => {
       console.log(`  No existing entries found (first run or new file)`);
     }
     
-    atomXml = buildDailyDigestFeed(groupedDigests, retainedEntries, extensionHtml);
+    const themes = await generateDailyThemes(openai, Object.values(groupedDigests).flat(), digestId);
+    const todayEntry = buildDailyDigestEntry(groupedDigests, digestId, extensionHtml, new Date(), formatThemesHtml(themes));
+    outputEntries = mergeEntries([todayEntry], retainedEntries);
+    digestHtml = todayEntry.html;
+    digestEmail = {
+      subject: todayEntry.title,
+      html: todayEntry.html,
+      text: formatDailyDigestText(groupedDigests, todayEntry.title, themes),
+    };
+    digestNotification = buildDigestNotification(todayEntry, groupedDigests);
+    archiveDays.push({ dayId: digestId, title: todayEntry.title, html: todayEntry.html, digests });
     console.log(`\n✓ Generated daily digest with ${Object.keys(groupedDigests).length} feed sections`);
     if (extensionResults.length > 0) {
       console.log(`✓ Included ${extensionResults.length} extension(s): ${extensionResults.map(e => e.name).join(', ')}`);
     }
-    console.log(`✓ Feed now contains ${retainedEntries.length + 1} entries (today + ${retainedEntries.length} previous)`);
+    console.log(`✓ Feed now contains ${outputEntries.length} entries (today + ${outputEntries.length - 1} previous)`);
   } else {
     // Legacy mode: individual entries
     digests.sort((a, b) => {
@@ -949,12 +1463,211 @@ export const main = async () => {
       const dateB = b.publishedAt ? new Date(b.publishedAt).getTime() : 0;
       return dateB - dateA;
     });
-    atomXml = buildAtomFeed(digests);
+    outputEntries = digests.map(buildLegacyEntry);
     console.log(`\n✓ Generated feed with ${digests.length} individual entries`);
   }
   
-  await writeOutput(config.outputFeed, atomXml);
-  console.log(`✓ Wrote output to ${config.outputFeed}`);
+  await publishOutputs(outputEntries, digestHtml);
+  await updateArchive(archiveDays);
+  
+  // Email and webhook delivery (daily mode only, never fails the run)
+  if (config.emailEnabled && digestEmail) {
+    recordDeliveryResult(report, await sendDigestEmail(digestEmail));
+  }
+  if (digestNotification && hasWebhooks()) {
+    for (const result of await sendWebhookNotifications(digestNotification)) {
+      recordDeliveryResult(report, result);
+    }
+  }
+  
+  if (config.dateFilterEnabled) {
+    await saveSeenStore(seenStore);
+  }
+  await saveDailyUsage();
+  
+  const finalReport = finalizeReport(report);
+  await saveReports(finalReport);
+  printReportSummary(finalReport);
+};
+
+/**
+ * Work out which days a catch-up run rebuilds
+ * @param {Object} options - Catch-up options
+ * @param {string} options.from - First day (YYYY-MM-DD)
+ * @param {string} options.to - Last day (YYYY-MM-DD)
+ * @param {boolean} [options.overwrite=false] - Rebuild days that already have an entry
+ * @param {Set<string>} existingIds - IDs of the entries already in the output feed
+ * @param {string} [todayId] - Today's date ID in DIGEST_TIMEZONE
+ * @returns {{dayIds: Array<string>, skipped: Array<{dayId: string, reason: 'retention'|'exists'}>}} Days to build and days left out
+ */
+export const planCatchUpDays = ({ from, to, overwrite = false }, existingIds, todayId = formatDateForId()) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to || '')) {
+    throw new Error('Catch-up requires --from and --to dates in YYYY-MM-DD format');
+  }
+  if (from > to) {
+    throw new Error(`Invalid catch-up range: ${from} is after ${to}`);
+  }
+  if (to > todayId) {
+    throw new Error(`Invalid catch-up range: ${to} is in the future (today is ${todayId})`);
+  }
+  
+  const cutoffId = shiftDateId(todayId, -config.digestRetentionDays);
+  const dayIds = [];
+  const skipped = [];
+  for (let dayId = from; dayId <= to; dayId = shiftDateId(dayId, 1)) {
+    if (dayId < cutoffId) {
+      skipped.push({ dayId, reason: 'retention' });
+    } else if (existingIds.has(`daily-digest-${dayId}`) && !overwrite) {
+      skipped.push({ dayId, reason: 'exists' });
+    } else {
+      dayIds.push(dayId);
+    }
+  }
+  return { dayIds, skipped };
+};
+
+/**
+ * Select one day's articles for a catch-up digest, leaving out anything
+ * another digest already published
+ * Per-feed options apply as in regular runs: afoMaxItems caps each day, and
+ * afoSkipDateFilter feeds, whose articles belong to no particular day, add
+ * their latest unpublished articles to the last day only.
+ * @param {Array<{feed: Object, entries: Array}>} scannedFeeds - Scan results
+ * @param {Object} seenStore - Seen-article store
+ * @param {string} dayId - Day being rebuilt (YYYY-MM-DD)
+ * @param {Object} [options] - Selection options
+ * @param {boolean} [options.lastDay=true] - Whether this is the last day of the catch-up range
+ * @returns {Array<{feed: Object, entries: Array}>} Feeds with articles that day, at most MAX_FEEDS
+ */
+export const selectCatchUpFeeds = (scannedFeeds, seenStore, dayId, { lastDay = true } = {}) => {
+  const { start, end } = getDateIdRange(dayId);
+  return scannedFeeds
+    .map(({ feed, entries }) => {
+      const unpublished = entries.filter((entry) => !wasPublishedEarlier(seenStore, entry, dayId));
+      if (feed.options.skipDateFilter) {
+        return {
+          feed,
+          entries: lastDay ? sortNewestFirst(unpublished).slice(0, feed.options.maxItems ?? config.maxItemsPerFeed) : [],
+        };
+      }
+      return { feed, entries: applyFeedItemLimit(feed, filterArticlesByRange(unpublished, start, end)) };
+    })
+    .filter(({ entries }) => entries.length > 0)
+    .slice(0, config.maxFeeds);
+};
+
+/**
+ * Backfill daily digests for a range of days
+ * Each day gets its own daily-digest-<date> entry built from the cached and
+ * fetched feed entries published that day. Entries are merged into the
+ * existing output feed and retention still applies, so days older than
+ * DIGEST_RETENTION_DAYS are skipped.
+ * @param {Object} options - Catch-up options
+ * @param {string} options.from - First day (YYYY-MM-DD)
+ * @param {string} options.to - Last day (YYYY-MM-DD)
+ * @param {boolean} [options.overwrite=false] - Rebuild days that already have an entry
+ */
+export const catchUp = async ({ from, to, overwrite = false }) => {
+  const existingEntries = await readPreviousEntries();
+  const { dayIds, skipped } = planCatchUpDays({ from, to, overwrite }, new Set(existingEntries.map(entry => entry.id)));
+  
+  console.log('🚀 Starting AFO Feed Digest catch-up');
+  console.log(`📅 Range: ${from} to ${to} (${config.timezone})`);
+  
+  for (const { dayId, reason } of skipped) {
+    console.log(reason === 'retention'
+      ? `  ⏭️  ${dayId}: older than retention (${config.digestRetentionDays} days), skipping`
+      : `  ⏭️  ${dayId}: digest already exists, skipping (use --overwrite to rebuild)`);
+  }
+  
+  if (!dayIds.length) {
+    console.log('📭 No days to backfill.');
+    return;
+  }
+  
+  const openai = await createVerifiedClient();
+  await loadBudget();
+  const report = createReportCollector();
+  report.date.catchUp = { from, to, days: dayIds };
+  const feeds = await loadFeedDefinitions();
+  const seenStore = await loadSeenStore();
+  
+  console.log(`\n🔍 Scanning ${feeds.length} feeds for ${dayIds.length} day(s) (concurrency: ${config.maxConcurrentFeeds})...`);
+  const scanResults = await scanFeeds(feeds);
+  const scannedFeeds = [];
+  for (const { feed, entries, filtered, fetchStatus, error } of scanResults) {
+    if (error) {
+      recordFeedResult(report, false, error, feed.title);
+      continue;
+    }
+    scannedFeeds.push({ feed, entries, filtered });
+    recordFeedResult(report, true, null, feed.title, { fetchStatus });
+  }
+  
+  // Select each day's articles, leaving out anything another digest already published
+  const days = [];
+  for (const dayId of dayIds) {
+    const { start, end } = getDateIdRange(dayId);
+    for (const { feed, filtered } of scannedFeeds) {
+      recordFilteredEntries(report, feed, filterArticlesByRange(filtered, start, end));
+    }
+    const feedsForDay = await applyRelevance(openai, report, selectCatchUpFeeds(scannedFeeds, seenStore, dayId, { lastDay: dayId === dayIds.at(-1) }));
+    console.log(`  ${dayId}: ${feedsForDay.reduce((sum, { entries }) => sum + entries.length, 0)} article(s) from ${feedsForDay.length} feed(s)`);
+    days.push({ dayId, end, feedsForDay, jobs: buildItemJobs(feedsForDay) });
+  }
+  
+  const articlesPerFeed = new Map();
+  for (const { feedsForDay } of days) {
+    for (const { feed, entries } of feedsForDay) {
+      articlesPerFeed.set(feed.title, (articlesPerFeed.get(feed.title) || 0) + entries.length);
+    }
+  }
+  for (const [feedTitle, count] of articlesPerFeed) {
+    recordFeedArticles(report, feedTitle, count);
+  }
+  
+  const allJobs = days.flatMap(({ jobs }) => jobs);
+  console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  console.log(`📰 Summarizing ${allJobs.length} articles (concurrency: ${config.maxConcurrentItems})`);
+  const itemResults = await summarizeItems(openai, allJobs);
+  
+  const newEntries = [];
+  const archiveDays = [];
+  let offset = 0;
+  for (const { dayId, end, jobs } of days) {
+    const dayResults = itemResults.slice(offset, offset + jobs.length);
+    offset += jobs.length;
+    const digests = collectItemResults(report, dayResults);
+    if (!digests.length) {
+      if (jobs.length) {
+        console.log(`  📭 ${dayId}: no digests generated`);
+      }
+      continue;
+    }
+    
+    markPublished(seenStore, dayResults.filter(({ digest }) => digest).map(({ job }) => job.item), dayId);
+    const extensionResults = await runExtensions({ date: end });
+    const publishedAt = new Date(Math.min(end.getTime(), Date.now()));
+    const groupedDigests = groupDigestsByFeed(await clusterDigests(openai, digests));
+    const themes = await generateDailyThemes(openai, Object.values(groupedDigests).flat(), dayId);
+    const entry = buildDailyDigestEntry(groupedDigests, dayId, formatExtensionSections(extensionResults), publishedAt, formatThemesHtml(themes));
+    newEntries.push(entry);
+    archiveDays.push({ dayId, title: entry.title, html: entry.html, digests });
+    console.log(`  ✓ ${dayId}: ${digests.length} articles`);
+  }
+  
+  if (newEntries.length) {
+    const retainedEntries = filterEntriesByRetention(existingEntries, config.digestRetentionDays);
+    console.log(`\n✓ Backfilled ${newEntries.length} day(s): ${newEntries.map(entry => entry.id).join(', ')}`);
+    await publishOutputs(mergeEntries(newEntries, retainedEntries), newEntries.map(entry => entry.html).join('\n'));
+    await updateArchive(archiveDays);
+  } else {
+    console.warn('\n📭 No articles found for the requested days. Output unchanged.');
+  }
+  
+  // Only published items were recorded, so leave lastRunAt and pruning to regular runs
+  await saveSeenStore(seenStore, new Date(), { updateLastRun: false });
+  await saveDailyUsage();
   
   const finalReport = finalizeReport(report);
   await saveReports(finalReport);
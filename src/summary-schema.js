@@ -0,0 +1,136 @@
+/**
+ * Summary Schema
+ * JSON schema of the custom-prompt summary (summary-prompt.md). It is used to
+ * validate every response, whichever way it was produced, and sent as
+ * `response_format` to providers with structured output, without the
+ * keywords strict mode rejects.
+ */
+
+// Validation keywords strict structured output rejects with a 400
+const STRICT_UNSUPPORTED_KEYWORDS = ['minLength', 'maxLength', 'minimum', 'maximum', 'pattern', 'format', 'minItems', 'maxItems'];
+
+export const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    paragraph_summary: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+    overall_summary: { type: 'string', minLength: 1 },
+    one_line_summary: { type: 'string', minLength: 1 },
+    metadata: {
+      type: 'object',
+      properties: {
+        paragraph_count: { type: 'integer', minimum: 0 },
+        language: { type: 'string' },
+        processing_note: { type: ['string', 'null'] },
+      },
+      required: ['paragraph_count', 'language', 'processing_note'],
+      additionalProperties: false,
+    },
+  },
+  required: ['paragraph_summary', 'overall_summary', 'one_line_summary', 'metadata'],
+  additionalProperties: false,
+};
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Value to check
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+const getJsonType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Validate a value against the subset of JSON Schema used here
+ * (type, properties, required, items, minLength, minimum). A missing
+ * property that may be null counts as null, since only strict structured
+ * output is required to send it.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} [at] - Path of the value, for error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export const validateAgainstSchema = (value, schema, at = '$') => {
+  const types = [].concat(schema.type ?? []);
+  const actual = getJsonType(value);
+  if (types.length && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    return [`${at} should be ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+  if (actual === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${at} should not be empty`);
+  }
+  if ((actual === 'integer' || actual === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at} should be at least ${schema.minimum}`);
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${at}[${index}]`)));
+  }
+  if (actual === 'object' && schema.properties) {
+    for (const key of schema.required ?? []) {
+      const nullable = [].concat(schema.properties[key]?.type ?? []).includes('null');
+      if (value[key] === undefined && !nullable) {
+        errors.push(`${at}.${key} is missing`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (value[key] !== undefined) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${at}.${key}`));
+      }
+    }
+  }
+  return errors;
+};
+
+/**
+ * Validate a parsed custom-prompt summary
+ * @param {*} summary - Parsed response
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export const validateSummary = (summary) => validateAgainstSchema(summary, SUMMARY_SCHEMA);
+
+/**
+ * Remove the keywords strict structured output does not support
+ * They stay in SUMMARY_SCHEMA for the local validator.
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Schema safe to send with `strict: true`
+ */
+export const toStrictSchema = (schema) => {
+  if (Array.isArray(schema)) {
+    return schema.map(toStrictSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => !STRICT_UNSUPPORTED_KEYWORDS.includes(key))
+    .map(([key, value]) => [key, key === 'properties'
+      ? Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toStrictSchema(property)]))
+      : toStrictSchema(value)]));
+};
+
+/**
+ * Build the `response_format` options to try, best first
+ * @param {string} mode - STRUCTURED_OUTPUT: 'json_schema', 'json_object' or 'off'
+ * @returns {Array<Object|null>} Formats; null sends no response_format
+ */
+export const getSummaryResponseFormats = (mode) => {
+  const jsonSchema = {
+    type: 'json_schema',
+    json_schema: { name: 'article_summary', strict: true, schema: toStrictSchema(SUMMARY_SCHEMA) },
+  };
+  switch (mode) {
+    case 'json_schema':
+      return [jsonSchema, { type: 'json_object' }, null];
+    case 'json_object':
+      return [{ type: 'json_object' }, null];
+    default:
+      return [null];
+  }
+};
@@ -0,0 +1,107 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { config } from './config.js';
+import { getArticleAnchor, getFeedPageName, updateArchive } from './archive.js';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'afo-archive-'));
+config.archiveDir = tempDir;
+config.archiveEnabled = true;
+config.dryRun = false;
+config.channelTitle = 'Test Digest';
+
+const read = (...parts) => fs.readFile(path.join(tempDir, ...parts), 'utf-8');
+const exists = (...parts) => fs.access(path.join(tempDir, ...parts)).then(() => true, () => false);
+
+const digest = (itemHash, title, sourceTitle, publishedAt = '2026-03-02T08:00:00Z') => ({
+  itemHash,
+  title,
+  link: `https://example.com/${itemHash}`,
+  sourceTitle,
+  publishedAt,
+  digests: { oneLine: `${title} in one line` },
+});
+
+const day = (dayId, digests, html = `<p>Digest for ${dayId}</p>`) => ({
+  dayId,
+  title: `Daily Digest - ${dayId}`,
+  html,
+  digests,
+});
+
+const originalLog = console.log;
+console.log = () => {};
+
+try {
+  // Nothing is written when the archive is disabled or in a dry run
+  config.archiveEnabled = false;
+  await updateArchive([day('2026-03-01', [])]);
+  config.archiveEnabled = true;
+  config.dryRun = true;
+  await updateArchive([day('2026-03-01', [])]);
+  config.dryRun = false;
+  assert.deepEqual(await fs.readdir(tempDir), []);
+
+  // First run: a day page, the index, one page per feed and the manifest
+  await updateArchive([day('2026-03-01', [
+    digest('aaaaaaaaaaaaaaaa', 'Cache story', 'Build Blog', '2026-03-01T08:00:00Z'),
+    digest('bbbbbbbbbbbbbbbb', 'Harbour vote', 'City News', '2026-03-01T09:00:00Z'),
+  ])]);
+  assert.ok((await read('days', '2026-03-01.html')).includes('<p>Digest for 2026-03-01</p>'));
+  let $index = cheerio.load(await read('index.html'));
+  assert.deepEqual($index('a[href^="days/"]').map((_, a) => $index(a).attr('href')).get(), ['days/2026-03-01.html']);
+  assert.ok($index('p').first().text().includes('1 daily digests, 2 articles from 2 feeds'));
+
+  // Later runs add days; the index is regenerated newest first from the manifest
+  await updateArchive([day('2026-03-02', [
+    digest('cccccccccccccccc', 'Bigger cache', 'Build Blog'),
+  ])]);
+  $index = cheerio.load(await read('index.html'));
+  assert.deepEqual(
+    $index('a[href^="days/"]').map((_, a) => $index(a).attr('href')).get(),
+    ['days/2026-03-02.html', 'days/2026-03-01.html'],
+  );
+  assert.ok($index.text().includes('(2 articles from 2 feeds)'));
+  assert.ok($index.text().includes('(1 article from 1 feed)'));
+  assert.deepEqual(
+    $index('a[href^="feeds/"]').map((_, a) => $index(a).attr('href')).get(),
+    [`feeds/${getFeedPageName('Build Blog')}`, `feeds/${getFeedPageName('City News')}`],
+  );
+
+  // Feed pages link each summary to its anchor on the day page, newest first
+  const $feed = cheerio.load(await read('feeds', getFeedPageName('Build Blog')));
+  assert.deepEqual(
+    $feed('h3 a').map((_, a) => $feed(a).attr('href')).get(),
+    [
+      `../days/2026-03-02.html#${getArticleAnchor('cccccccccccccccc')}`,
+      `../days/2026-03-01.html#${getArticleAnchor('aaaaaaaaaaaaaaaa')}`,
+    ],
+  );
+
+  // Rebuilding a day overwrites its page and replaces its articles
+  await updateArchive([day('2026-03-01', [
+    digest('dddddddddddddddd', 'Cache follow-up', 'Build Blog', '2026-03-01T10:00:00Z'),
+  ], '<p>Rebuilt</p>')]);
+  assert.ok((await read('days', '2026-03-01.html')).includes('<p>Rebuilt</p>'));
+  assert.ok(!(await read('days', '2026-03-01.html')).includes('Digest for'));
+
+  const manifest = JSON.parse(await read('archive.json'));
+  assert.deepEqual(Object.keys(manifest.days).sort(), ['2026-03-01', '2026-03-02']);
+  assert.equal(manifest.days['2026-03-01'].articleCount, 1);
+  assert.deepEqual(Object.keys(manifest.articles).sort(), ['cccccccccccccccc', 'dddddddddddddddd']);
+
+  $index = cheerio.load(await read('index.html'));
+  assert.equal($index('a[href^="days/"]').length, 2);
+  assert.ok($index('p').first().text().includes('2 daily digests, 2 articles from 1 feeds'));
+  assert.ok(!$index.text().includes('City News'));
+  assert.ok(!(await exists('feeds', getFeedPageName('City News'))));
+  assert.ok((await read('feeds', getFeedPageName('Build Blog'))).includes('Cache follow-up'));
+  assert.ok(!(await read('feeds', getFeedPageName('Build Blog'))).includes('Cache story'));
+} finally {
+  console.log = originalLog;
+  await fs.rm(tempDir, { recursive: true, force: true });
+}
+
+console.log('archive test passed');
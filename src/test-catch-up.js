@@ -0,0 +1,101 @@
+import assert from 'assert';
+import { config } from './config.js';
+import { planCatchUpDays, selectCatchUpFeeds } from './summarize-feeds.js';
+import { markPublished } from './seen-store.js';
+import { parseFeedOptions } from './opml.js';
+
+config.timezone = 'Asia/Singapore';
+config.digestRetentionDays = 10;
+config.maxFeeds = 10;
+
+const today = '2026-01-20';
+
+// Every day in the range, inclusive
+assert.deepEqual(planCatchUpDays({ from: '2026-01-17', to: '2026-01-19' }, new Set(), today), {
+  dayIds: ['2026-01-17', '2026-01-18', '2026-01-19'],
+  skipped: [],
+});
+
+// Days with an entry are skipped unless overwriting; days past retention always are
+const existing = new Set(['daily-digest-2026-01-18']);
+assert.deepEqual(planCatchUpDays({ from: '2026-01-09', to: '2026-01-19' }, existing, today), {
+  dayIds: ['2026-01-10', '2026-01-11', '2026-01-12', '2026-01-13', '2026-01-14', '2026-01-15', '2026-01-16', '2026-01-17', '2026-01-19'],
+  skipped: [{ dayId: '2026-01-09', reason: 'retention' }, { dayId: '2026-01-18', reason: 'exists' }],
+});
+assert.deepEqual(planCatchUpDays({ from: '2026-01-18', to: '2026-01-18', overwrite: true }, existing, today).dayIds, ['2026-01-18']);
+
+// Month boundaries
+assert.deepEqual(planCatchUpDays({ from: '2026-02-27', to: '2026-03-02' }, new Set(), '2026-03-05').dayIds,
+  ['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02']);
+
+// Invalid ranges
+assert.throws(() => planCatchUpDays({ from: '2026-1-17', to: '2026-01-18' }, new Set(), today), /YYYY-MM-DD/);
+assert.throws(() => planCatchUpDays({ from: '2026-01-19', to: '2026-01-17' }, new Set(), today), /is after/);
+assert.throws(() => planCatchUpDays({ from: '2026-01-19', to: '2026-01-21' }, new Set(), today), /in the future/);
+
+// Each day takes the articles published in that day, in DIGEST_TIMEZONE
+const article = (title, publishedAt) => ({ title, link: `https://example.com/${encodeURIComponent(title)}`, publishedAt: new Date(publishedAt) });
+const blog = {
+  feed: { title: 'Blog', options: {} },
+  entries: [
+    article('Late on the 17th', '2026-01-17T15:59:00Z'), // 23:59 in Singapore
+    article('Early on the 18th', '2026-01-17T16:01:00Z'), // 00:01 in Singapore
+    article('Midday on the 18th', '2026-01-18T04:00:00Z'),
+  ],
+};
+const news = {
+  feed: { title: 'News', options: {} },
+  entries: [article('News on the 17th', '2026-01-17T03:00:00Z')],
+};
+const seenStore = { lastRunAt: null, items: {}, guidIndex: new Map(), observedKeys: new Set() };
+
+const titles = (feeds) => feeds.map(({ feed, entries }) => [feed.title, entries.map(entry => entry.title)]);
+assert.deepEqual(titles(selectCatchUpFeeds([blog, news], seenStore, '2026-01-17')), [
+  ['Blog', ['Late on the 17th']],
+  ['News', ['News on the 17th']],
+]);
+assert.deepEqual(titles(selectCatchUpFeeds([blog, news], seenStore, '2026-01-18')), [
+  ['Blog', ['Early on the 18th', 'Midday on the 18th']],
+]);
+
+// Articles another digest published are left out; the same day's are rebuilt
+markPublished(seenStore, [blog.entries[1]], '2026-01-19');
+markPublished(seenStore, [blog.entries[2]], '2026-01-18');
+assert.deepEqual(titles(selectCatchUpFeeds([blog, news], seenStore, '2026-01-18')), [
+  ['Blog', ['Midday on the 18th']],
+]);
+
+// MAX_FEEDS counts feeds with articles that day
+config.maxFeeds = 1;
+assert.deepEqual(titles(selectCatchUpFeeds([blog, news], seenStore, '2026-01-17')), [
+  ['Blog', ['Late on the 17th']],
+]);
+
+// afoMaxItems caps each day, keeping the newest
+config.maxFeeds = 10;
+config.maxItemsPerFeed = 1;
+const capped = { ...blog, feed: { title: 'Capped', options: parseFeedOptions({ afoMaxItems: '1' }) } };
+const freshStore = { lastRunAt: null, items: {}, guidIndex: new Map(), observedKeys: new Set() };
+assert.deepEqual(titles(selectCatchUpFeeds([capped], freshStore, '2026-01-18')), [['Capped', ['Midday on the 18th']]]);
+
+// afoSkipDateFilter feeds add their latest unpublished articles to the last day only
+const undated = {
+  feed: { title: 'Undated', options: parseFeedOptions({ afoSkipDateFilter: 'true', afoMaxItems: '2' }) },
+  entries: [article('Old', '2025-06-01T00:00:00Z'), article('Older', '2025-05-01T00:00:00Z'), article('Oldest', '2025-04-01T00:00:00Z')],
+};
+assert.deepEqual(selectCatchUpFeeds([undated], freshStore, '2026-01-17', { lastDay: false }), []);
+assert.deepEqual(titles(selectCatchUpFeeds([undated], freshStore, '2026-01-18')), [['Undated', ['Old', 'Older']]]);
+markPublished(freshStore, [undated.entries[0]], '2026-01-10');
+assert.deepEqual(titles(selectCatchUpFeeds([undated], freshStore, '2026-01-18')), [['Undated', ['Older', 'Oldest']]]);
+
+// afoMaxItems must be a positive whole number
+const originalWarn = console.warn;
+console.warn = () => {};
+assert.equal(parseFeedOptions({ afoMaxItems: '3' }).maxItems, 3);
+assert.equal(parseFeedOptions({ afoMaxItems: '-2' }).maxItems, undefined);
+assert.equal(parseFeedOptions({ afoMaxItems: '0' }).maxItems, undefined);
+assert.equal(parseFeedOptions({ afoMaxItems: '1.5' }).maxItems, undefined);
+assert.equal(parseFeedOptions({ afoMaxItems: 'many' }).maxItems, undefined);
+console.warn = originalWarn;
+
+console.log('catch-up test passed');
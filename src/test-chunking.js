@@ -0,0 +1,123 @@
+import assert from 'assert';
+import { config } from './config.js';
+import { chunkParagraphs, estimateTokens, getChunkTokenBudget, getModelContextTokens, planArticleChunks } from './chunking.js';
+import { generateMultiLayerDigest } from './digest.js';
+
+// About 4 characters per token, one per CJK character
+assert.equal(estimateTokens('abcdefgh'), 2);
+assert.equal(estimateTokens('锚点定位'), 4);
+assert.equal(estimateTokens(''), 0);
+
+// Context sizes by longest prefix, with overrides and a default for unknown models
+config.modelContextTokens = { 'local-llama': 32768 };
+config.defaultContextTokens = 8192;
+assert.equal(getModelContextTokens('gpt-4o-mini-2024-07-18'), 128000);
+assert.equal(getModelContextTokens('gpt-4-0613'), 8192);
+assert.equal(getModelContextTokens('local-llama'), 32768);
+assert.equal(getModelContextTokens('mystery-model'), 8192);
+
+// The smallest context in the model chain sets the budget, capped by CHUNK_MAX_TOKENS
+config.chunkMaxTokens = 0;
+config.openaiModels = ['gpt-4o-mini', 'mystery-model'];
+assert.equal(getChunkTokenBudget(), Math.floor(8192 * 0.9) - 2000);
+config.chunkMaxTokens = 3000;
+config.openaiModels = ['gpt-4o-mini'];
+assert.equal(getChunkTokenBudget('x'.repeat(400)), 3000);
+
+// Paragraphs are packed in order without splitting, and every chunk fits
+const paragraphs = Array.from({ length: 12 }, (_, i) => `Paragraph ${i} ${'word '.repeat(60)}`.trim());
+const chunks = chunkParagraphs(paragraphs, 250);
+assert.ok(chunks.length > 1);
+assert.ok(chunks.every(chunk => estimateTokens(chunk) <= 250));
+assert.deepEqual(chunks.flatMap(chunk => chunk.split('\n\n')), paragraphs);
+
+// A paragraph longer than the budget is split at sentence boundaries
+const longParagraph = Array.from({ length: 40 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+const pieces = chunkParagraphs([longParagraph], 50);
+assert.ok(pieces.length > 1);
+assert.ok(pieces.every(piece => estimateTokens(piece) <= 50 && piece.endsWith('.')));
+assert.equal(pieces.join(' '), longParagraph);
+const wordPieces = chunkParagraphs(['word '.repeat(100).trim()], 50);
+assert.ok(wordPieces.length > 1 && wordPieces.every(piece => estimateTokens(piece) <= 50 && /^word( word)*$/.test(piece)));
+
+// Short articles are one chunk; chunks beyond MAX_ARTICLE_CHUNKS are left out
+config.chunkMaxTokens = 500;
+config.maxArticleChunks = 1;
+assert.equal(planArticleChunks('Short article.', ['Short article.']).chunks.length, 1);
+const plan = planArticleChunks(paragraphs.join(' '), paragraphs);
+assert.deepEqual([plan.chunks.length, plan.dropped, plan.budget], [1, 1, 500]);
+
+// A long article is summarized per chunk, then merged into one digest
+const summary = (paragraph, overall) => JSON.stringify({
+  paragraph_summary: [paragraph],
+  overall_summary: overall,
+  one_line_summary: `${overall} in one line.`,
+  metadata: { paragraph_count: 1, language: 'en', processing_note: null },
+});
+const prompts = [];
+const client = {
+  chat: {
+    completions: {
+      create: async (request) => {
+        const prompt = request.messages[1].content;
+        prompts.push(prompt);
+        const part = prompt.match(/\(Part (\d+) of \d+/)?.[1];
+        const content = part
+          ? summary(`Point of part ${part}.`, `Part ${part}`)
+          : summary('Merged point.', 'Whole article');
+        return { choices: [{ message: { content } }], usage: { prompt_tokens: 100, completion_tokens: 20 } };
+      },
+    },
+  },
+};
+
+config.openaiModels = ['test-model'];
+config.digestCacheEnabled = false;
+config.rateLimitDelayMs = 0;
+config.maxArticleChunks = 8;
+
+const digest = await generateMultiLayerDigest(client, {
+  title: 'A very long article',
+  link: 'https://example.com/long',
+  description: paragraphs.join('\n\n'),
+  publishedAt: new Date('2026-01-09T10:00:00Z'),
+}, { fullArticle: false });
+
+assert.equal(prompts.length, 3);
+assert.ok(prompts[0].includes('Paragraph 0') && !prompts[0].includes('Paragraph 11'));
+assert.ok(prompts[1].includes('Paragraph 11'));
+assert.ok(prompts[2].includes('### Part 2') && !prompts[2].includes('Paragraph 0'));
+assert.deepEqual(digest.digests.paragraphs.map(p => p.summary), ['Point of part 1.', 'Point of part 2.']);
+assert.equal(digest.digests.overall, 'Whole article');
+assert.equal(digest.digests.oneLine, 'Whole article in one line.');
+assert.equal(digest.usage.calls, 3);
+
+// A budget that runs out after the first chunk stops the article instead of degrading it
+config.modelPrices = { 'test-model': { input: 0, output: 1 } };
+config.dailyBudgetUsd = 0.0025;
+prompts.length = 0;
+const expensiveClient = {
+  chat: {
+    completions: {
+      create: async (request) => {
+        const response = await client.chat.completions.create(request);
+        return { ...response, usage: { prompt_tokens: 100, completion_tokens: 1500 } };
+      },
+    },
+  },
+};
+const originalWarn = console.warn;
+const originalError = console.error;
+console.warn = () => {};
+console.error = () => {};
+await assert.rejects(generateMultiLayerDigest(expensiveClient, {
+  title: 'Another long article',
+  link: 'https://example.com/long-2',
+  description: paragraphs.join('\n\n'),
+  publishedAt: new Date('2026-01-09T10:00:00Z'),
+}, { fullArticle: false }), { code: 'BUDGET_EXCEEDED' });
+console.warn = originalWarn;
+console.error = originalError;
+assert.equal(prompts.length, 1);
+
+console.log('chunking test passed');
@@ -0,0 +1,107 @@
+import assert from 'assert';
+import { config } from './config.js';
+import { clusterDigests, computeContentFingerprint, compareFingerprints, tokenize } from './clustering.js';
+
+const digest = (itemHash, sourceTitle, title, oneLine, overall, extra = {}) => ({
+  itemHash,
+  sourceTitle,
+  title,
+  link: `https://${itemHash}.example/post`,
+  publishedAt: new Date('2026-01-09T10:00:00Z'),
+  digests: { oneLine, overall },
+  ...extra,
+});
+
+config.clusteringEnabled = true;
+config.clusterEmbeddingsModel = null;
+config.clusterSimilarityThreshold = 0.5;
+
+// CJK text is split into character bigrams
+assert.deepEqual(tokenize('CSS 锚点定位'), ['css', '锚点', '点定', '定位']);
+
+// Same story from three feeds, plus an unrelated article
+const digests = [
+  digest('a', 'Blog A', 'Chrome 130 ships CSS anchor positioning',
+    'Chrome 130 ships CSS anchor positioning and the Popover API improvements.',
+    'Chrome 130 is out. The release ships CSS anchor positioning, which lets developers tether popovers and tooltips to anchor elements without JavaScript.',
+    { publishedAt: new Date('2026-01-09T12:00:00Z') }),
+  digest('b', 'Blog B', 'What is new in Chrome 130: anchor positioning',
+    'Chrome 130 adds CSS anchor positioning for tooltips and popovers.',
+    'Google released Chrome 130 with CSS anchor positioning, so tooltips and popovers can be positioned relative to an anchor element without JavaScript.',
+    { publishedAt: new Date('2026-01-09T08:00:00Z') }),
+  digest('c', 'Blog C', 'Anchor positioning arrives in Chrome 130',
+    'CSS anchor positioning lands in Chrome 130.',
+    'With Chrome 130, CSS anchor positioning is available: tooltips and popovers can be tethered to anchor elements in pure CSS, no JavaScript needed.',
+    { feedPriority: 5 }),
+  digest('d', 'Blog D', 'Designing spring animations',
+    'Spring physics make UI motion feel natural.',
+    'A walkthrough of spring-based animation: stiffness, damping and mass, and how they compare to cubic-bezier easing curves.'),
+];
+
+const clustered = await clusterDigests(null, digests);
+assert.equal(clustered.length, 2);
+
+// Highest feed priority represents the cluster; the others are listed in order
+const story = clustered.find(d => d.alsoCoveredBy);
+assert.equal(story.itemHash, 'c');
+assert.deepEqual(story.alsoCoveredBy.map(other => other.sourceTitle), ['Blog A', 'Blog B']);
+assert.equal(clustered.find(d => d.itemHash === 'd').alsoCoveredBy, undefined);
+
+// Without a priority difference the earliest article represents the cluster
+const byTime = await clusterDigests(null, digests.slice(0, 2));
+assert.equal(byTime.length, 1);
+assert.equal(byTime[0].itemHash, 'b');
+
+// Links that only differ in tracking parameters are the same article
+const sameLink = await clusterDigests(null, [
+  { ...digests[3], itemHash: 'x', link: 'https://www.example.com/post?utm_source=rss' },
+  { ...digests[0], itemHash: 'y', link: 'https://example.com/post/' },
+]);
+assert.equal(sameLink.length, 1);
+
+// Near copies of the article text are found through the content fingerprint
+const words = Array.from({ length: 300 }, (_, i) => `word${i % 97}x${i % 13}`).join(' ');
+const copy = computeContentFingerprint(`Republished from the original. ${words}`);
+const original = computeContentFingerprint(words);
+assert.ok(compareFingerprints(copy, original) > 0.8);
+assert.ok(compareFingerprints(original, computeContentFingerprint(digests[1].digests.overall.repeat(5))) < 0.2);
+assert.equal(computeContentFingerprint('too short'), null);
+
+const syndicated = await clusterDigests(null, [
+  { ...digests[3], articleContent: { fingerprint: original } },
+  { ...digests[0], articleContent: { fingerprint: copy } },
+]);
+assert.equal(syndicated.length, 1);
+
+// Embeddings calls are retried through the model's rate limiter, waiting as long as a 429 asks
+config.clusterEmbeddingsModel = 'test-embeddings';
+config.maxRetries = 1;
+const embeddingCalls = [];
+const embeddingsClient = {
+  embeddings: {
+    create: async ({ input }) => {
+      embeddingCalls.push(Date.now());
+      if (embeddingCalls.length === 1) {
+        const error = new Error('HTTP 429');
+        error.status = 429;
+        error.headers = { 'retry-after-ms': '150' };
+        throw error;
+      }
+      return { data: input.map((_, index) => ({ index, embedding: index < 3 ? [1, 0] : [0, 1] })) };
+    },
+  },
+};
+const originalWarn = console.warn;
+console.warn = () => {};
+const byEmbeddings = await clusterDigests(embeddingsClient, digests);
+console.warn = originalWarn;
+assert.equal(byEmbeddings.length, 2);
+assert.equal(embeddingCalls.length, 2);
+assert.ok(embeddingCalls[1] - embeddingCalls[0] >= 140);
+config.clusterEmbeddingsModel = null;
+
+// Disabled clustering passes digests through unchanged
+config.clusteringEnabled = false;
+assert.equal(await clusterDigests(null, digests), digests);
+
+console.log('clustering test passed');
@@ -24,6 +24,7 @@ try {
   console.log('Description:', result.description ? result.description.slice(0, 100) + '...' : '(none)');
   console.log('Word Count:', result.wordCount);
   console.log('Paragraphs Found:', result.paragraphs.length);
+  console.log('Extraction:', result.extractionMethod || '(none)');
   
   if (result.fetchError) {
     console.log('\n❌ Fetch Error:', result.fetchError);
@@ -1,7 +1,8 @@
 #!/usr/bin/env node
 /**
  * Test script for date filtering functionality
- * Tests UTC day filtering logic with various edge cases
+ * Tests day filtering logic with various edge cases, including
+ * non-UTC timezones and DST transitions
  */
 
 import {
@@ -13,6 +14,9 @@ import {
   formatDateForTitle,
   formatDateForId,
   getTodayInfo,
+  getDateIdRange,
+  shiftDateId,
+  filterArticlesByRange,
 } from './date-filter.js';
 
 console.log('🧪 Testing Date Filter Module\n');
@@ -20,7 +24,7 @@ console.log('='.repeat(60));
 
 // Test 1: getTodayRange
 console.log('\n📅 Test 1: getTodayRange()');
-const { start, end } = getTodayRange();
+const { start, end } = getTodayRange('UTC');
 console.log(`  Start: ${start.toISOString()}`);
 console.log(`  End:   ${end.toISOString()}`);
 console.log(`  ✓ Range spans 24 hours: ${end - start === 86399999}`);
@@ -31,9 +35,9 @@ const now = new Date();
 const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
 const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
 
-console.log(`  Now (${now.toISOString()}): ${isToday(now) ? '✓ Today' : '✗ Not Today'}`);
-console.log(`  Yesterday: ${isToday(yesterday) ? '✗ Incorrectly marked as today' : '✓ Not Today'}`);
-console.log(`  Tomorrow: ${isToday(tomorrow) ? '✗ Incorrectly marked as today' : '✓ Not Today'}`);
+console.log(`  Now (${now.toISOString()}): ${isToday(now, 'UTC') ? '✓ Today' : '✗ Not Today'}`);
+console.log(`  Yesterday: ${isToday(yesterday, 'UTC') ? '✗ Incorrectly marked as today' : '✓ Not Today'}`);
+console.log(`  Tomorrow: ${isToday(tomorrow, 'UTC') ? '✗ Incorrectly marked as today' : '✓ Not Today'}`);
 console.log(`  Null: ${isToday(null) ? '✗ Incorrectly marked as today' : '✓ Not Today'}`);
 console.log(`  Invalid: ${isToday('invalid') ? '✗ Incorrectly marked as today' : '✓ Not Today'}`);
 
@@ -55,11 +59,11 @@ const endOfToday = new Date(Date.UTC(
 ));
 const justAfterEndOfToday = new Date(endOfToday.getTime() + 1);
 
-console.log(`  Just before today's midnight (yesterday): ${isToday(justBeforeMidnight) ? '✗ Wrong' : '✓ Correct - Not Today'}`);
-console.log(`  Today's midnight: ${isToday(todayMidnight) ? '✓ Correct - Today' : '✗ Wrong'}`);
-console.log(`  Just after midnight: ${isToday(justAfterMidnight) ? '✓ Correct - Today' : '✗ Wrong'}`);
-console.log(`  End of today (23:59:59.999): ${isToday(endOfToday) ? '✓ Correct - Today' : '✗ Wrong'}`);
-console.log(`  Just after end of today (tomorrow): ${isToday(justAfterEndOfToday) ? '✗ Wrong' : '✓ Correct - Not Today'}`);
+console.log(`  Just before today's midnight (yesterday): ${isToday(justBeforeMidnight, 'UTC') ? '✗ Wrong' : '✓ Correct - Not Today'}`);
+console.log(`  Today's midnight: ${isToday(todayMidnight, 'UTC') ? '✓ Correct - Today' : '✗ Wrong'}`);
+console.log(`  Just after midnight: ${isToday(justAfterMidnight, 'UTC') ? '✓ Correct - Today' : '✗ Wrong'}`);
+console.log(`  End of today (23:59:59.999): ${isToday(endOfToday, 'UTC') ? '✓ Correct - Today' : '✗ Wrong'}`);
+console.log(`  Just after end of today (tomorrow): ${isToday(justAfterEndOfToday, 'UTC') ? '✗ Wrong' : '✓ Correct - Not Today'}`);
 
 // Test 4: filterTodayArticles
 console.log('\n📅 Test 4: filterTodayArticles()');
@@ -72,7 +76,7 @@ const testArticles = [
   { title: 'Invalid Date Article', publishedAt: 'invalid' },
 ];
 
-const todayArticles = filterTodayArticles(testArticles);
+const todayArticles = filterTodayArticles(testArticles, 'UTC');
 console.log(`  Total articles: ${testArticles.length}`);
 console.log(`  Articles from today: ${todayArticles.length}`);
 console.log(`  Expected: 2`);
@@ -82,10 +86,10 @@ todayArticles.forEach(a => console.log(`    - ${a.title}`));
 // Test 5: formatDateForTitle and formatDateForId
 console.log('\n📅 Test 5: Date Formatting');
 const testDate = new Date('2026-01-09T12:00:00Z');
-console.log(`  formatDateForTitle: ${formatDateForTitle(testDate)}`);
-console.log(`  formatDateForId: ${formatDateForId(testDate)}`);
+console.log(`  formatDateForTitle: ${formatDateForTitle(testDate, 'UTC')}`);
+console.log(`  formatDateForId: ${formatDateForId(testDate, 'UTC')}`);
 console.log(`  Expected ID: 2026-01-09`);
-console.log(`  Result: ${formatDateForId(testDate) === '2026-01-09' ? '✓ Correct' : '✗ Wrong'}`);
+console.log(`  Result: ${formatDateForId(testDate, 'UTC') === '2026-01-09' ? '✓ Correct' : '✗ Wrong'}`);
 
 // Test 6: getTodayInfo
 console.log('\n📅 Test 6: getTodayInfo()');
@@ -101,5 +105,48 @@ console.log(`  Empty array: ${filterTodayArticles([]).length === 0 ? '✓ Return
 console.log(`  Null input: ${filterTodayArticles(null).length === 0 ? '✓ Returns []' : '✗ Wrong'}`);
 console.log(`  Undefined input: ${filterTodayArticles(undefined).length === 0 ? '✓ Returns []' : '✗ Wrong'}`);
 
+// Test 8: Non-UTC timezone day windows
+console.log('\n📅 Test 8: Asia/Shanghai Day Window');
+const shanghaiRange = getDateRange(new Date('2026-01-09T12:00:00Z'), 'Asia/Shanghai');
+console.log(`  Start: ${shanghaiRange.start.toISOString()} (expected 2026-01-08T16:00:00.000Z)`);
+console.log(`  End:   ${shanghaiRange.end.toISOString()} (expected 2026-01-09T15:59:59.999Z)`);
+console.log(`  Result: ${shanghaiRange.start.toISOString() === '2026-01-08T16:00:00.000Z' && shanghaiRange.end.toISOString() === '2026-01-09T15:59:59.999Z' ? '✓ Correct' : '✗ Wrong'}`);
+const lateUtc = new Date('2026-01-09T20:00:00Z');
+console.log(`  20:00 UTC is next day in Shanghai: ${formatDateForId(lateUtc, 'Asia/Shanghai') === '2026-01-10' ? '✓ Correct' : '✗ Wrong'} (${formatDateForId(lateUtc, 'Asia/Shanghai')})`);
+console.log(`  Title uses local day: ${formatDateForTitle(lateUtc, 'Asia/Shanghai') === 'January 10, 2026' ? '✓ Correct' : '✗ Wrong'} (${formatDateForTitle(lateUtc, 'Asia/Shanghai')})`);
+const shanghaiArticles = [
+  { title: 'Local morning', publishedAt: new Date('2026-01-09T01:00:00+08:00') },
+  { title: 'Local previous evening', publishedAt: new Date('2026-01-08T23:30:00+08:00') },
+];
+const shanghaiToday = filterArticlesByRange(shanghaiArticles, shanghaiRange.start, shanghaiRange.end);
+console.log(`  Local-day filtering: ${shanghaiToday.length === 1 && shanghaiToday[0].title === 'Local morning' ? '✓ Correct' : '✗ Wrong'}`);
+
+// Test 9: DST transitions
+console.log('\n📅 Test 9: DST Transitions');
+const HOUR = 60 * 60 * 1000;
+const dstCases = [
+  { zone: 'America/New_York', dateId: '2026-03-08', hours: 23, start: '2026-03-08T05:00:00.000Z' },
+  { zone: 'America/New_York', dateId: '2026-11-01', hours: 25, start: '2026-11-01T04:00:00.000Z' },
+  { zone: 'Europe/Berlin', dateId: '2026-03-29', hours: 23, start: '2026-03-28T23:00:00.000Z' },
+  { zone: 'Europe/Berlin', dateId: '2026-10-25', hours: 25, start: '2026-10-24T22:00:00.000Z' },
+  // Midnight itself is skipped here: the day starts at 01:00 local time
+  { zone: 'America/Santiago', dateId: '2026-09-06', hours: 23, start: '2026-09-06T04:00:00.000Z' },
+];
+for (const testCase of dstCases) {
+  const range = getDateIdRange(testCase.dateId, testCase.zone);
+  const hours = (range.end - range.start + 1) / HOUR;
+  const ok = hours === testCase.hours && range.start.toISOString() === testCase.start;
+  console.log(`  ${testCase.zone} ${testCase.dateId}: ${hours}h from ${range.start.toISOString()} ${ok ? '✓ Correct' : `✗ Wrong (expected ${testCase.hours}h from ${testCase.start})`}`);
+}
+const beforeFallBack = new Date('2026-11-01T05:30:00Z'); // 01:30 EDT
+const afterFallBack = new Date('2026-11-01T06:30:00Z'); // 01:30 EST
+const fallBackRange = getDateRange(afterFallBack, 'America/New_York');
+console.log(`  Both 01:30 instants on fall-back day: ${isWithinRange(beforeFallBack, fallBackRange.start, fallBackRange.end) && isWithinRange(afterFallBack, fallBackRange.start, fallBackRange.end) ? '✓ Correct' : '✗ Wrong'}`);
+
+// Test 10: Day ID arithmetic
+console.log('\n📅 Test 10: shiftDateId()');
+console.log(`  2026-03-01 - 1 day: ${shiftDateId('2026-03-01', -1) === '2026-02-28' ? '✓ Correct' : '✗ Wrong'}`);
+console.log(`  2026-12-31 + 1 day: ${shiftDateId('2026-12-31', 1) === '2027-01-01' ? '✓ Correct' : '✗ Wrong'}`);
+
 console.log('\n' + '='.repeat(60));
 console.log('✅ Date Filter Tests Complete\n');
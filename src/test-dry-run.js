@@ -0,0 +1,59 @@
+import assert from 'assert';
+import { diffLines, formatDiff } from './dry-run.js';
+
+const lines = (...values) => values.join('\n');
+const ops = (oldText, newText) => diffLines(oldText, newText).map(({ type, line }) => `${type}${line}`);
+
+// Unchanged text has only context lines and no hunks
+const same = lines('a', 'b', 'c');
+assert.deepEqual(ops(same, same), [' a', ' b', ' c']);
+assert.equal(formatDiff(diffLines(same, same)), '');
+
+// Added lines
+assert.deepEqual(ops(lines('a', 'c'), lines('a', 'b', 'c')), [' a', '+b', ' c']);
+assert.deepEqual(ops('', lines('a', 'b')), ['+a', '+b']);
+
+// Removed lines
+assert.deepEqual(ops(lines('a', 'b', 'c'), lines('a', 'c')), [' a', '-b', ' c']);
+assert.deepEqual(ops(lines('a', 'b'), ''), ['-a', '-b']);
+
+// A changed line is a removal followed by an addition
+assert.deepEqual(ops(lines('a', 'b', 'c'), lines('a', 'B', 'c')), [' a', '-b', '+B', ' c']);
+
+// Unchanged lines between changes are kept (longest common subsequence)
+assert.deepEqual(ops(lines('x', 'a', 'y', 'b'), lines('a', 'z', 'b', 'w')), ['-x', ' a', '-y', '+z', ' b', '+w']);
+
+// Hunks carry two lines of context and unified-diff line numbers
+const oldText = lines('1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12');
+const newText = lines('1', '2', '3', '4', 'five', '6', '7', '8', '9', '10', '11', '12', '13');
+assert.equal(formatDiff(diffLines(oldText, newText)), lines(
+  '@@ -3,5 +3,5 @@',
+  ' 3',
+  ' 4',
+  '-5',
+  '+five',
+  ' 6',
+  ' 7',
+  '@@ -11,2 +11,3 @@',
+  ' 11',
+  ' 12',
+  '+13',
+));
+
+// Changes whose context overlaps share one hunk
+assert.equal(formatDiff(diffLines(lines('a', 'b', 'c', 'd', 'e'), lines('A', 'b', 'c', 'd', 'E'))), lines(
+  '@@ -1,5 +1,5 @@',
+  '-a',
+  '+A',
+  ' b',
+  ' c',
+  ' d',
+  '-e',
+  '+E',
+));
+
+// Very large changed regions are not diffed line by line
+const big = Array.from({ length: 4001 }, (_, i) => `line ${i}`).join('\n');
+assert.equal(diffLines('', big), null);
+
+console.log('dry run test passed');
@@ -0,0 +1,130 @@
+import assert from 'assert';
+import net from 'net';
+import { config } from './config.js';
+import { sendDigestEmail, formatDailyDigestText } from './email.js';
+
+/**
+ * Start a minimal SMTP sink that stores every message it receives
+ * @param {Object} [options] - Sink options
+ * @param {string} [options.rcptReply] - Reply to RCPT TO (e.g. a 550 rejection)
+ * @returns {Promise<{port: number, messages: Array, close: Function}>} Running sink
+ */
+const startSmtpSink = ({ rcptReply = '250 OK' } = {}) => new Promise((resolve) => {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let data = null;
+    const envelope = { from: '', to: [] };
+    socket.write('220 localhost test sink\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf-8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (data !== null) {
+          if (line === '.') {
+            messages.push({ ...envelope, raw: data.join('\r\n') });
+            data = null;
+            socket.write('250 OK queued\r\n');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250-localhost\r\n250 8BITMIME\r\n');
+        } else if (command === 'MAIL') {
+          envelope.from = line;
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          envelope.to.push(line);
+          socket.write(`${rcptReply}\r\n`);
+        } else if (command === 'DATA') {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      port: server.address().port,
+      messages,
+      close: () => new Promise(done => server.close(done)),
+    });
+  });
+});
+
+const groupedDigests = {
+  'CSS-Tricks': [
+    {
+      title: 'Container queries',
+      link: 'https://css-tricks.com/container-queries/',
+      digests: {
+        oneLine: 'Container queries are ready.',
+        overall: 'Every major browser now supports size container queries.',
+        paragraphs: [{ index: 0, title: 'Support', summary: 'Shipped everywhere.' }],
+      },
+    },
+  ],
+};
+
+config.emailEnabled = true;
+config.emailFrom = 'AFO <digest@example.com>';
+config.emailTo = ['reader@example.com', 'other@example.com'];
+config.smtpHost = '127.0.0.1';
+config.smtpSecure = false;
+config.maxRetries = 1;
+config.retryBaseDelayMs = 10;
+config.contentFetchTimeout = 2000;
+
+// Plain text reuses the feed text layout per article
+const text = formatDailyDigestText(groupedDigests, 'Digest - Monday');
+assert.ok(text.startsWith('Digest - Monday\n==============='));
+assert.ok(text.includes('CSS-Tricks (1 article)'));
+assert.ok(text.includes('https://css-tricks.com/container-queries/'));
+assert.ok(text.includes('[1] Support: Shipped everywhere.'));
+
+// A delivered message is multipart with both the HTML and the text part
+const sink = await startSmtpSink();
+config.smtpPort = sink.port;
+const sent = await sendDigestEmail({ subject: 'Digest - Monday', html: '<h1>Digest</h1>', text });
+assert.equal(sent.status, 'sent');
+assert.equal(sent.target, 'reader@example.com, other@example.com');
+assert.equal(sink.messages.length, 1);
+const [message] = sink.messages;
+assert.equal(message.to.length, 2);
+assert.match(message.raw, /Content-Type: multipart\/alternative/);
+assert.match(message.raw, /Content-Type: text\/plain/);
+assert.match(message.raw, /Content-Type: text\/html/);
+assert.match(message.raw, /Subject: Digest - Monday/);
+await sink.close();
+
+// A rejected recipient list is reported, not thrown
+const rejecting = await startSmtpSink({ rcptReply: '550 No such user' });
+config.smtpPort = rejecting.port;
+const rejected = await sendDigestEmail({ subject: 'Digest', html: '<p>x</p>', text: 'x' });
+assert.equal(rejected.status, 'failed');
+assert.match(rejected.error, /550/);
+assert.equal(rejecting.messages.length, 0);
+await rejecting.close();
+
+// An unreachable server fails after the retries without throwing
+config.smtpPort = sink.port;
+const unreachable = await sendDigestEmail({ subject: 'Digest', html: '<p>x</p>', text: 'x' });
+assert.equal(unreachable.status, 'failed');
+
+// Missing settings fail fast
+config.emailTo = [];
+const unconfigured = await sendDigestEmail({ subject: 'Digest', html: '', text: '' });
+assert.equal(unconfigured.status, 'failed');
+assert.match(unconfigured.error, /EMAIL_TO/);
+
+console.log('email test passed');
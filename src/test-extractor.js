@@ -0,0 +1,207 @@
+import assert from 'assert';
+import fs from 'fs';
+import http from 'http';
+import * as cheerio from 'cheerio';
+import { config } from './config.js';
+import { extractContent } from './content-fetcher.js';
+import { generateMultiLayerDigest } from './digest.js';
+import { blocksToMarkdown, getBlocks, getBlockText, getDomainOverride, getLinkDensity, getSections } from './extractor.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/content/${name}`, import.meta.url), 'utf8');
+
+config.contentSelectors = {};
+
+// Saved pages: the article text is kept, page furniture is not
+const cases = [
+  {
+    file: 'wordpress-blog.html',
+    includes: ['For three years our build cache', 'What we tried first', 'tinker-build-cache', 'Boring is exactly what we wanted.'],
+    excludes: ['We use cookies', 'Share this', 'Related posts', 'Great write-up', 'Recent Posts', 'Proudly powered'],
+  },
+  {
+    file: 'news-sidebar.html',
+    includes: ['voted 31 to 14', '40,000 passengers', 'Construction is due to start next spring.'],
+    excludes: ['Switch your energy provider', 'morning briefing', 'Finally!', 'Storm warning', 'Harbour Street', 'Log in'],
+  },
+  {
+    file: 'div-soup.html',
+    includes: ['Hydration is the ratio', 'custardy crumb', 'Wet hands help', 'focaccia or ciabatta'],
+    excludes: ['Starter maintenance', 'Scoring patterns', 'Imprint', 'Contact'],
+  },
+  {
+    file: 'cjk-article.html',
+    includes: ['一次性渲染所有节点', '时间切片', '百分之十'],
+    excludes: ['分享到微博', '相关文章', '版权所有', '首页'],
+  },
+  {
+    file: 'docs-page.html',
+    includes: ['Configuring retries', 'exponential backoff', 'maxAttempts 5 Attempts before', 'NonRetryableError', "queue.process('emails'"],
+    excludes: ['Getting started', 'Search docs', 'Dead-letter queues →', 'MIT license'],
+  },
+];
+
+for (const { file, includes, excludes } of cases) {
+  const result = extractContent(fixture(file), `https://example.com/${file}`);
+  assert.equal(result.extractionMethod, 'scored', file);
+  for (const text of includes) {
+    assert.ok(result.content.includes(text), `${file} should include "${text}"`);
+  }
+  for (const text of excludes) {
+    assert.ok(!result.content.includes(text), `${file} should not include "${text}"`);
+  }
+  assert.ok(result.paragraphs.length >= 1, file);
+}
+
+// Blocks become paragraphs; line breaks inside a block become spaces
+const soup = extractContent(fixture('div-soup.html'), 'https://crumb.example/hydration');
+assert.ok(soup.paragraphs.some(p => p.startsWith('At around 65 percent')));
+const $soup = cheerio.load('<div><p>One<br>Two</p><ul><li>A</li><li>B</li></ul></div>');
+assert.equal(getBlockText($soup, $soup('div').toArray()), 'One Two\n\nA\n\nB');
+
+// Link density
+const $links = cheerio.load('<div id="a">Some text <a href="#">link</a></div><div id="b"><a href="#">All links</a></div>');
+assert.equal(getLinkDensity($links, $links('#b')[0]), 1);
+assert.ok(getLinkDensity($links, $links('#a')[0]) < 0.5);
+
+// Without an override, scoring picks the marketing copy on this page
+const scored = extractContent(fixture('domain-override.html'), 'https://app.shipyard.example/changelog/9');
+assert.ok(scored.content.includes('Teams around the world'));
+
+// A per-domain selector wins, for subdomains too, and can remove extra elements
+config.contentSelectors = {
+  'shipyard.example': { content: '.pane:not(.marketing)', remove: '.changelog-note' },
+  'other.example': 'article',
+};
+assert.deepEqual(getDomainOverride('https://www.other.example/post'), { content: 'article', remove: null });
+assert.equal(getDomainOverride('https://notshipyard.example/'), null);
+assert.equal(getDomainOverride('not a url'), null);
+
+const overridden = extractContent(fixture('domain-override.html'), 'https://app.shipyard.example/changelog/9');
+assert.equal(overridden.extractionMethod, 'override');
+assert.ok(overridden.content.includes('Dashboards now load twice as fast'));
+assert.ok(overridden.content.includes('fuzzy search'));
+assert.ok(!overridden.content.includes('Teams around the world'));
+assert.ok(!overridden.content.includes('30% off'));
+assert.ok(!overridden.content.includes('Thanks to everyone'));
+assert.equal(overridden.paragraphs.length, 1);
+assert.ok(overridden.markdown.startsWith('- Dashboards now load twice as fast'));
+
+// The most specific domain wins
+config.contentSelectors = { 'shipyard.example': '.marketing', 'app.shipyard.example': '.feature-list' };
+assert.equal(getDomainOverride('https://app.shipyard.example/changelog/9').content, '.feature-list');
+
+// A selector that matches nothing falls back to scoring
+config.contentSelectors = { 'shipyard.example': '#missing' };
+const originalWarn = console.warn;
+console.warn = () => {};
+const fallback = extractContent(fixture('domain-override.html'), 'https://shipyard.example/changelog/9');
+console.warn = originalWarn;
+assert.equal(fallback.extractionMethod, 'scored');
+assert.ok(fallback.content.length > 200);
+
+// Headings, code, lists, quotes and tables are kept as blocks and rendered as Markdown
+const $doc = cheerio.load(`<article>
+  <h2>Install</h2>
+  <p>Run the <code>setup</code> script,<br>then restart.</p>
+  <pre class="language-bash"><code>npm install
+npm run setup
+</code></pre>
+  <ol><li>First<ul><li>Nested</li></ul></li><li>Second</li></ol>
+  <blockquote><p>Quoted one.</p><p>Quoted two.</p></blockquote>
+  <table><tr><th>Key</th><th>Value</th></tr><tr><td>a|b</td><td>1</td></tr></table>
+</article>`);
+const blocks = getBlocks($doc, $doc('article').toArray());
+assert.deepEqual(blocks.map(block => block.type), ['heading', 'paragraph', 'code', 'list', 'quote', 'table']);
+assert.equal(blocksToMarkdown(blocks), [
+  '## Install',
+  'Run the setup script, then restart.',
+  '```bash\nnpm install\nnpm run setup\n```',
+  '1. First\n  - Nested\n2. Second',
+  '> Quoted one.\n>\n> Quoted two.',
+  '| Key | Value |\n| --- | --- |\n| a\\|b | 1 |',
+].join('\n\n'));
+
+// Paragraphs follow the blocks, with headings joined to the block after them
+config.contentSelectors = {};
+const blog = extractContent(fixture('wordpress-blog.html'), 'https://example.com/blog');
+assert.ok(blog.paragraphs.includes('## What we tried first\n\nOur first instinct was to buy a bigger machine. We priced it out, and it would have bought us perhaps a year, but it would not have fixed the real problem, which was that a single host was in the critical path of every build in the company.'));
+assert.ok(blog.paragraphs.some(p => p.startsWith('```\ncache:\n  backend: s3\n')));
+assert.ok(blog.markdown.includes('## Object storage\n\nIn the end we pointed'));
+
+// Sections start at the shallowest heading; a lone heading at the top is the title
+assert.deepEqual(blog.sections.map(section => section.title), [null, 'What we tried first', 'Object storage']);
+assert.ok(blog.sections[2].markdown.startsWith('## Object storage\n\n'));
+const docs = extractContent(fixture('docs-page.html'), 'https://example.com/docs');
+assert.deepEqual(docs.sections.map(section => section.title), [null, 'Options']);
+assert.ok(docs.sections[0].markdown.startsWith('When a job throws'));
+assert.deepEqual(getSections([{ type: 'paragraph', text: 'No headings.' }]), []);
+
+// The key sections of a digest carry the author's headings
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(fixture('wordpress-blog.html'));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const articleUrl = `http://127.0.0.1:${server.address().port}/2026/03/build-cache`;
+
+config.openaiModels = ['test-model'];
+config.digestCacheEnabled = false;
+config.rateLimitDelayMs = 0;
+config.maxRetries = 1;
+config.chunkMaxTokens = 12000;
+config.hostRequestsPerMinute = 0;
+
+let customPromptWorks = true;
+const prompts = [];
+const client = {
+  chat: {
+    completions: {
+      create: async (request) => {
+        const [system, user] = request.messages.map(message => message.content);
+        prompts.push(user);
+        let content;
+        if (system.includes('summarization agent')) {
+          content = customPromptWorks
+            ? JSON.stringify({
+              paragraph_summary: ['The cache lived on one machine.', 'Bigger machines and proxies fell short.', 'Object storage fixed throughput.'],
+              overall_summary: 'Moving the build cache to object storage.',
+              one_line_summary: 'Build cache moved to object storage.',
+              metadata: { paragraph_count: 3, language: 'en', processing_note: null },
+            })
+            : 'not json';
+        } else if (user.includes('JSON array')) {
+          content = JSON.stringify([
+            { title: 'Background', summary: 'The cache lived on one machine.' },
+            { title: 'Attempts', summary: 'Bigger machines and proxies fell short.' },
+            { title: 'Storage', summary: 'Object storage fixed throughput.' },
+          ]);
+        } else {
+          content = 'A summary.';
+        }
+        return { choices: [{ message: { content } }], usage: { prompt_tokens: 100, completion_tokens: 20 } };
+      },
+    },
+  },
+};
+
+const item = { title: 'Build cache', link: articleUrl, description: '', publishedAt: new Date('2026-03-02T10:00:00Z') };
+const digest = await generateMultiLayerDigest(client, item, { fullArticle: true });
+assert.ok(prompts[0].includes('2. What we tried first\n3. Object storage'));
+assert.ok(prompts[0].includes('```\ncache:\n  backend: s3'));
+assert.deepEqual(digest.digests.paragraphs.map(p => p.title), ['Section 1', 'What we tried first', 'Object storage']);
+
+// The multi-step fallback uses the headings as well
+customPromptWorks = false;
+prompts.length = 0;
+const originalError = console.error;
+console.warn = () => {};
+console.error = () => {};
+const fallbackDigest = await generateMultiLayerDigest(client, { ...item, title: 'Build cache again' }, { fullArticle: true });
+console.warn = originalWarn;
+console.error = originalError;
+assert.ok(prompts.some(prompt => prompt.includes('This article covers these sections, as headed by the author')));
+assert.deepEqual(fallbackDigest.digests.paragraphs.map(p => p.title), ['Background', 'What we tried first', 'Object storage']);
+
+server.close();
+
+console.log('extractor test passed');
@@ -0,0 +1,108 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'afo-feed-cache-'));
+
+const { config } = await import('./config.js');
+config.feedCacheDir = tempDir;
+config.feedCacheEnabled = true;
+config.feedCacheTtlMs = 60 * 60 * 1000;
+config.hostRequestsPerMinute = 0;
+config.maxRetries = 1;
+config.retryBaseDelayMs = 10;
+config.contentFetchTimeout = 200;
+
+const { fetchFeedEntries } = await import('./summarize-feeds.js');
+
+const ETAG = '"feed-v1"';
+const LAST_MODIFIED = 'Fri, 09 Jan 2026 10:00:00 GMT';
+const FEED = `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Test Feed</title>
+<item><title>First post</title><link>https://example.com/1</link><pubDate>${LAST_MODIFIED}</pubDate></item>
+<item><title>Second post</title><link>https://example.com/2</link><pubDate>${LAST_MODIFIED}</pubDate></item>
+</channel></rss>`;
+
+const requests = [];
+const server = http.createServer((req, res) => {
+  if (req.url === '/always-304.xml') {
+    res.writeHead(304);
+    res.end();
+    return;
+  }
+  if (req.url === '/stalled.xml') {
+    // Headers arrive, the body never does
+    res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+    res.write('<?xml version="1.0"?>');
+    return;
+  }
+  requests.push(req.headers);
+  if (req.headers['if-none-match'] === ETAG) {
+    res.writeHead(304, { ETag: ETAG });
+    res.end();
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: ETAG, 'Last-Modified': LAST_MODIFIED });
+  res.end(FEED);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const feed = { title: 'Test Feed', xmlUrl: `http://127.0.0.1:${server.address().port}/feed.xml` };
+
+try {
+  // First fetch downloads the feed and stores its validators
+  const first = await fetchFeedEntries(feed);
+  assert.equal(first.fetchStatus, 'fetched');
+  assert.deepEqual(first.entries.map(entry => entry.title), ['First post', 'Second post']);
+  assert.equal(requests[0]['if-none-match'], undefined);
+
+  const [cacheFile] = await fs.readdir(tempDir);
+  const stored = JSON.parse(await fs.readFile(path.join(tempDir, cacheFile), 'utf-8'));
+  assert.equal(stored.etag, ETAG);
+  assert.equal(stored.lastModified, LAST_MODIFIED);
+
+  // A fresh cache is served without a request
+  const second = await fetchFeedEntries(feed);
+  assert.equal(second.fetchStatus, 'cached');
+  assert.equal(requests.length, 1);
+
+  // Once stale, the feed is revalidated and a 304 reuses the cached entries
+  stored.fetchedAt = new Date(Date.now() - 2 * config.feedCacheTtlMs).toISOString();
+  await fs.writeFile(path.join(tempDir, cacheFile), JSON.stringify(stored), 'utf-8');
+  const third = await fetchFeedEntries(feed);
+  assert.equal(third.fetchStatus, 'not-modified');
+  assert.deepEqual(third.entries.map(entry => entry.title), ['First post', 'Second post']);
+  assert.ok(third.entries[0].publishedAt instanceof Date);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[1]['if-none-match'], ETAG);
+  assert.equal(requests[1]['if-modified-since'], LAST_MODIFIED);
+
+  // The 304 refreshed the cache timestamp and kept the validators
+  const refreshed = JSON.parse(await fs.readFile(path.join(tempDir, cacheFile), 'utf-8'));
+  assert.ok(Date.now() - new Date(refreshed.fetchedAt).getTime() < config.feedCacheTtlMs);
+  assert.equal(refreshed.etag, ETAG);
+  assert.equal(refreshed.lastModified, LAST_MODIFIED);
+  assert.equal((await fetchFeedEntries(feed)).fetchStatus, 'cached');
+
+  // A 304 to an unconditional request has no cached entries to reuse
+  const feedAt = (name) => ({ title: name, xmlUrl: `http://127.0.0.1:${server.address().port}/${name}` });
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    await assert.rejects(fetchFeedEntries(feedAt('always-304.xml')), /304 Not Modified without a cached copy/);
+
+    // A stalled response is aborted after CONTENT_FETCH_TIMEOUT_MS and retried
+    const started = Date.now();
+    await assert.rejects(fetchFeedEntries(feedAt('stalled.xml')), { code: 'ETIMEDOUT' });
+    assert.ok(Date.now() - started >= 2 * config.contentFetchTimeout);
+  } finally {
+    console.warn = originalWarn;
+  }
+} finally {
+  server.closeAllConnections();
+  server.close();
+  await fs.rm(tempDir, { recursive: true, force: true });
+}
+
+console.log('feed cache test passed');
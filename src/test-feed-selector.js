@@ -0,0 +1,39 @@
+import assert from 'assert';
+import { parseFeedSelector, selectFeeds } from './feed-selector.js';
+
+const feeds = [
+  { title: 'Smashing Magazine', xmlUrl: 'https://www.smashingmagazine.com/feed/' },
+  { title: 'CSS-Tricks', xmlUrl: 'https://css-tricks.com/feed/' },
+  { title: 'Josh W Comeau', xmlUrl: 'https://www.joshwcomeau.com/rss.xml' },
+];
+
+const titles = (selectors) => selectFeeds(feeds, selectors).feeds.map(feed => feed.title);
+
+// Selector types
+assert.equal(parseFeedSelector('2').type, 'index');
+assert.equal(parseFeedSelector('https://css-tricks.com/feed/').type, 'url');
+assert.equal(parseFeedSelector('/tricks/i').type, 'regex');
+assert.equal(parseFeedSelector('smashing').type, 'title');
+assert.throws(() => parseFeedSelector('/(/'), /Invalid --feed regex/);
+assert.throws(() => parseFeedSelector('  '), /Empty --feed selector/);
+
+// An index selects that single feed, not every feed up to it
+assert.deepEqual(titles(['1']), ['CSS-Tricks']);
+
+// Exact URL, ignoring a trailing slash
+assert.deepEqual(titles(['https://css-tricks.com/feed']), ['CSS-Tricks']);
+assert.deepEqual(titles(['https://css-tricks.com/']), []);
+
+// Title substring is case-insensitive
+assert.deepEqual(titles(['SMASHING']), ['Smashing Magazine']);
+
+// Regex matches the title or the URL; global flags do not leak between feeds
+assert.deepEqual(titles(['/rss\\.xml$/']), ['Josh W Comeau']);
+assert.deepEqual(titles(['/smashing|css/gi']), ['Smashing Magazine', 'CSS-Tricks']);
+
+// Repeated selectors combine, keep OPML order and report misses
+const result = selectFeeds(feeds, ['josh', '0', 'nope']);
+assert.deepEqual(result.feeds.map(feed => feed.title), ['Smashing Magazine', 'Josh W Comeau']);
+assert.deepEqual(result.unmatched, ['nope']);
+
+console.log('feed selector test passed');
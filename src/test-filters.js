@@ -0,0 +1,71 @@
+import assert from 'assert';
+import { config } from './config.js';
+import { parseFilterRule, filterEntries } from './filters.js';
+import { parseFeedOptions } from './opml.js';
+
+const entry = (title, extra = {}) => ({
+  title,
+  link: `https://example.com/${title.toLowerCase().replace(/\W+/g, '-')}`,
+  author: 'Jane Doe',
+  description: '<p>An article.</p>',
+  ...extra,
+});
+
+// Rules: optional field prefix, keyword or /regex/
+assert.deepEqual(parseFilterRule(' Sponsored '), { source: 'Sponsored', field: null, keyword: 'sponsored' });
+assert.equal(parseFilterRule('TITLE:/^\\[ad\\]/i').field, 'title');
+assert.ok(parseFilterRule('title:/^\\[ad\\]/i').pattern.test('[AD] Buy now'));
+// Unknown prefixes are part of the keyword
+assert.deepEqual(parseFilterRule('https://jobs.example.com'), { source: 'https://jobs.example.com', field: null, keyword: 'https://jobs.example.com' });
+assert.throws(() => parseFilterRule('title:'), /Empty filter rule/);
+assert.throws(() => parseFilterRule('/[/'), /Invalid filter regex/);
+
+// OPML attributes are `;`-separated so regexes can contain commas
+const options = parseFeedOptions({ afoExclude: 'podcast; title:/^\\d{1,3}\\./', afoInclude: '' });
+assert.deepEqual(options.exclude, ['podcast', 'title:/^\\d{1,3}\\./']);
+assert.deepEqual(options.include, []);
+
+// Global and per-feed exclude rules both apply; the matching rule is reported
+config.filterInclude = [];
+config.filterExclude = ['link:/\\/jobs\\//', 'author:/^Acme Marketing$/'];
+const feed = { title: 'Blog', options };
+const entries = [
+  entry('CSS nesting is here'),
+  entry('Senior engineer', { link: 'https://example.com/jobs/42' }),
+  entry('Our new product', { author: 'Acme Marketing' }),
+  entry('Weekly Podcast #12'),
+  entry('12. Numbered list post'),
+  entry('Show notes', { description: '<p>Listen to the <b>podcast</b>.</p>' }),
+  entry('Linked image', { description: '<img alt="podcast cover" src="x.png">' }),
+];
+const result = filterEntries(feed, entries);
+assert.deepEqual(result.entries.map(e => e.title), ['CSS nesting is here', 'Linked image']);
+assert.deepEqual(result.filtered.map(e => e.filterRule), [
+  'exclude link:/\\/jobs\\// (global)',
+  'exclude author:/^Acme Marketing$/ (global)',
+  'exclude podcast (feed)',
+  'exclude title:/^\\d{1,3}\\./ (feed)',
+  'exclude podcast (feed)',
+]);
+
+// Include rules keep only matching items; excludes still win
+config.filterExclude = [];
+config.filterInclude = ['css'];
+const included = filterEntries({ title: 'Blog', options: { include: ['title:grid'], exclude: ['nesting'] } }, [
+  entry('CSS nesting is here'),
+  entry('CSS grid tricks'),
+  entry('Grid layout'),
+  entry('JavaScript news'),
+]);
+assert.deepEqual(included.entries.map(e => e.title), ['CSS grid tricks', 'Grid layout']);
+assert.deepEqual(included.filtered.map(e => e.filterRule), [
+  'exclude nesting (feed)',
+  'include (no match for css; title:grid)',
+]);
+
+// No rules: entries pass through untouched
+config.filterInclude = [];
+const untouched = [entry('Anything')];
+assert.equal(filterEntries({ title: 'Blog', options: {} }, untouched).entries, untouched);
+
+console.log('filters test passed');
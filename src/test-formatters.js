@@ -0,0 +1,80 @@
+import assert from 'assert';
+import * as cheerio from 'cheerio';
+import { config } from './config.js';
+import atom from './formatters/atom.js';
+import rss from './formatters/rss.js';
+import jsonFeed from './formatters/json-feed.js';
+import html from './formatters/html.js';
+import { getEnabledFormatters, renderOutputs } from './formatters/index.js';
+
+const channel = {
+  title: 'Daily <Digest>',
+  link: 'https://example.com/digest',
+  description: 'News & notes',
+  updated: '2026-03-03T06:00:00.000Z',
+};
+
+const entries = [
+  {
+    id: 'daily-digest-2026-03-03',
+    title: 'Daily Digest - 2026-03-03',
+    link: 'https://example.com/digest#daily-digest-2026-03-03',
+    published: '2026-03-03T06:00:00.000Z',
+    updated: '2026-03-03T06:00:00.000Z',
+    author: 'AFO',
+    summary: 'Three articles & one theme',
+    html: '<h2>Today</h2><p>Caching <em>wins</em> &amp; "quotes"</p>',
+  },
+  {
+    id: 'daily-digest-2026-03-02',
+    title: 'Daily Digest - 2026-03-02',
+    link: 'https://example.com/digest#daily-digest-2026-03-02',
+    published: '2026-03-02T06:00:00.000Z',
+    updated: '2026-03-02T06:00:00.000Z',
+    author: 'AFO',
+    summary: 'One article',
+    html: '<p>Only one</p>',
+  },
+];
+
+// Atom and JSON Feed keep every entry field
+assert.deepEqual(atom.parse(atom.render(entries, channel)), entries);
+assert.deepEqual(jsonFeed.parse(jsonFeed.render(entries, channel)), entries);
+
+// RSS 2.0 has no summary or separate updated date
+assert.deepEqual(
+  rss.parse(rss.render(entries, channel)),
+  entries.map(entry => ({ ...entry, summary: '', updated: entry.published })),
+);
+assert.ok(rss.render(entries, channel).includes('<pubDate>Tue, 03 Mar 2026 06:00:00 GMT</pubDate>'));
+
+// A single entry and an empty document read back too
+assert.deepEqual(atom.parse(atom.render([entries[1]], channel)), [entries[1]]);
+assert.equal(rss.parse(rss.render([entries[1]], channel)).length, 1);
+assert.deepEqual(atom.parse(atom.render([], channel)), []);
+assert.deepEqual(rss.parse(rss.render([], channel)), []);
+assert.deepEqual(jsonFeed.parse(jsonFeed.render([], channel)), []);
+
+// The HTML page cannot be read back; it escapes the channel and links every entry
+assert.equal(html.parse, null);
+const $ = cheerio.load(html.render(entries, channel));
+assert.equal($('title').text(), channel.title);
+assert.equal($('header p').text(), channel.description);
+assert.deepEqual($('nav a').map((_, a) => $(a).attr('href')).get(), entries.map(entry => `#${entry.id}`));
+assert.deepEqual($('article').map((_, article) => $(article).attr('id')).get(), entries.map(entry => entry.id));
+assert.equal($(`article#${entries[0].id} em`).text(), 'wins');
+assert.equal(cheerio.load(html.render([entries[1]], channel))('nav').length, 0);
+
+// Formats that resolve to the same path never overwrite each other
+const originalWarn = console.warn;
+const warnings = [];
+console.warn = (message) => warnings.push(message);
+config.outputFormats = ['atom', 'rss', 'json'];
+config.outputRss = config.outputFeed;
+assert.deepEqual(getEnabledFormatters().map(formatter => formatter.name), ['atom', 'json']);
+assert.deepEqual(renderOutputs(entries).map(output => output.formatter.name), ['atom', 'json']);
+console.warn = originalWarn;
+assert.equal(warnings.length, 1);
+assert.ok(warnings[0].includes('Skipping output format "rss"'));
+
+console.log('formatters test passed');
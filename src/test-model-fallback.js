@@ -1,5 +1,6 @@
 import assert from 'assert';
-import { createChatCompletionWithFallback } from './model-fallback.js';
+import http from 'http';
+import { createChatCompletionWithFallback, getModelHealth } from './model-fallback.js';
 
 const createMockClient = () => {
   const calls = [];
@@ -49,6 +50,172 @@ assert.equal(result.model, 'good-model');
 assert.deepEqual(client.calls, ['bad-model', 'good-model']);
 assert.equal(result.response.choices[0].message.content, 'ok');
 
+// A rejected response_format steps down to the next one, and is skipped on later calls
+const formatCalls = [];
+const formatClient = {
+  chat: {
+    completions: {
+      create: async ({ model, response_format: format }) => {
+        formatCalls.push(`${model}:${format?.type ?? 'text'}`);
+        if (model === 'good-model' && format?.type === 'json_schema') {
+          const error = new Error("400 Invalid parameter: 'response_format' of type 'json_schema' is not supported with this model");
+          error.status = 400;
+          throw error;
+        }
+        return { choices: [{ message: { content: '{}' } }], usage: { prompt_tokens: 10, completion_tokens: 2 } };
+      },
+    },
+  },
+};
+config.openaiModels = ['good-model'];
+const responseFormats = [{ type: 'json_schema', json_schema: { name: 'x', schema: {} } }, { type: 'json_object' }, null];
+
+const first = await createChatCompletionWithFallback(formatClient, { messages: [] }, { responseFormats });
+assert.equal(first.responseFormat, 'json_object');
+assert.deepEqual(first.usage, { model: 'good-model', promptTokens: 10, completionTokens: 2, totalTokens: 12, cost: null });
+const second = await createChatCompletionWithFallback(formatClient, { messages: [] }, { responseFormats });
+assert.equal(second.responseFormat, 'json_object');
+assert.deepEqual(formatCalls, ['good-model:json_schema', 'good-model:json_object', 'good-model:json_object']);
+
+// Other 400 errors are not mistaken for an unsupported format
+const badRequestClient = {
+  chat: {
+    completions: {
+      create: async () => {
+        const error = new Error('400 context length exceeded');
+        error.status = 400;
+        throw error;
+      },
+    },
+  },
+};
+await assert.rejects(
+  createChatCompletionWithFallback(badRequestClient, { messages: [] }, { responseFormats: [{ type: 'json_object' }, null] }),
+  /context length/
+);
+
+// A model that keeps failing is skipped until its cooldown ends, then probed again
+let flakyDown = true;
+const breakerCalls = [];
+const breakerClient = {
+  chat: {
+    completions: {
+      create: async ({ model }) => {
+        breakerCalls.push(model);
+        if (model === 'flaky-model' && flakyDown) {
+          const error = new Error('503 Service Unavailable');
+          error.status = 503;
+          throw error;
+        }
+        return { choices: [{ message: { content: 'ok' } }] };
+      },
+    },
+  },
+};
+config.openaiModels = ['flaky-model', 'backup-model'];
+config.maxRetries = 0;
+config.modelBreakerThreshold = 2;
+config.modelBreakerCooldownMs = 50;
+
+await createChatCompletionWithFallback(breakerClient, { messages: [] });
+await createChatCompletionWithFallback(breakerClient, { messages: [] });
+const skipped = await createChatCompletionWithFallback(breakerClient, { messages: [] });
+assert.deepEqual(breakerCalls, ['flaky-model', 'backup-model', 'flaky-model', 'backup-model', 'backup-model']);
+assert.equal(skipped.model, 'backup-model');
+assert.equal(skipped.attempts[0].code, 'CIRCUIT_OPEN');
+
+// Only the model's own failures count: a bad request leaves the breaker alone
+assert.equal(getModelHealth().models['good-model'].failures, 0);
+
+// A failed probe reopens the circuit, a successful one closes it
+await new Promise(resolve => setTimeout(resolve, 60));
+await createChatCompletionWithFallback(breakerClient, { messages: [] });
+assert.equal(getModelHealth().models['flaky-model'].state, 'open');
+await new Promise(resolve => setTimeout(resolve, 60));
+flakyDown = false;
+const recovered = await createChatCompletionWithFallback(breakerClient, { messages: [] });
+assert.equal(recovered.model, 'flaky-model');
+
+const health = getModelHealth();
+assert.deepEqual(health.models['flaky-model'], { state: 'closed', failures: 0, skippedCalls: 1 });
+assert.deepEqual(
+  health.transitions.filter(({ model }) => model === 'flaky-model').map(({ from, to }) => `${from}→${to}`),
+  ['closed→open', 'open→half-open', 'half-open→open', 'open→half-open', 'half-open→closed']
+);
+
+// When every model is cooling down the call fails without a request
+flakyDown = true;
+config.openaiModels = ['flaky-model'];
+config.modelBreakerThreshold = 1;
+config.modelBreakerCooldownMs = 60000;
+await assert.rejects(createChatCompletionWithFallback(breakerClient, { messages: [] }), /503/);
+const callsBefore = breakerCalls.length;
+await assert.rejects(createChatCompletionWithFallback(breakerClient, { messages: [] }), { code: 'CIRCUIT_OPEN' });
+assert.equal(breakerCalls.length, callsBefore);
+
+// Provider profiles: a hosted provider that is down falls back to a local OpenAI-compatible server
+const providerRequests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (req.url.startsWith('/down/')) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Service Unavailable' } }));
+      return;
+    }
+    const request = JSON.parse(body);
+    providerRequests.push({ url: req.url, authorization: req.headers.authorization, ...request });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      id: 'chatcmpl-local',
+      object: 'chat.completion',
+      created: 0,
+      model: request.model,
+      choices: [{ index: 0, message: { role: 'assistant', content: 'local ok' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 7, completion_tokens: 3, total_tokens: 10 },
+    }));
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+config.modelBreakerThreshold = 0;
+config.modelProviders = [
+  { name: 'hosted', baseUrl: `${baseUrl}/down/v1`, apiKey: 'sk-hosted', models: ['gpt-4o-mini'], maxTokens: null, temperature: null },
+  { name: 'local', baseUrl: `${baseUrl}/v1`, apiKey: null, models: ['llama3.1'], maxTokens: 512, temperature: 0.2 },
+];
+const fallbacks = [];
+const defaultCalls = breakerCalls.length;
+const viaLocal = await createChatCompletionWithFallback(breakerClient, {
+  messages: [{ role: 'user', content: 'Summarize' }],
+  max_tokens: 2000,
+  temperature: 0.7,
+}, {
+  onModelFallback: (error, failedModel, nextModel) => fallbacks.push(`${failedModel}→${nextModel}`),
+});
+assert.equal(viaLocal.model, 'local/llama3.1');
+assert.equal(viaLocal.provider, 'local');
+assert.equal(viaLocal.response.choices[0].message.content, 'local ok');
+assert.deepEqual(viaLocal.usage, { model: 'llama3.1', promptTokens: 7, completionTokens: 3, totalTokens: 10, cost: null });
+assert.deepEqual(viaLocal.attempts.map(({ model, status }) => [model, status]), [['hosted/gpt-4o-mini', 503]]);
+assert.deepEqual(fallbacks, ['hosted/gpt-4o-mini→local/llama3.1']);
+
+// Each provider uses its own endpoint and key; maxTokens caps the request, temperature replaces it
+assert.equal(providerRequests.length, 1);
+assert.equal(providerRequests[0].url, '/v1/chat/completions');
+assert.equal(providerRequests[0].model, 'llama3.1');
+assert.equal(providerRequests[0].max_tokens, 512);
+assert.equal(providerRequests[0].temperature, 0.2);
+assert.equal(providerRequests[0].authorization, 'Bearer none');
+await createChatCompletionWithFallback(breakerClient, { messages: [{ role: 'user', content: 'test' }], max_tokens: 5 });
+assert.equal(providerRequests[1].max_tokens, 5);
+
+// The default client is not used once MODEL_PROVIDERS is set
+assert.equal(breakerCalls.length, defaultCalls);
+server.close();
+config.modelProviders = [];
+
 if (originalModels === undefined) {
   delete process.env.OPENAI_MODELS;
 } else {
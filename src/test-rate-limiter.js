@@ -0,0 +1,105 @@
+import assert from 'assert';
+import { config } from './config.js';
+import { acquireRateLimit, hostKey, modelKey, pauseRateLimit } from './rate-limiter.js';
+import { getRetryAfterMs, retryOnError } from './retry.js';
+
+const errorWithHeaders = (status, headers) => {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+};
+
+// Retry-After in seconds or as an HTTP date, from fetch Headers or plain objects
+assert.equal(getRetryAfterMs(errorWithHeaders(429, new Headers({ 'retry-after': '2' }))), 2000);
+assert.equal(getRetryAfterMs(errorWithHeaders(503, { 'retry-after-ms': '350' })), 350);
+const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+const fromDate = getRetryAfterMs(errorWithHeaders(503, { 'retry-after': inTenSeconds }));
+assert.ok(fromDate > 8000 && fromDate <= 10000);
+assert.equal(getRetryAfterMs(errorWithHeaders(503, { 'retry-after': 'Thu, 01 Jan 1970 00:00:00 GMT' })), 0);
+
+// x-ratelimit-reset-* durations: the longest one wins
+assert.equal(getRetryAfterMs(errorWithHeaders(429, {
+  'x-ratelimit-reset-requests': '1.5s',
+  'x-ratelimit-reset-tokens': '6m0s',
+})), 360000);
+assert.equal(getRetryAfterMs(errorWithHeaders(429, { 'x-ratelimit-reset-tokens': '20ms' })), 20);
+const resetEpoch = getRetryAfterMs(errorWithHeaders(429, { 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 30) }));
+assert.ok(resetEpoch > 28000 && resetEpoch <= 30000);
+assert.equal(getRetryAfterMs(errorWithHeaders(429, {})), null);
+
+// Reset headers describe the quota window, so they only count on 429
+assert.equal(getRetryAfterMs(errorWithHeaders(503, { 'x-ratelimit-reset-tokens': '6m0s' })), null);
+assert.equal(getRetryAfterMs(errorWithHeaders(500, { 'x-ratelimit-reset': '30', 'retry-after': '1' })), 1000);
+assert.equal(getRetryAfterMs(new Error('socket hang up')), null);
+
+// The retry waits as long as the server asked, capped at retryMaxDelayMs
+config.maxRetries = 3;
+config.retryMaxDelayMs = 200;
+const delays = [];
+let calls = 0;
+const result = await retryOnError(async () => {
+  calls++;
+  if (calls < 3) {
+    throw errorWithHeaders(429, { 'retry-after': calls === 1 ? '0.05' : '120' });
+  }
+  return 'ok';
+}, {
+  baseDelay: 5000,
+  onRetry: (error, attempt, delay) => delays.push(delay),
+});
+assert.equal(result, 'ok');
+assert.deepEqual(delays, [50, 200]);
+
+// Keys are per host and per model
+assert.equal(hostKey('https://example.com/feed.xml'), 'host:example.com');
+assert.equal(modelKey('gpt-4o-mini'), 'model:gpt-4o-mini');
+
+// A bucket allows a minute's worth of requests at once, then refills
+config.rateLimits = { 'limited.example': 600 };
+const key = hostKey('https://limited.example/a');
+for (let i = 0; i < 600; i++) {
+  assert.equal(await acquireRateLimit(key), 0);
+}
+const started = Date.now();
+await acquireRateLimit(key);
+assert.ok(Date.now() - started >= 90, 'waits for the next token (100ms at 600/min)');
+
+// Unlimited keys never wait, unless the server asked everyone to back off
+config.modelRequestsPerMinute = 0;
+assert.equal(await acquireRateLimit(modelKey('free-model')), 0);
+pauseRateLimit(modelKey('free-model'), 80);
+assert.ok(await acquireRateLimit(modelKey('free-model')) >= 80);
+
+// A 429 with Retry-After on one request pauses other requests to the same host
+config.rateLimits = {};
+config.hostRequestsPerMinute = 0;
+const retryFeed = (feedUrl, status) => {
+  let feedCalls = 0;
+  return retryOnError(async () => {
+    await acquireRateLimit(hostKey(feedUrl));
+    feedCalls++;
+    if (feedCalls === 1) {
+      throw errorWithHeaders(status, { 'retry-after': '0.1' });
+    }
+    return 'feed';
+  }, { rateLimitKey: hostKey(feedUrl) });
+};
+const retried = retryFeed('https://busy.example/feed.xml', 429);
+await new Promise(resolve => setTimeout(resolve, 10));
+const otherStarted = Date.now();
+await acquireRateLimit(hostKey('https://busy.example/other.xml'));
+assert.ok(Date.now() - otherStarted >= 80);
+assert.equal(await retried, 'feed');
+
+// A 503 waits as asked but leaves other requests to the host alone
+const retried503 = retryFeed('https://flaky.example/feed.xml', 503);
+await new Promise(resolve => setTimeout(resolve, 10));
+const flakyStarted = Date.now();
+await acquireRateLimit(hostKey('https://flaky.example/other.xml'));
+assert.ok(Date.now() - flakyStarted < 50);
+const retried503Started = Date.now();
+assert.equal(await retried503, 'feed');
+assert.ok(Date.now() - retried503Started >= 60);
+
+console.log('rate limiter test passed');
@@ -0,0 +1,57 @@
+import assert from 'assert';
+import { config } from './config.js';
+import { normalizeProfile, scoreItemByKeywords, selectTopPicks, formatTopPicksHtml } from './relevance.js';
+
+const profile = normalizeProfile({
+  description: ' Frontend team ',
+  keywords: { ' CSS ': 2, 'design system': 3, crypto: -3, '  ': 5, '无障碍': 2 },
+  topics: { 'Web platform': { weight: 2, keywords: ['browser', 'HTML'] }, Empty: {} },
+  feedWeights: { 'Blog A': 1, 'Blog B': 'not a number' },
+});
+
+// Keywords are trimmed and lowercased; blank keywords and bad weights are dropped or defaulted
+assert.equal(profile.description, 'Frontend team');
+assert.deepEqual(profile.keywords.map(k => k.keyword), ['css', 'design system', 'crypto', '无障碍']);
+assert.deepEqual(profile.topics[0].keywords, ['browser', 'html']);
+assert.deepEqual(profile.topics[1], { name: 'Empty', weight: 1, keywords: [] });
+assert.deepEqual(profile.feedWeights, { 'Blog A': 1, 'Blog B': 0 });
+
+// Title matches count double, body matches once, topics once, plus the feed weight
+const inTitle = scoreItemByKeywords(profile, { title: 'Modern CSS tricks', description: '<p>Works in every browser and HTML email.</p>' }, 'Blog A');
+assert.equal(inTitle.score, 1 + 2 * 2 + 2);
+assert.deepEqual(inTitle.matches, ['css', 'Web platform']);
+assert.equal(inTitle.method, 'keywords');
+
+const inBody = scoreItemByKeywords(profile, { title: 'Weekly links', description: 'A new <b>Design\nSystem</b> in CSS.' }, 'Blog C');
+assert.equal(inBody.score, 2 + 3);
+
+// Keywords match whole words only; CJK keywords match inside text
+assert.equal(scoreItemByKeywords(profile, { title: 'cssnano and scss', description: '' }, 'Blog C').score, 0);
+assert.equal(scoreItemByKeywords(profile, { title: '网页无障碍指南', description: '' }, 'Blog C').score, 4);
+
+// Negative weights push unwanted subjects down
+assert.equal(scoreItemByKeywords(profile, { title: 'Crypto wallets', description: '' }, 'Blog C').score, -6);
+
+// Top picks: positive scores only, best first, limited to RELEVANCE_TOP_PICKS
+config.relevanceTopPicks = 2;
+const digests = [
+  { title: 'Low', sourceTitle: 'Blog A', relevance: { score: 1, matches: [] } },
+  { title: 'None', sourceTitle: 'Blog A' },
+  { title: 'Best <one>', link: 'https://a.example/best', sourceTitle: 'Blog B', relevance: { score: 8, matches: ['css', 'Web platform'] }, digests: { oneLine: 'Why it matters.' } },
+  { title: 'Negative', sourceTitle: 'Blog C', relevance: { score: -3, matches: ['crypto'] } },
+  { title: 'Middle', sourceTitle: 'Blog C', relevance: { score: 4, matches: [] } },
+];
+assert.deepEqual(selectTopPicks(digests).map(d => d.title), ['Best <one>', 'Middle']);
+
+const html = formatTopPicksHtml(digests);
+assert.ok(html.includes('⭐ Top Picks'));
+assert.ok(html.includes('<a href="https://a.example/best"'));
+assert.ok(html.includes('Best &lt;one&gt;'));
+assert.ok(html.includes('(Blog B · score 8, css, Web platform)'));
+assert.ok(html.includes('Why it matters.'));
+assert.ok(!html.includes('Low'));
+
+config.relevanceTopPicks = 0;
+assert.equal(formatTopPicksHtml(digests), '');
+
+console.log('relevance test passed');
@@ -0,0 +1,108 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'afo-seen-'));
+
+const { config } = await import('./config.js');
+config.seenStoreEnabled = true;
+config.seenStorePath = path.join(tempDir, 'seen-articles.json');
+config.seenStoreRetentionDays = 30;
+
+const {
+  normalizeLink,
+  loadSeenStore,
+  saveSeenStore,
+  hasSeen,
+  wasPublishedEarlier,
+  isAwaitingPublication,
+  observeItems,
+  markSelected,
+  markPublished,
+} = await import('./seen-store.js');
+const { markDueSelected } = await import('./summarize-feeds.js');
+
+// Cosmetic URL differences map to the same key
+assert.equal(
+  normalizeLink('https://www.Example.com/post/?utm_source=rss&b=2&a=1#comments'),
+  normalizeLink('http://example.com/post?a=1&b=2')
+);
+assert.equal(normalizeLink('not a url'), null);
+
+const article = {
+  sourceTitle: 'Blog',
+  title: 'Original title',
+  link: 'https://example.com/post',
+  guid: 'tag:example.com,2026:1',
+  publishedAt: new Date('2026-01-09T10:00:00Z'),
+};
+
+let store = await loadSeenStore();
+assert.equal(store.lastRunAt, null);
+assert.equal(hasSeen(store, article), false);
+
+assert.equal(observeItems(store, [article]), 1);
+assert.equal(observeItems(store, [article]), 0);
+markPublished(store, [article], '2026-01-09');
+await saveSeenStore(store, new Date('2026-01-09T20:00:00Z'));
+
+// Title edit and rewritten pubDate still match the stored item
+store = await loadSeenStore();
+const edited = { ...article, title: 'Edited title', publishedAt: new Date('2026-01-10T08:00:00Z') };
+assert.equal(store.lastRunAt, '2026-01-09T20:00:00.000Z');
+assert.equal(hasSeen(store, edited), true);
+assert.equal(wasPublishedEarlier(store, edited, '2026-01-10'), true);
+
+// Re-running the same day keeps the item in that day's digest
+assert.equal(wasPublishedEarlier(store, edited, '2026-01-09'), false);
+
+// A moved link is still matched through its GUID
+const moved = { ...article, link: 'https://example.com/blog/post' };
+assert.equal(wasPublishedEarlier(store, moved, '2026-01-10'), true);
+
+// Records past retention are pruned unless a feed still lists them
+store = await loadSeenStore();
+observeItems(store, [{ ...article, link: 'https://example.com/other', guid: null }], new Date('2026-01-09T20:00:00Z'));
+await saveSeenStore(store, new Date('2026-01-09T20:00:00Z'));
+
+store = await loadSeenStore();
+observeItems(store, [article]);
+await saveSeenStore(store, new Date('2026-03-01T00:00:00Z'));
+store = await loadSeenStore();
+assert.equal(hasSeen(store, article), true);
+assert.equal(hasSeen(store, { ...article, link: 'https://example.com/other', guid: null }), false);
+
+// ARTICLE_SELECTION=new: an item whose summary failed in run 1 is picked up in run 2
+const newItem = (n) => ({ ...article, link: `https://example.com/new-${n}`, guid: null, title: `New ${n}` });
+const [published, failed, notSelected] = [newItem(1), newItem(2), newItem(3)];
+store = await loadSeenStore();
+assert.ok([published, failed].every(item => isAwaitingPublication(store, item, '2026-03-01')));
+observeItems(store, [published, failed, notSelected], new Date('2026-03-01T20:00:00Z'));
+markSelected(store, [published, failed], new Date('2026-03-01T20:00:00Z'));
+markPublished(store, [published], '2026-03-01', new Date('2026-03-01T20:00:00Z'));
+await saveSeenStore(store, new Date('2026-03-01T20:00:00Z'));
+
+store = await loadSeenStore();
+assert.equal(isAwaitingPublication(store, published, '2026-03-02'), false);
+assert.equal(isAwaitingPublication(store, failed, '2026-03-02'), true);
+assert.equal(isAwaitingPublication(store, notSelected, '2026-03-02'), false);
+// Re-running the same day selects the published item again, for the same entry
+assert.equal(isAwaitingPublication(store, published, '2026-03-01'), true);
+
+// Once published, it is no longer due
+markPublished(store, [failed], '2026-03-02', new Date('2026-03-02T20:00:00Z'));
+assert.equal(isAwaitingPublication(store, failed, '2026-03-03'), false);
+
+// Articles the relevance threshold dropped are observed only, so they stop being due
+const [relevant, irrelevant, overLimit] = [newItem(4), newItem(5), newItem(6)];
+observeItems(store, [relevant, irrelevant, overLimit], new Date('2026-03-03T20:00:00Z'));
+markDueSelected(store, [relevant, irrelevant, overLimit], [{ entries: [relevant, irrelevant] }], [{ entries: [relevant] }]);
+assert.equal(isAwaitingPublication(store, relevant, '2026-03-04'), true);
+assert.equal(isAwaitingPublication(store, irrelevant, '2026-03-04'), false);
+// Candidates that never reached scoring (MAX_FEEDS, afoMaxItems) stay due
+assert.equal(isAwaitingPublication(store, overLimit, '2026-03-04'), true);
+
+await fs.rm(tempDir, { recursive: true, force: true });
+
+console.log('seen store test passed');
@@ -0,0 +1,108 @@
+import assert from 'assert';
+import { config } from './config.js';
+import { SUMMARY_SCHEMA, validateSummary, getSummaryResponseFormats, toStrictSchema } from './summary-schema.js';
+import { generateMultiLayerDigest } from './digest.js';
+
+const valid = {
+  paragraph_summary: ['First paragraph.', 'Second paragraph.'],
+  overall_summary: 'What the article says.',
+  one_line_summary: 'In one line.',
+  metadata: { paragraph_count: 2, language: 'en', processing_note: null },
+};
+
+assert.deepEqual(validateSummary(valid), []);
+// processing_note may be left out unless strict structured output is used
+assert.deepEqual(validateSummary({ ...valid, metadata: { paragraph_count: 2, language: 'en' } }), []);
+assert.deepEqual(validateSummary({ ...valid, paragraph_summary: ['ok', 3], one_line_summary: ' ' }), [
+  '$.paragraph_summary[1] should be string, got integer',
+  '$.one_line_summary should not be empty',
+]);
+assert.deepEqual(validateSummary({ overall_summary: 'x', one_line_summary: 'y', metadata: { paragraph_count: -1, language: 'en' } }), [
+  '$.paragraph_summary is missing',
+  '$.metadata.paragraph_count should be at least 0',
+]);
+assert.deepEqual(validateSummary([]), ['$ should be object, got array']);
+
+assert.deepEqual(getSummaryResponseFormats('json_schema').map(format => format?.type ?? null), ['json_schema', 'json_object', null]);
+assert.deepEqual(getSummaryResponseFormats('off'), [null]);
+
+// The schema sent with strict: true leaves out minLength and minimum; the local validator keeps them
+const strictSchema = getSummaryResponseFormats('json_schema')[0].json_schema.schema;
+assert.ok(!/minLength|minimum/.test(JSON.stringify(strictSchema)));
+assert.deepEqual(strictSchema.properties.overall_summary, { type: 'string' });
+assert.deepEqual(strictSchema.properties.metadata.properties.paragraph_count, { type: 'integer' });
+assert.deepEqual(strictSchema.required, SUMMARY_SCHEMA.required);
+assert.equal(strictSchema.additionalProperties, false);
+assert.equal(SUMMARY_SCHEMA.properties.overall_summary.minLength, 1);
+assert.deepEqual(toStrictSchema({ type: 'object', properties: { minimum: { type: 'number', minimum: 0 } } }), {
+  type: 'object',
+  properties: { minimum: { type: 'number' } },
+});
+
+// An invalid summary gets exactly one repair request, which only carries the bad JSON
+const requests = [];
+const client = {
+  chat: {
+    completions: {
+      create: async (request) => {
+        requests.push(request);
+        const prompt = request.messages[1].content;
+        const content = prompt.includes('does not match the required schema')
+          ? JSON.stringify(valid)
+          : `Here you go:\n\`\`\`json\n${JSON.stringify({ ...valid, metadata: { paragraph_count: '2' } })}\n\`\`\``;
+        return { choices: [{ message: { content } }], usage: { prompt_tokens: 50, completion_tokens: 10 } };
+      },
+    },
+  },
+};
+
+config.openaiModels = ['test-model'];
+config.digestCacheEnabled = false;
+config.structuredOutput = 'json_schema';
+config.rateLimitDelayMs = 0;
+
+const digest = await generateMultiLayerDigest(client, {
+  title: 'Structured output',
+  link: 'https://example.com/post',
+  description: 'An article about structured output. '.repeat(20),
+  publishedAt: new Date('2026-01-09T10:00:00Z'),
+}, { fullArticle: false });
+
+assert.equal(requests.length, 2);
+assert.equal(requests[0].response_format.type, 'json_schema');
+assert.ok(requests[1].messages[1].content.includes('- $.metadata.paragraph_count should be integer, got string'));
+assert.ok(!requests[1].messages[1].content.includes('An article about structured output.'));
+assert.equal(digest.digests.oneLine, 'In one line.');
+assert.equal(digest.digests.paragraphs.length, 2);
+assert.equal(digest.usage.calls, 2);
+
+// Still invalid after the repair: no more attempts, the multi-step digest takes over
+config.maxRetries = 3;
+const systemPrompts = [];
+const stubbornClient = {
+  chat: {
+    completions: {
+      create: async (request) => {
+        systemPrompts.push(request.messages[0].content);
+        const structured = /summarization agent|fix JSON/.test(request.messages[0].content);
+        const content = structured ? JSON.stringify({ ...valid, one_line_summary: '' }) : 'Plain summary.';
+        return { choices: [{ message: { content } }], usage: { prompt_tokens: 50, completion_tokens: 10 } };
+      },
+    },
+  },
+};
+const originalWarn = console.warn;
+console.warn = () => {};
+const fallback = await generateMultiLayerDigest(stubbornClient, {
+  title: 'Stubborn model',
+  link: 'https://example.com/stubborn',
+  description: 'An article about a model that keeps getting the schema wrong. '.repeat(20),
+  publishedAt: new Date('2026-01-09T10:00:00Z'),
+}, { fullArticle: false });
+console.warn = originalWarn;
+assert.equal(systemPrompts.filter(prompt => prompt.includes('summarization agent')).length, 1);
+assert.equal(systemPrompts.filter(prompt => prompt.includes('fix JSON')).length, 1);
+assert.ok(systemPrompts.length > 2);
+assert.equal(fallback.digests.oneLine, 'Plain summary.');
+
+console.log('summary schema test passed');
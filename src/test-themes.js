@@ -0,0 +1,42 @@
+import assert from 'assert';
+import { normalizeThemes, formatThemesHtml, formatThemesText } from './themes.js';
+
+const digests = [
+  { itemHash: 'a', title: 'Chrome ships <anchor> positioning', link: 'https://a.example/1', sourceTitle: 'Feed A' },
+  { itemHash: 'b', title: 'Anchor positioning lands', link: 'https://b.example/1', sourceTitle: 'Feed B' },
+  { itemHash: 'c', title: 'Springs', link: null, sourceTitle: 'Feed C' },
+];
+
+const themes = normalizeThemes({
+  overview: ' CSS layout news. ',
+  themes: [
+    { title: 'Anchor positioning', summary: 'Two browsers.', articles: [1, 2, 2, 7] },
+    { summary: 'Theme without a title is dropped' },
+  ],
+  same_story: [
+    { story: 'Anchor positioning ships', articles: [1, 2] },
+    { story: 'Single article', articles: [3] },
+  ],
+  must_read: [{ article: 3, reason: 'Clear explainer' }, { article: 42 }],
+}, digests);
+
+// Article numbers map back to articles; unknown, duplicate and single-article groups are dropped
+assert.equal(themes.overview, 'CSS layout news.');
+assert.deepEqual(themes.themes.map(t => t.articles.map(a => a.itemHash)), [['a', 'b']]);
+assert.equal(themes.sameStory.length, 1);
+assert.deepEqual(themes.mustRead.map(pick => pick.article.itemHash), ['c']);
+
+// Responses without an overview or themes are unusable
+assert.equal(normalizeThemes({ must_read: [{ article: 1 }] }, digests), null);
+assert.equal(normalizeThemes(null, digests), null);
+
+// HTML escapes titles and links articles that have a link
+const html = formatThemesHtml(themes);
+assert.ok(html.includes('Chrome ships &lt;anchor&gt; positioning'));
+assert.ok(html.includes('href="https://b.example/1"'));
+assert.ok(html.includes('<li style="margin: 4px 0;">Springs — Clear explainer</li>'));
+assert.equal(formatThemesHtml(null), '');
+
+assert.ok(formatThemesText(themes).includes('1. Springs - Clear explainer'));
+
+console.log('themes test passed');
@@ -0,0 +1,148 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'afo-usage-'));
+
+const { config } = await import('./config.js');
+config.usageStorePath = path.join(tempDir, 'usage.json');
+config.modelPrices = { 'my-local-model': { input: 0, output: 0 }, 'gpt-4o-mini': { input: 1, output: 2 } };
+config.dailyBudgetUsd = 0.01;
+config.dryRun = false;
+
+const {
+  addUsage,
+  createUsageTotals,
+  estimateCost,
+  getModelPrice,
+  recordTokenUsage,
+  getRunUsage,
+  loadDailySpend,
+  getDailySpend,
+  isBudgetExceeded,
+  reserveBudget,
+  saveDailyUsage,
+} = await import('./usage.js');
+const { createChatCompletionWithFallback } = await import('./model-fallback.js');
+const { clusterDigests } = await import('./clustering.js');
+const { generateDailyThemes } = await import('./themes.js');
+const { createReportCollector, recordItemResult, recordDeliveryResult, finalizeReport, generateMarkdownReport } = await import('./reporting.js');
+
+// Dated model names use the longest listed prefix; MODEL_PRICES overrides the defaults
+assert.deepEqual(getModelPrice('gpt-4o-2024-08-06'), { input: 2.5, output: 10 });
+assert.deepEqual(getModelPrice('gpt-4o-mini-2024-07-18'), { input: 1, output: 2 });
+assert.equal(getModelPrice('unknown-model'), null);
+assert.equal(estimateCost('gpt-4.1-mini', { promptTokens: 1_000_000, completionTokens: 500_000 }), 1.2);
+assert.equal(estimateCost('unknown-model', { promptTokens: 10, completionTokens: 10 }), null);
+
+// Earlier runs today count towards the budget
+const now = new Date();
+await fs.writeFile(config.usageStorePath, JSON.stringify({
+  days: {
+    '2000-01-01': { calls: 1, promptTokens: 1, completionTokens: 1, totalTokens: 2, cost: 5, unpricedCalls: 0 },
+  },
+}));
+assert.equal(await loadDailySpend(now), 0);
+
+// Calls are totalled per model; unknown models are counted without a cost
+const call = recordTokenUsage('gpt-4o-mini', { prompt_tokens: 3000, completion_tokens: 1000, total_tokens: 4000 });
+assert.deepEqual(call, { model: 'gpt-4o-mini', promptTokens: 3000, completionTokens: 1000, totalTokens: 4000, cost: 0.005 });
+recordTokenUsage('unknown-model', { prompt_tokens: 10, completion_tokens: 5 });
+assert.equal(recordTokenUsage('gpt-4o-mini', undefined), null);
+
+const run = getRunUsage();
+assert.equal(run.total.calls, 2);
+assert.equal(run.total.totalTokens, 4015);
+assert.equal(run.total.cost, 0.005);
+assert.equal(run.total.unpricedCalls, 1);
+assert.equal(run.byModel['unknown-model'].unpricedCalls, 1);
+assert.equal(isBudgetExceeded(), false);
+
+// Per-article usage adds up per feed in the report
+const report = createReportCollector();
+const articleUsage = addUsage(addUsage(createUsageTotals(), call), call);
+recordItemResult(report, 'success', 10, null, 'Post A', { feedTitle: 'Blog', usage: articleUsage });
+recordItemResult(report, 'success', 10, null, 'Post B', { feedTitle: 'Blog', usage: addUsage(createUsageTotals(), call) });
+recordItemResult(report, 'success', 10, null, 'Cached post', { feedTitle: 'Blog', usage: null });
+assert.equal(report.usage.byFeed.Blog.calls, 3);
+assert.equal(report.usage.byFeed.Blog.cost, 0.015);
+assert.equal(report.usage.byArticle.length, 2);
+
+recordTokenUsage('gpt-4o-mini', { prompt_tokens: 3000, completion_tokens: 1000 });
+assert.equal(getDailySpend(), 0.01);
+assert.equal(isBudgetExceeded(), true);
+
+// Delivery cells are escaped so a target or an error cannot break the table
+recordDeliveryResult(report, { channel: 'webhook', target: 'https://hooks.example/a|b', status: 'failed', error: 'HTTP 400:\n{"error": "bad | payload"}' });
+
+const markdown = generateMarkdownReport(finalizeReport(report));
+assert.ok(markdown.includes('| webhook | https://hooks.example/a\\|b | failed | HTTP 400: {"error": "bad \\| payload"} |'));
+assert.ok(markdown.includes('- **Estimated Cost:** $0.0100 (+1 unpriced)'));
+assert.ok(markdown.includes('| gpt-4o-mini | 2 | 6000 | 2000 | $0.0100 |'));
+assert.ok(markdown.includes('| Post A (Blog) | 2 | 6000 | 2000 | $0.0100 |'));
+assert.ok(markdown.includes('- **Daily Budget:** $0.0100 of $0.01 spent today'));
+
+// The run is added to today's record; days past retention are pruned
+await saveDailyUsage(now);
+const stored = JSON.parse(await fs.readFile(config.usageStorePath, 'utf-8'));
+assert.equal(stored.days['2000-01-01'], undefined);
+assert.equal(Object.keys(stored.days).length, 1);
+assert.equal(Object.values(stored.days)[0].cost, 0.01);
+assert.equal(await loadDailySpend(now), 0.01);
+
+// Calls reserve their worst-case cost up front, so calls in flight cannot overshoot together
+config.dailyBudgetUsd = getDailySpend() + 0.01;
+const worstCase = { promptTokens: 1000, completionTokens: 2000 };
+const releaseFirst = reserveBudget('gpt-4o-mini', worstCase);
+const releaseSecond = reserveBudget('gpt-4o-mini', worstCase);
+assert.equal(isBudgetExceeded(), true);
+assert.throws(() => reserveBudget('gpt-4o-mini', worstCase), { code: 'BUDGET_EXCEEDED' });
+releaseFirst();
+releaseFirst();
+assert.equal(isBudgetExceeded(), false);
+reserveBudget('gpt-4o-mini', worstCase)();
+releaseSecond();
+assert.throws(() => reserveBudget('gpt-4o-mini', { promptTokens: 1000, completionTokens: 6000 }), { code: 'BUDGET_EXCEEDED' });
+
+// Once the budget is spent, no chat or embeddings request is sent
+config.dailyBudgetUsd = getDailySpend();
+config.openaiModels = ['gpt-4o-mini', 'my-local-model'];
+config.digestCacheEnabled = false;
+config.dailyThemesEnabled = true;
+config.dailyThemesMinArticles = 2;
+config.clusteringEnabled = true;
+config.clusterEmbeddingsModel = 'text-embedding-3-small';
+const requests = [];
+const client = {
+  chat: { completions: { create: async (request) => { requests.push(request); throw new Error('unexpected call'); } } },
+  embeddings: { create: async (request) => { requests.push(request); throw new Error('unexpected call'); } },
+};
+await assert.rejects(
+  createChatCompletionWithFallback(client, { messages: [{ role: 'user', content: 'Hi' }], max_tokens: 10 }),
+  { code: 'BUDGET_EXCEEDED' },
+);
+
+const digests = ['Rust 2.0 released', 'Rust 2.0 is out', 'Gardening tips'].map((title, index) => ({
+  title,
+  link: `https://example.com/${index}`,
+  sourceTitle: `Feed ${index}`,
+  digests: { overall: title, oneLine: title },
+}));
+const originalWarn = console.warn;
+const originalLog = console.log;
+const warnings = [];
+console.warn = (message) => warnings.push(message);
+console.log = () => {};
+assert.equal(await generateDailyThemes(client, digests, '2026-03-02'), null);
+// Clustering falls back to local similarity, which still groups the Rust stories
+assert.equal((await clusterDigests(client, digests)).length, 2);
+console.warn = originalWarn;
+console.log = originalLog;
+assert.equal(requests.length, 0);
+assert.ok(warnings.some(message => message.includes('skipping themes')));
+assert.ok(warnings.some(message => message.includes('Daily budget of') && message.includes('local text similarity')));
+
+await fs.rm(tempDir, { recursive: true, force: true });
+
+console.log('usage test passed');
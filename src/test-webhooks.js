@@ -0,0 +1,117 @@
+import assert from 'assert';
+import http from 'http';
+import { config } from './config.js';
+import {
+  buildDigestNotification,
+  getDigestLink,
+  buildFeedErrorNotification,
+  sendWebhookNotifications,
+} from './webhooks.js';
+
+/**
+ * Start a local webhook receiver
+ * Each path answers with the queued status codes, then 200.
+ * @param {Object<string, Array<number>>} statuses - Status codes to return per path
+ * @returns {Promise<{url: string, requests: Array, close: Function}>} Running receiver
+ */
+const startReceiver = (statuses = {}) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, contentType: req.headers['content-type'], body: JSON.parse(body) });
+      const status = statuses[req.url]?.shift() ?? 200;
+      res.writeHead(status);
+      res.end(status === 200 ? 'ok' : 'nope');
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      close: () => new Promise(done => server.close(done)),
+    });
+  });
+});
+
+const groupedDigests = {
+  'CSS-Tricks': [
+    { title: 'Container <queries>', link: 'https://css-tricks.com/cq/', sourceTitle: 'CSS-Tricks', digests: { oneLine: 'Ready everywhere.' } },
+    { title: 'No summary', link: 'https://css-tricks.com/none/', sourceTitle: 'CSS-Tricks', digests: {} },
+  ],
+  'Josh W Comeau': [
+    { title: 'Springs', link: 'https://joshwcomeau.com/springs/', sourceTitle: 'Josh W Comeau', digests: { oneLine: 'Physics-based motion.' } },
+  ],
+};
+const entry = { id: 'daily-digest-2026-01-12', title: 'Digest - Monday', link: 'https://example.com/digest', summary: '3 articles from 2 feeds' };
+
+config.maxRetries = 2;
+config.retryBaseDelayMs = 10;
+config.webhookTopSummaries = 5;
+
+// Highlights skip digests without a one-line summary and keep digest order
+const notification = buildDigestNotification(entry, groupedDigests);
+assert.equal(notification.articleCount, 3);
+assert.equal(notification.feedCount, 2);
+assert.deepEqual(notification.highlights.map(h => h.title), ['Container <queries>', 'Springs']);
+
+// The notification links to the day's digest, not just the channel
+assert.equal(notification.link, 'https://example.com/digest#daily-digest-2026-01-12');
+config.archiveEnabled = true;
+config.archiveUrl = 'https://example.github.io/afo';
+assert.equal(buildDigestNotification(entry, groupedDigests).link, 'https://example.github.io/afo/days/2026-01-12.html');
+config.archiveEnabled = false;
+assert.equal(getDigestLink({ id: 'https://example.com/post', link: 'https://example.com/post#top' }), 'https://example.com/post#top');
+assert.equal(getDigestLink({ id: 'daily-digest-2026-01-12', link: '' }), null);
+
+const receiver = await startReceiver({ '/discord': [503], '/broken': [400, 400, 400] });
+config.slackWebhookUrls = [`${receiver.url}/services/SECRET`];
+config.discordWebhookUrls = [`${receiver.url}/discord`];
+config.webhookUrls = [`${receiver.url}/json`, `${receiver.url}/broken`];
+
+const results = await sendWebhookNotifications(notification);
+assert.deepEqual(results.map(r => [r.channel, r.status]), [
+  ['slack', 'sent'],
+  ['discord', 'sent'],
+  ['webhook', 'sent'],
+  ['webhook', 'failed'],
+]);
+assert.match(results[3].error, /HTTP 400/);
+
+// 503 is retried, 400 is not
+assert.equal(receiver.requests.filter(r => r.path === '/discord').length, 2);
+assert.equal(receiver.requests.filter(r => r.path === '/broken').length, 1);
+
+// Payload formats
+const body = (path) => receiver.requests.find(r => r.path === path).body;
+const slack = body('/services/SECRET');
+assert.equal(slack.blocks[0].type, 'header');
+assert.ok(slack.blocks[2].text.text.includes('<https://css-tricks.com/cq/|Container &lt;queries&gt;>'));
+const discord = body('/discord');
+assert.equal(discord.embeds[0].url, 'https://example.com/digest#daily-digest-2026-01-12');
+assert.deepEqual(discord.embeds[0].fields.map(f => f.value), ['2 articles', '1 article']);
+const json = body('/json');
+assert.equal(json.event, 'digest.published');
+assert.equal(json.highlights[1].oneLine, 'Physics-based motion.');
+assert.equal(receiver.requests[0].contentType, 'application/json');
+
+// Failed-feed alerts use the same webhooks
+config.discordWebhookUrls = [];
+config.webhookUrls = [`${receiver.url}/json`];
+const alert = buildFeedErrorNotification([{ feed: 'Broken Feed', message: 'HTTP 404' }]);
+const alertResults = await sendWebhookNotifications(alert);
+assert.deepEqual(alertResults.map(r => r.status), ['sent', 'sent']);
+assert.equal(receiver.requests.at(-1).body.errors[0].feed, 'Broken Feed');
+
+// Webhook secrets stay out of the report
+assert.equal(results[0].target, `${receiver.url.replace('http://', '')}/services/…`);
+
+await receiver.close();
+
+// Unreachable webhooks fail without throwing
+config.slackWebhookUrls = [];
+const unreachable = await sendWebhookNotifications(alert);
+assert.equal(unreachable[0].status, 'failed');
+
+console.log('webhooks test passed');
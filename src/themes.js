@@ -0,0 +1,333 @@
+/**
+ * Daily Themes
+ * One extra LLM pass over all of a day's article digests that writes the
+ * executive summary shown at the top of the daily digest: the main themes,
+ * articles covering the same story and a short must-read list.
+ *
+ * Results are cached per day and reused while the day's set of articles is
+ * unchanged, so reruns and catch-up do not repeat the call.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+import { escapeHtml } from './html.js';
+import { extractJson } from './digest.js';
+import { createChatCompletionWithFallback } from './model-fallback.js';
+
+// Longest overall summary (in characters) sent per article
+const MAX_OVERALL_CHARS = 600;
+const MAX_MUST_READ = 5;
+
+const SYSTEM_PROMPT = `You are the editor of a daily news digest. You receive the summaries of every article in today's digest, each with a number in brackets.
+
+Write an executive summary of the day as a JSON object:
+{
+  "overview": "2-3 sentences on what today's articles are mostly about",
+  "themes": [{ "title": "short theme name", "summary": "1-2 sentences", "articles": [1, 4] }],
+  "same_story": [{ "story": "what the story is", "articles": [2, 5] }],
+  "must_read": [{ "article": 3, "reason": "why it is worth reading in full" }]
+}
+
+Rules:
+- 2 to 5 themes, ordered by importance; every theme lists the numbers of its articles.
+- same_story only lists groups of two or more articles about the same event or announcement; use [] if there are none.
+- must_read has at most ${MAX_MUST_READ} articles.
+- Refer to articles only by their numbers.
+- Output ONLY the JSON object, no markdown, no code blocks.`;
+
+/**
+ * Get the cache path for a day's themes
+ * @param {string} dayId - Day (YYYY-MM-DD)
+ * @returns {string} Cache file path
+ */
+const getThemesCachePath = (dayId) => path.join(config.digestCacheDir, 'themes', `${dayId}.json`);
+
+/**
+ * Hash the set of articles the themes were written for
+ * @param {Array} digests - Article digests
+ * @returns {string} SHA-256 hash, independent of article order
+ */
+const hashArticleSet = (digests) => crypto
+  .createHash('sha256')
+  .update(digests.map(digest => digest.itemHash).sort().join('|'))
+  .digest('hex');
+
+/**
+ * Read a day's cached themes
+ * @param {string} dayId - Day (YYYY-MM-DD)
+ * @param {string} articleSetHash - Hash of the day's articles
+ * @returns {Promise<Object|null>} Cached themes, or null if missing or written for other articles
+ */
+const readThemesCache = async (dayId, articleSetHash) => {
+  if (!config.digestCacheEnabled) {
+    return null;
+  }
+
+  try {
+    const cached = JSON.parse(await fs.readFile(getThemesCachePath(dayId), 'utf-8'));
+    return cached?.articleSetHash === articleSetHash ? cached.themes : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to read themes cache for ${dayId}:`, error.message);
+    }
+    return null;
+  }
+};
+
+/**
+ * Write a day's themes to the cache
+ * @param {string} dayId - Day (YYYY-MM-DD)
+ * @param {string} articleSetHash - Hash of the day's articles
+ * @param {Object} themes - Generated themes
+ */
+const writeThemesCache = async (dayId, articleSetHash, themes) => {
+  if (!config.digestCacheEnabled || config.dryRun) {
+    return;
+  }
+
+  try {
+    const cachePath = getThemesCachePath(dayId);
+    await fs.mkdir(path.dirname(cachePath), { recursive: true });
+    const payload = { cachedAt: new Date().toISOString(), articleSetHash, themes };
+    await fs.writeFile(cachePath, JSON.stringify(payload, null, 2), 'utf-8');
+  } catch (error) {
+    console.warn(`Failed to write themes cache for ${dayId}:`, error.message);
+  }
+};
+
+/**
+ * Build the numbered article list sent to the model
+ * @param {Array} digests - Article digests in digest order
+ * @returns {string} Prompt text
+ */
+const buildArticleList = (digests) => digests
+  .map((digest, index) => {
+    const lines = [`[${index + 1}] ${digest.title || 'Untitled'} (${digest.sourceTitle || 'Unknown Feed'})`];
+    if (digest.digests?.oneLine) {
+      lines.push(`One line: ${digest.digests.oneLine}`);
+    }
+    if (digest.digests?.overall) {
+      lines.push(`Summary: ${digest.digests.overall.slice(0, MAX_OVERALL_CHARS)}`);
+    }
+    return lines.join('\n');
+  })
+  .join('\n\n');
+
+/**
+ * Map the model's article numbers back to the articles
+ * Unknown and duplicate numbers are dropped.
+ * @param {Array} numbers - Article numbers from the response
+ * @param {Array} digests - Article digests in prompt order
+ * @returns {Array<{itemHash: string, title: string, link: string|null, sourceTitle: string}>} Referenced articles
+ */
+const resolveArticles = (numbers, digests) => {
+  const seen = new Set();
+  const articles = [];
+  for (const number of Array.isArray(numbers) ? numbers : []) {
+    const digest = digests[Number(number) - 1];
+    if (digest && !seen.has(digest.itemHash)) {
+      seen.add(digest.itemHash);
+      articles.push({
+        itemHash: digest.itemHash,
+        title: digest.title || 'Untitled',
+        link: digest.link || null,
+        sourceTitle: digest.sourceTitle || 'Unknown Feed',
+      });
+    }
+  }
+  return articles;
+};
+
+/**
+ * Turn the model's JSON into themes that reference articles directly
+ * @param {Object} result - Parsed model response
+ * @param {Array} digests - Article digests in prompt order
+ * @returns {Object|null} Themes, or null if the response has no usable content
+ */
+export const normalizeThemes = (result, digests) => {
+  if (!result || typeof result !== 'object') {
+    return null;
+  }
+
+  const themes = (Array.isArray(result.themes) ? result.themes : [])
+    .filter(theme => theme?.title)
+    .map(theme => ({
+      title: String(theme.title),
+      summary: String(theme.summary ?? ''),
+      articles: resolveArticles(theme.articles, digests),
+    }));
+  const sameStory = (Array.isArray(result.same_story) ? result.same_story : [])
+    .map(group => ({ story: String(group?.story ?? ''), articles: resolveArticles(group?.articles, digests) }))
+    .filter(group => group.story && group.articles.length > 1);
+  const mustRead = (Array.isArray(result.must_read) ? result.must_read : [])
+    .map(pick => ({ article: resolveArticles([pick?.article], digests)[0], reason: String(pick?.reason ?? '') }))
+    .filter(pick => pick.article)
+    .slice(0, MAX_MUST_READ);
+  const overview = typeof result.overview === 'string' ? result.overview.trim() : '';
+
+  if (!overview && !themes.length) {
+    return null;
+  }
+  return { overview, themes, sameStory, mustRead };
+};
+
+/**
+ * Generate the themes summary for a day's digests
+ * Never throws: failures are logged and the digest is built without themes.
+ * @param {Object} client - OpenAI client
+ * @param {Array} digests - The day's article digests, in digest order
+ * @param {string} dayId - Day (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Themes ({ overview, themes, sameStory, mustRead, model }), or null
+ */
+export const generateDailyThemes = async (client, digests, dayId) => {
+  if (!config.dailyThemesEnabled || digests.length < Math.max(2, config.dailyThemesMinArticles)) {
+    return null;
+  }
+
+  const articleSetHash = hashArticleSet(digests);
+  const cached = await readThemesCache(dayId, articleSetHash);
+  if (cached) {
+    console.log(`Using cached themes for ${dayId}`);
+    return { ...cached, fromCache: true };
+  }
+
+  if (config.dryRunPlaceholders || !client) {
+    return null;
+  }
+
+  console.log(`\n🧭 Writing themes for ${dayId} (${digests.length} articles)...`);
+  try {
+    const { response, model } = await createChatCompletionWithFallback(
+      client,
+      {
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: `Today's articles:\n\n${buildArticleList(digests)}` },
+        ],
+        temperature: 0.4,
+        max_tokens: 2000,
+      },
+      {
+        onModelFallback: (error, failedModel, nextModel) => {
+          console.warn(`  ⚠️  Model ${failedModel} failed: ${error.message}`);
+          console.warn(`  → Falling back to model ${nextModel}`);
+        },
+      }
+    );
+
+    const themes = normalizeThemes(extractJson(response.choices?.[0]?.message?.content), digests);
+    if (!themes) {
+      console.warn('  ⚠️  Themes response could not be parsed, skipping themes');
+      return null;
+    }
+
+    const result = { ...themes, model };
+    await writeThemesCache(dayId, articleSetHash, result);
+    console.log(`  ✓ ${themes.themes.length} themes, ${themes.sameStory.length} shared stories, ${themes.mustRead.length} must-reads (${model})`);
+    return result;
+  } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      console.warn(`  💸 ${error.message}, skipping themes`);
+    } else {
+      console.warn(`  ⚠️  Failed to write themes: ${error.message}`);
+    }
+    return null;
+  }
+};
+
+/**
+ * Format an article reference as a link
+ * @param {Object} article - Referenced article
+ * @returns {string} HTML link (or plain title without a link)
+ */
+const formatArticleLink = (article) => (article.link
+  ? `<a href="${escapeHtml(article.link)}" style="color: #0066cc; text-decoration: none;">${escapeHtml(article.title)}</a>`
+  : escapeHtml(article.title));
+
+/**
+ * Format the themes summary as HTML for the top of the daily digest
+ * @param {Object|null} themes - Themes from generateDailyThemes()
+ * @returns {string} HTML section, or '' without themes
+ */
+export const formatThemesHtml = (themes) => {
+  if (!themes) {
+    return '';
+  }
+
+  const lines = [];
+  lines.push(`<div style="background: #f4f8fc; border-left: 4px solid #0066cc; padding: 12px 16px; margin: 16px 0;">`);
+  lines.push(`<h2 style="color: #333; margin: 0 0 8px 0;">🧭 Today's Themes</h2>`);
+  if (themes.overview) {
+    lines.push(`<p style="margin: 8px 0; color: #444; line-height: 1.6;">${escapeHtml(themes.overview)}</p>`);
+  }
+
+  if (themes.themes.length) {
+    lines.push(`<ul style="margin: 8px 0; padding-left: 20px; color: #555;">`);
+    for (const theme of themes.themes) {
+      const articles = theme.articles.length
+        ? `<br/><span style="font-size: 0.9em; color: #777;">${theme.articles.map(formatArticleLink).join(' · ')}</span>`
+        : '';
+      lines.push(`<li style="margin: 6px 0;"><strong>${escapeHtml(theme.title)}:</strong> ${escapeHtml(theme.summary)}${articles}</li>`);
+    }
+    lines.push(`</ul>`);
+  }
+
+  if (themes.sameStory.length) {
+    lines.push(`<p style="margin: 12px 0 4px 0; font-weight: bold; color: #555;">🔗 Same story, several sources</p>`);
+    lines.push(`<ul style="margin: 4px 0; padding-left: 20px; color: #555;">`);
+    for (const group of themes.sameStory) {
+      const sources = group.articles.map(article => `${formatArticleLink(article)} <span style="color: #888;">(${escapeHtml(article.sourceTitle)})</span>`);
+      lines.push(`<li style="margin: 4px 0;">${escapeHtml(group.story)}: ${sources.join(', ')}</li>`);
+    }
+    lines.push(`</ul>`);
+  }
+
+  if (themes.mustRead.length) {
+    lines.push(`<p style="margin: 12px 0 4px 0; font-weight: bold; color: #555;">⭐ Must read</p>`);
+    lines.push(`<ol style="margin: 4px 0; padding-left: 20px; color: #555;">`);
+    for (const { article, reason } of themes.mustRead) {
+      lines.push(`<li style="margin: 4px 0;">${formatArticleLink(article)}${reason ? ` — ${escapeHtml(reason)}` : ''}</li>`);
+    }
+    lines.push(`</ol>`);
+  }
+
+  lines.push(`</div>`);
+  return lines.join('\n');
+};
+
+/**
+ * Format the themes summary as plain text (email)
+ * @param {Object|null} themes - Themes from generateDailyThemes()
+ * @returns {string} Plain-text section, or '' without themes
+ */
+export const formatThemesText = (themes) => {
+  if (!themes) {
+    return '';
+  }
+
+  const lines = ["Today's Themes", '--------------'];
+  if (themes.overview) {
+    lines.push('', themes.overview);
+  }
+  for (const theme of themes.themes) {
+    lines.push('', `* ${theme.title}: ${theme.summary}`);
+  }
+  if (themes.sameStory.length) {
+    lines.push('', 'Same story, several sources:');
+    for (const group of themes.sameStory) {
+      lines.push(`* ${group.story}: ${group.articles.map(article => `${article.title} (${article.sourceTitle})`).join(', ')}`);
+    }
+  }
+  if (themes.mustRead.length) {
+    lines.push('', 'Must read:');
+    themes.mustRead.forEach(({ article, reason }, index) => {
+      lines.push(`${index + 1}. ${article.title}${reason ? ` - ${reason}` : ''}`);
+      if (article.link) {
+        lines.push(`   ${article.link}`);
+      }
+    });
+  }
+  return lines.join('\n');
+};
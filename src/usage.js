@@ -0,0 +1,242 @@
+/**
+ * Token Usage and Cost
+ * Every chat completion and embeddings call reserves its estimated cost
+ * before it is sent and reports its token usage here afterwards.
+ * Usage is totalled per model for the run and priced from the price table
+ * (MODEL_PRICES on top of the defaults below). The day's spend is kept in
+ * USAGE_STORE_PATH so DAILY_BUDGET_USD holds across runs of the same day.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+import { formatDateForId } from './date-filter.js';
+
+// USD per million tokens; a model matches its longest listed prefix
+// (so `gpt-4o-mini-2024-07-18` is priced as `gpt-4o-mini`)
+const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+};
+
+// Days of spend kept in the usage store
+const STORE_RETENTION_DAYS = 31;
+
+/**
+ * Create an empty usage accumulator
+ * @returns {{calls: number, promptTokens: number, completionTokens: number, totalTokens: number, cost: number, unpricedCalls: number}}
+ */
+export const createUsageTotals = () => ({
+  calls: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  cost: 0,
+  unpricedCalls: 0,
+});
+
+const runUsage = { total: createUsageTotals(), byModel: {} };
+const unpricedModels = new Set();
+let storedSpend = { dayId: null, cost: 0 };
+let reservedCost = 0;
+
+/**
+ * Round a dollar amount to avoid floating-point noise in reports
+ * @param {number} cost - Cost in USD
+ * @returns {number} Cost rounded to 1/1,000,000 of a dollar
+ */
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+/**
+ * Add one call (or another accumulator) to a usage accumulator
+ * @param {Object} totals - Accumulator to update
+ * @param {Object} usage - Call usage from recordTokenUsage(), or another accumulator
+ * @returns {Object} The updated accumulator
+ */
+export const addUsage = (totals, usage) => {
+  if (!usage) {
+    return totals;
+  }
+  totals.calls += usage.calls ?? 1;
+  totals.promptTokens += usage.promptTokens;
+  totals.completionTokens += usage.completionTokens;
+  totals.totalTokens += usage.totalTokens;
+  totals.cost = roundCost(totals.cost + (usage.cost ?? 0));
+  totals.unpricedCalls += usage.unpricedCalls ?? (usage.cost === null ? 1 : 0);
+  return totals;
+};
+
+/**
+ * Find the price of a model
+ * @param {string} model - Model name
+ * @returns {{input: number, output: number}|null} USD per million tokens, or null if unknown
+ */
+export const getModelPrice = (model) => {
+  const prices = { ...DEFAULT_PRICES, ...config.modelPrices };
+  if (prices[model]) {
+    return prices[model];
+  }
+  const prefix = Object.keys(prices)
+    .filter(name => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+};
+
+/**
+ * Estimate the cost of a call
+ * @param {string} model - Model name
+ * @param {{promptTokens: number, completionTokens: number}} tokens - Token counts
+ * @returns {number|null} Cost in USD, or null if the model has no price
+ */
+export const estimateCost = (model, { promptTokens, completionTokens }) => {
+  const price = getModelPrice(model);
+  if (!price) {
+    return null;
+  }
+  return roundCost((promptTokens * (price.input ?? 0) + completionTokens * (price.output ?? 0)) / 1e6);
+};
+
+/**
+ * Record the token usage of an API call in the run totals
+ * @param {string} model - Model that served the call
+ * @param {Object} [rawUsage] - `usage` from the API response
+ * @returns {Object|null} Call usage with its estimated cost, or null if the response had none
+ */
+export const recordTokenUsage = (model, rawUsage) => {
+  if (!rawUsage) {
+    return null;
+  }
+
+  const promptTokens = Number(rawUsage.prompt_tokens) || 0;
+  const completionTokens = Number(rawUsage.completion_tokens) || 0;
+  const usage = {
+    model,
+    promptTokens,
+    completionTokens,
+    totalTokens: Number(rawUsage.total_tokens) || promptTokens + completionTokens,
+    cost: estimateCost(model, { promptTokens, completionTokens }),
+  };
+
+  if (usage.cost === null && !unpricedModels.has(model)) {
+    unpricedModels.add(model);
+    console.warn(`⚠️  No price for model ${model}, its cost is not counted (add it to MODEL_PRICES)`);
+  }
+
+  addUsage(runUsage.total, usage);
+  runUsage.byModel[model] = addUsage(runUsage.byModel[model] ?? createUsageTotals(), usage);
+  return usage;
+};
+
+/**
+ * Get the usage recorded so far in this run
+ * @returns {{total: Object, byModel: Object<string, Object>}} Run totals
+ */
+export const getRunUsage = () => runUsage;
+
+/**
+ * Load today's spend from earlier runs
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Cost in USD already spent today
+ */
+export const loadDailySpend = async (now = new Date()) => {
+  const dayId = formatDateForId(now);
+  try {
+    const store = JSON.parse(await fs.readFile(config.usageStorePath, 'utf-8'));
+    storedSpend = { dayId, cost: Number(store?.days?.[dayId]?.cost) || 0 };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to read usage store: ${error.message}`);
+    }
+    storedSpend = { dayId, cost: 0 };
+  }
+  return storedSpend.cost;
+};
+
+/**
+ * Get today's spend including this run
+ * @returns {number} Cost in USD
+ */
+export const getDailySpend = () => roundCost(storedSpend.cost + runUsage.total.cost);
+
+/**
+ * Check whether DAILY_BUDGET_USD has been reached
+ * Calls in flight count with their reserved cost.
+ * @returns {boolean} True if new summarizations should stop
+ */
+export const isBudgetExceeded = () =>
+  config.dailyBudgetUsd !== null && roundCost(getDailySpend() + reservedCost) >= config.dailyBudgetUsd;
+
+/**
+ * Create the error thrown when DAILY_BUDGET_USD stops a call
+ * @returns {Error} Error with code BUDGET_EXCEEDED
+ */
+export const createBudgetError = () => {
+  const error = new Error(`Daily budget of $${config.dailyBudgetUsd} reached`);
+  error.code = 'BUDGET_EXCEEDED';
+  return error;
+};
+
+/**
+ * Reserve the estimated cost of an API call against DAILY_BUDGET_USD
+ * The reservation is held until the call's usage is recorded, so calls
+ * running in parallel cannot overshoot the budget together. Completion
+ * tokens should be the request's max_tokens, the most the call can cost.
+ * @param {string} model - Model to call
+ * @param {{promptTokens: number, completionTokens: number}} tokens - Estimated token counts
+ * @returns {Function} Releases the reservation (call it after recordTokenUsage)
+ * @throws {Error} BUDGET_EXCEEDED if the call does not fit in what is left of the budget
+ */
+export const reserveBudget = (model, tokens) => {
+  if (config.dailyBudgetUsd === null) {
+    return () => {};
+  }
+  const cost = estimateCost(model, tokens) ?? 0;
+  if (isBudgetExceeded() || roundCost(getDailySpend() + reservedCost + cost) > config.dailyBudgetUsd) {
+    throw createBudgetError();
+  }
+  reservedCost = roundCost(reservedCost + cost);
+  let released = false;
+  return () => {
+    if (!released) {
+      released = true;
+      reservedCost = roundCost(Math.max(0, reservedCost - cost));
+    }
+  };
+};
+
+/**
+ * Add this run's usage to the day's record in the usage store
+ * @param {Date} [now] - Current time
+ */
+export const saveDailyUsage = async (now = new Date()) => {
+  if (config.dryRun || runUsage.total.calls === 0) {
+    return;
+  }
+
+  let store = {};
+  try {
+    store = JSON.parse(await fs.readFile(config.usageStorePath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to read usage store: ${error.message} (starting a new one)`);
+    }
+  }
+
+  const dayId = formatDateForId(now);
+  const oldestKept = formatDateForId(new Date(now.getTime() - STORE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  const days = {};
+  for (const [id, record] of Object.entries(store?.days ?? {})) {
+    if (id >= oldestKept) {
+      days[id] = record;
+    }
+  }
+  days[dayId] = addUsage({ ...createUsageTotals(), ...days[dayId] }, runUsage.total);
+
+  await fs.mkdir(path.dirname(config.usageStorePath), { recursive: true });
+  await fs.writeFile(config.usageStorePath, JSON.stringify({ days }, null, 2), 'utf-8');
+};
@@ -0,0 +1,309 @@
+/**
+ * Webhook Notifications
+ * Posts a short summary of a published digest, and optionally failed-feed
+ * alerts, to Slack (Block Kit), Discord (embeds) and generic JSON webhooks.
+ * Every post is retried with the usual backoff; failures are returned as
+ * results for the report and never fail the run.
+ *
+ * Notifications are format-neutral messages rendered per webhook type:
+ *   { event: 'digest.published', title, link, summary, articleCount, feedCount, feeds, highlights }
+ *   { event: 'feeds.failed', title, errors }
+ */
+
+import { config } from './config.js';
+import { retryOnError } from './retry.js';
+import { getArchiveDayUrl } from './archive.js';
+
+const SLACK_TEXT_LIMIT = 3000;
+const DISCORD_DESCRIPTION_LIMIT = 4096;
+const DISCORD_FIELD_LIMIT = 25;
+const DISCORD_COLOR = 0x0066cc;
+const DISCORD_ALERT_COLOR = 0xcc3300;
+
+/**
+ * Shorten text to a maximum length
+ * @param {string} text - Text to shorten
+ * @param {number} max - Maximum length
+ * @returns {string} Text of at most max characters
+ */
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+/**
+ * Escape text for Slack mrkdwn
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeSlack = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Escape text for Discord markdown link labels
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeDiscord = (text) => String(text ?? '').replace(/([[\]*_~`|\\])/g, '\\$1');
+
+/**
+ * Link to the day's digest
+ * The archive page when the archive has a public URL, otherwise the entry's
+ * anchor on the channel page (the HTML output uses entry IDs as anchors).
+ * @param {Object} entry - Digest entry (see formatters/index.js)
+ * @returns {string|null} Link
+ */
+export const getDigestLink = (entry) => {
+  const dayId = entry.id?.match(/^daily-digest-(\d{4}-\d{2}-\d{2})$/)?.[1];
+  const archiveUrl = dayId ? getArchiveDayUrl(dayId) : null;
+  if (archiveUrl) {
+    return archiveUrl;
+  }
+  if (!entry.link) {
+    return null;
+  }
+  return entry.id && !entry.link.includes('#') ? `${entry.link}#${encodeURIComponent(entry.id)}` : entry.link;
+};
+
+/**
+ * Build the notification for a published digest
+ * Highlights are the first one-line summaries in digest order.
+ * @param {Object} entry - Digest entry (see formatters/index.js)
+ * @param {Object} groupedDigests - Digests grouped by feed
+ * @returns {Object} Digest notification
+ */
+export const buildDigestNotification = (entry, groupedDigests) => {
+  const feeds = Object.entries(groupedDigests).map(([title, articles]) => ({ title, articles: articles.length }));
+  const highlights = Object.values(groupedDigests)
+    .flat()
+    .filter(digest => digest.digests?.oneLine)
+    .slice(0, Math.max(0, config.webhookTopSummaries))
+    .map(digest => ({
+      title: digest.title || 'Untitled',
+      link: digest.link || null,
+      source: digest.sourceTitle || 'Unknown Feed',
+      oneLine: digest.digests.oneLine,
+    }));
+
+  return {
+    event: 'digest.published',
+    title: entry.title,
+    link: getDigestLink(entry),
+    summary: entry.summary,
+    articleCount: feeds.reduce((sum, feed) => sum + feed.articles, 0),
+    feedCount: feeds.length,
+    feeds,
+    highlights,
+  };
+};
+
+/**
+ * Build the notification for feeds that failed to load
+ * @param {Array<{feed: string, message: string}>} errors - Entries of report.feeds.errors
+ * @returns {Object} Failed-feed notification
+ */
+export const buildFeedErrorNotification = (errors) => ({
+  event: 'feeds.failed',
+  title: `${errors.length} feed${errors.length === 1 ? '' : 's'} failed to load`,
+  errors: errors.map(({ feed, message }) => ({ feed: feed || 'Unknown', message })),
+});
+
+/**
+ * Render a notification as a Slack Block Kit message
+ * @param {Object} message - Notification
+ * @returns {Object} Slack payload
+ */
+const formatSlackPayload = (message) => {
+  if (message.event === 'feeds.failed') {
+    const list = message.errors.map(({ feed, message: error }) => `• *${escapeSlack(feed)}:* ${escapeSlack(error)}`).join('\n');
+    return {
+      text: `⚠️ ${message.title}`,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: truncate(`⚠️ ${message.title}`, 150) } },
+        { type: 'section', text: { type: 'mrkdwn', text: truncate(list, SLACK_TEXT_LIMIT) } },
+      ],
+    };
+  }
+
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: truncate(`📰 ${message.title}`, 150) } },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*${message.articleCount}* articles from *${message.feedCount}* feeds${message.link ? `\n<${message.link}|Open the digest>` : ''}`,
+      },
+    },
+  ];
+  if (message.highlights.length) {
+    const list = message.highlights
+      .map(({ title, link, oneLine }) => `• ${link ? `<${link}|${escapeSlack(title)}>` : `*${escapeSlack(title)}*`}: ${escapeSlack(oneLine)}`)
+      .join('\n');
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(list, SLACK_TEXT_LIMIT) } });
+  }
+  blocks.push({
+    type: 'context',
+    elements: [{
+      type: 'mrkdwn',
+      text: truncate(message.feeds.map(({ title, articles }) => `${escapeSlack(title)} (${articles})`).join(' · '), SLACK_TEXT_LIMIT),
+    }],
+  });
+
+  return { text: `${message.title}: ${message.summary}`, blocks };
+};
+
+/**
+ * Render a notification as a Discord embed message
+ * @param {Object} message - Notification
+ * @returns {Object} Discord payload
+ */
+const formatDiscordPayload = (message) => {
+  if (message.event === 'feeds.failed') {
+    return {
+      embeds: [{
+        title: truncate(`⚠️ ${message.title}`, 256),
+        color: DISCORD_ALERT_COLOR,
+        fields: message.errors.slice(0, DISCORD_FIELD_LIMIT).map(({ feed, message: error }) => ({
+          name: truncate(feed, 256),
+          value: truncate(error || 'Unknown error', 1024),
+        })),
+        timestamp: new Date().toISOString(),
+      }],
+    };
+  }
+
+  const description = message.highlights
+    .map(({ title, link, oneLine }) => `• ${link ? `[${escapeDiscord(title)}](${link})` : `**${escapeDiscord(title)}**`}: ${oneLine}`)
+    .join('\n');
+  return {
+    embeds: [{
+      title: truncate(`📰 ${message.title}`, 256),
+      ...(message.link ? { url: message.link } : {}),
+      description: truncate(`**${message.articleCount}** articles from **${message.feedCount}** feeds${description ? `\n\n${description}` : ''}`, DISCORD_DESCRIPTION_LIMIT),
+      color: DISCORD_COLOR,
+      fields: message.feeds.slice(0, DISCORD_FIELD_LIMIT).map(({ title, articles }) => ({
+        name: truncate(title, 256),
+        value: `${articles} article${articles === 1 ? '' : 's'}`,
+        inline: true,
+      })),
+      footer: { text: 'AFO Feed Digest' },
+      timestamp: new Date().toISOString(),
+    }],
+  };
+};
+
+/**
+ * Render a notification as a generic JSON payload
+ * @param {Object} message - Notification
+ * @returns {Object} JSON payload
+ */
+const formatJsonPayload = (message) => ({
+  ...message,
+  source: config.channelTitle,
+  timestamp: new Date().toISOString(),
+});
+
+// Webhook types: report channel name, configured URLs and payload renderer
+const webhookTypes = [
+  { channel: 'slack', urls: () => config.slackWebhookUrls, format: formatSlackPayload },
+  { channel: 'discord', urls: () => config.discordWebhookUrls, format: formatDiscordPayload },
+  { channel: 'webhook', urls: () => config.webhookUrls, format: formatJsonPayload },
+];
+
+/**
+ * Check whether any webhook is configured
+ * @returns {boolean} True if at least one webhook URL is set
+ */
+export const hasWebhooks = () => webhookTypes.some(type => type.urls().length > 0);
+
+/**
+ * Describe a webhook without exposing the secret part of its URL
+ * @param {string} url - Webhook URL
+ * @returns {string} Host and first path segment
+ */
+const describeWebhook = (url) => {
+  try {
+    const { host, pathname } = new URL(url);
+    const firstSegment = pathname.split('/').filter(Boolean)[0];
+    return firstSegment ? `${host}/${firstSegment}/…` : host;
+  } catch {
+    return 'invalid URL';
+  }
+};
+
+/**
+ * POST a JSON payload to a webhook
+ * Non-2xx responses throw with `status` set so rate limits and server
+ * errors are retried by retryOnError.
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ */
+const postWebhook = async (url, payload) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.contentFetchTimeout);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      signal: controller.signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'afo-feed-summarizer/1.0 (+https://github.com/tenki/afo)',
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`HTTP ${response.status}: ${body.slice(0, 200) || response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+  } catch (error) {
+    // fetch() reports network failures as "fetch failed" with the code on the cause
+    if (!error.code && error.cause?.code) {
+      error.code = error.cause.code;
+      error.message = `${error.message} (${error.cause.code})`;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Send a notification to every configured webhook
+ * @param {Object} message - Notification from buildDigestNotification() or buildFeedErrorNotification()
+ * @returns {Promise<Array<{channel: string, target: string, status: 'sent'|'failed'|'skipped', error?: string}>>} One result per webhook, in config order
+ */
+export const sendWebhookNotifications = async (message) => {
+  const targets = webhookTypes.flatMap(({ channel, urls, format }) =>
+    urls().map(url => ({ channel, url, format, target: describeWebhook(url) }))
+  );
+  if (!targets.length) {
+    return [];
+  }
+
+  if (config.dryRun) {
+    for (const { channel, target } of targets) {
+      console.log(`🧪 Dry run: would post ${message.event} to ${channel} ${target}`);
+    }
+    return targets.map(({ channel, target }) => ({ channel, target, event: message.event, status: 'skipped', error: 'Dry run' }));
+  }
+
+  console.log(`\n🔔 Posting ${message.event} to ${targets.length} webhook(s)...`);
+  return Promise.all(targets.map(async ({ channel, url, format, target }) => {
+    const result = { channel, target, event: message.event };
+    try {
+      await retryOnError(() => postWebhook(url, format(message)), {
+        onRetry: (error, attempt, delay) => {
+          console.warn(`  ⚠️  ${channel} ${target} attempt ${attempt} failed (${error.message}), retrying in ${delay}ms...`);
+        },
+      });
+      console.log(`  ✓ Posted to ${channel} ${target}`);
+      return { ...result, status: 'sent' };
+    } catch (error) {
+      console.warn(`  ⚠️  ${channel} ${target} failed: ${error.message}`);
+      return { ...result, status: 'failed', error: error.message };
+    }
+  }));
+};